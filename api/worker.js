@@ -1,77 +1,213 @@
 // Cloudflare Worker API for Recipe Website with D1 Database
 
+import RecipeScaling from '../js/recipe-scaling.js';
+// Page templates, bundled as text (wrangler's default rule for .html files)
+import headerTemplate from '../components/header.html';
+import footerTemplate from '../components/footer.html';
+import recipeCardTemplate from '../components/recipe-card.html';
+import recipePageTemplate from '../components/recipe-page.html';
+
 export default {
+    // Public GETs go through the edge cache, everything else straight to the router
     async fetch(request, env, ctx) {
-      const url = new URL(request.url);
-      const path = url.pathname;
-      const method = request.method;
+      return await withEdgeCache(request, env, ctx, () => routeRequest(request, env, ctx));
+    },
+
+    // Cron trigger (wrangler.toml): refresh the autocomplete dictionary and
+    // drop expired rate-limit windows and edge cache index entries
+    async scheduled(event, env, ctx) {
+      ctx.waitUntil(rebuildSearchTerms(env.DB));
+      ctx.waitUntil(pruneRateLimits(env.DB));
+      ctx.waitUntil(pruneEdgeCacheKeys(env.DB));
+    }
+  };
+
+  // Send a request to its page, feed or API handler
+  async function routeRequest(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+    const method = request.method;
   
-      // CORS headers
-      const corsHeaders = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-      };
+    // CORS headers
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Session-Token, If-None-Match, If-Modified-Since',
+      'Access-Control-Expose-Headers': 'ETag, Last-Modified, Retry-After'
+    };
   
-      // Handle preflight requests
-      if (method === 'OPTIONS') {
-        return new Response(null, { headers: corsHeaders });
-      }
+    // Handle preflight requests
+    if (method === 'OPTIONS') {
+      return new Response(null, { headers: corsHeaders });
+    }
   
-      try {
-        // Route handlers
-        if (path.startsWith('/api/')) {
-          const apiPath = path.replace('/api', '');
+    try {
+      // Server-rendered recipe pages
+      if (method === 'GET' && path.match(/^\/recipes\/[\w-]+\/?$/)) {
+        const pageSlug = path.split('/')[2];
+        return await renderRecipePage(env, url, pageSlug);
+      }
+
+      if (method === 'GET' && path === '/pages/recipe-detail.html' &&
+          (url.searchParams.has('id') || url.searchParams.has('slug'))) {
+        return await redirectLegacyRecipeLink(env, url);
+      }
+
+      // Crawler and subscriber endpoints
+      if (method === 'GET' && path === '/robots.txt') {
+        return renderRobotsTxt(env, url);
+      }
+
+      if (method === 'GET' && path === '/manifest.webmanifest') {
+        return renderWebManifest();
+      }
+
+      if (method === 'GET' && path === '/sitemap.xml') {
+        return await renderSitemap(env, url);
+      }
+
+      const sitemapPage = method === 'GET' && path.match(/^\/sitemaps\/([a-z]+)-(\d+)\.xml$/);
+      if (sitemapPage) {
+        return await renderSitemapPage(env, url, sitemapPage[1], parseInt(sitemapPage[2]));
+      }
+
+      if (method === 'GET' && path === '/feed.xml') {
+        return await renderRecipesFeed(env, url);
+      }
+
+      const categoryFeed = method === 'GET' && path.match(/^\/feeds\/categories\/([\w-]+)\.atom$/);
+      if (categoryFeed) {
+        return await renderCategoryFeed(env, url, categoryFeed[1]);
+      }
+
+      const authorFeed = method === 'GET' && path.match(/^\/feeds\/authors\/(\d+)\.atom$/);
+      if (authorFeed) {
+        return await renderAuthorFeed(env, url, parseInt(authorFeed[1]));
+      }
+
+      // Route handlers
+      if (path.startsWith('/api/')) {
+        const apiPath = path.replace('/api', '');
           
-          switch (true) {
-            case apiPath === '/categories' && method === 'GET':
-              return await getCategories(env.DB, url.searchParams, corsHeaders);
-            
-            case apiPath === '/recipes' && method === 'GET':
-              return await getRecipes(env.DB, url.searchParams, corsHeaders);
+        switch (true) {
+          case apiPath === '/categories' && method === 'GET':
+            return await getCategories(env.DB, url.searchParams, corsHeaders);
             
-            case apiPath.match(/^\/recipes\/[\w-]+$/) && method === 'GET':
-              const recipeSlug = apiPath.split('/')[2];
-              return await getRecipe(env.DB, recipeSlug, corsHeaders);
+          case apiPath === '/recipes' && method === 'GET':
+            return await getRecipes(env.DB, url.searchParams, corsHeaders);
             
-            case apiPath.match(/^\/categories\/[\w-]+$/) && method === 'GET':
-              const categorySlug = apiPath.split('/')[2];
-              return await getCategory(env.DB, categorySlug, corsHeaders);
+          case apiPath === '/recipes/by-ingredients' && method === 'GET':
+            return await getRecipesByIngredients(env.DB, url.searchParams, corsHeaders);
+
+          case apiPath === '/recipes/batch' && method === 'GET':
+            return await getRecipesBatch(env.DB, url.searchParams, corsHeaders);
+
+          case apiPath.match(/^\/recipes\/[\w-]+$/) && method === 'GET':
+            const recipeSlug = apiPath.split('/')[2];
+            return await getRecipe(env.DB, recipeSlug, url.searchParams, corsHeaders);
+
+          // Admin recipe management (bearer token required)
+          case apiPath === '/recipes' && method === 'POST':
+            if (!isAuthorized(request, env)) return unauthorizedResponse(corsHeaders);
+            return await createRecipe(env.DB, request, corsHeaders);
+
+          case apiPath.match(/^\/recipes\/[\w-]+$/) && method === 'PUT':
+            if (!isAuthorized(request, env)) return unauthorizedResponse(corsHeaders);
+            const updateSlug = apiPath.split('/')[2];
+            return await updateRecipe(env.DB, updateSlug, request, corsHeaders);
+
+          case apiPath.match(/^\/recipes\/[\w-]+$/) && method === 'DELETE':
+            if (!isAuthorized(request, env)) return unauthorizedResponse(corsHeaders);
+            const deleteSlug = apiPath.split('/')[2];
+            return await deleteRecipe(env.DB, deleteSlug, corsHeaders);
+
+          case apiPath.match(/^\/recipes\/[\w-]+\/status$/) && method === 'PUT':
+            if (!isAuthorized(request, env)) return unauthorizedResponse(corsHeaders);
+            const statusSlug = apiPath.split('/')[2];
+            return await updateRecipeStatus(env.DB, statusSlug, request, corsHeaders);
+
+          case apiPath === '/categories/tree' && method === 'GET':
+            return await getCategoryTree(env.DB, corsHeaders);
+
+          case apiPath.match(/^\/categories\/[\w-]+$/) && method === 'GET':
+            const categorySlug = apiPath.split('/')[2];
+            return await getCategory(env.DB, categorySlug, corsHeaders);
             
-            case apiPath.match(/^\/categories\/[\w-]+\/recipes$/) && method === 'GET':
-              const catSlug = apiPath.split('/')[2];
-              return await getCategoryRecipes(env.DB, catSlug, url.searchParams, corsHeaders);
+          case apiPath.match(/^\/categories\/[\w-]+\/recipes$/) && method === 'GET':
+            const catSlug = apiPath.split('/')[2];
+            return await getCategoryRecipes(env.DB, catSlug, url.searchParams, corsHeaders);
             
-            case apiPath === '/search' && method === 'GET':
-              return await searchRecipes(env.DB, url.searchParams, corsHeaders);
+          case apiPath === '/search' && method === 'GET':
+            return await searchRecipes(env.DB, url.searchParams, corsHeaders);
+
+          case apiPath === '/suggest' && method === 'GET':
+            return await getSuggestions(env.DB, url, ctx, corsHeaders);
             
-            case apiPath.match(/^\/recipes\/[\w-]+\/reviews$/) && method === 'GET':
-              const reviewRecipeSlug = apiPath.split('/')[2];
-              return await getRecipeReviews(env.DB, reviewRecipeSlug, url.searchParams, corsHeaders);
+          case apiPath.match(/^\/recipes\/[\w-]+\/reviews$/) && method === 'GET':
+            const reviewRecipeSlug = apiPath.split('/')[2];
+            return await getRecipeReviews(env.DB, reviewRecipeSlug, url.searchParams, corsHeaders);
             
-            case apiPath.match(/^\/recipes\/[\w-]+\/reviews$/) && method === 'POST':
-              const postReviewSlug = apiPath.split('/')[2];
-              return await addReview(env.DB, postReviewSlug, request, corsHeaders);
+          case apiPath.match(/^\/recipes\/[\w-]+\/reviews$/) && method === 'POST':
+            const postReviewSlug = apiPath.split('/')[2];
+            return await addReview(env, postReviewSlug, request, corsHeaders);
+
+          // Admin review moderation (bearer token required)
+          case apiPath === '/admin/reviews' && method === 'GET':
+            if (!isAuthorized(request, env)) return unauthorizedResponse(corsHeaders);
+            return await getModerationQueue(env.DB, url.searchParams, corsHeaders);
+
+          case apiPath === '/admin/reviews/moderate' && method === 'POST':
+            if (!isAuthorized(request, env)) return unauthorizedResponse(corsHeaders);
+            return await moderateReviews(env.DB, request, corsHeaders);
+
+          case apiPath === '/admin/search-terms/rebuild' && method === 'POST':
+            if (!isAuthorized(request, env)) return unauthorizedResponse(corsHeaders);
+            return await rebuildSearchTermsHandler(env.DB, corsHeaders);
             
-            case apiPath === '/authors' && method === 'GET':
-              return await getAuthors(env.DB, corsHeaders);
+          // Sessions, accounts and synced favorites
+          case apiPath === '/session' && method === 'POST':
+            return await createSession(env.DB, corsHeaders);
+
+          case apiPath === '/session' && method === 'GET':
+            return await getSessionInfo(env.DB, request, corsHeaders);
+
+          case apiPath === '/auth/magic-link' && method === 'POST':
+            return await requestMagicLink(env, request, url, corsHeaders);
+
+          case apiPath === '/auth/verify' && method === 'POST':
+            return await verifyMagicLink(env.DB, request, corsHeaders);
+
+          case apiPath === '/auth/logout' && method === 'POST':
+            return await logout(env.DB, request, corsHeaders);
+
+          case apiPath === '/favorites' && method === 'GET':
+            return await getFavorites(env.DB, request, corsHeaders);
+
+          case apiPath === '/favorites' && method === 'POST':
+            return await addFavorites(env.DB, request, corsHeaders);
+
+          case apiPath.match(/^\/favorites\/\d+$/) && method === 'DELETE':
+            const favoriteRecipeId = apiPath.split('/')[2];
+            return await removeFavorite(env.DB, request, favoriteRecipeId, corsHeaders);
+
+          case apiPath === '/authors' && method === 'GET':
+            return await getAuthors(env.DB, url.searchParams, corsHeaders);
             
-            case apiPath.match(/^\/authors\/\d+$/) && method === 'GET':
-              const authorId = apiPath.split('/')[2];
-              return await getAuthor(env.DB, authorId, corsHeaders);
+          case apiPath.match(/^\/authors\/\d+$/) && method === 'GET':
+            const authorId = apiPath.split('/')[2];
+            return await getAuthor(env.DB, authorId, corsHeaders);
             
-            default:
-              return jsonResponse({ error: 'Endpoint not found' }, 404, corsHeaders);
-          }
+          default:
+            return errorResponse('Endpoint not found', 404, corsHeaders);
         }
-  
-        return jsonResponse({ error: 'Not found' }, 404, corsHeaders);
-      } catch (error) {
-        console.error('API Error:', error);
-        return jsonResponse({ error: 'Internal server error' }, 500, corsHeaders);
       }
+  
+      return errorResponse('Not found', 404, corsHeaders);
+    } catch (error) {
+      console.error('API Error:', error);
+      return errorResponse('Internal server error', 500, corsHeaders);
     }
-  };
+  }
   
   // Helper function to create JSON responses
   function jsonResponse(data, status = 200, headers = {}) {
@@ -83,144 +219,204 @@ export default {
       }
     });
   }
-  
-  // Get all categories
+
+  // Machine-readable error codes by status. Validation failures use
+  // 'validation_failed' instead and list the offending fields.
+  const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    404: 'not_found',
+    409: 'conflict',
+    429: 'rate_limited',
+    500: 'internal_error',
+    503: 'service_unavailable'
+  };
+
+  // Every API error has the same envelope:
+  // { success: false, error: { code, message, details? } }
+  function errorResponse(message, status, headers = {}, { code = ERROR_CODES[status], details } = {}) {
+    return jsonResponse({
+      success: false,
+      error: details ? { code, message, details } : { code, message }
+    }, status, headers);
+  }
+
+  // 400 with one { field, code, message } detail per invalid field
+  function validationErrorResponse(details, corsHeaders) {
+    const message = details.length === 1 ? details[0].message : `${details.length} fields are invalid`;
+    return errorResponse(message, 400, corsHeaders, { code: 'validation_failed', details });
+  }
+
+  // Check the Authorization bearer token against the ADMIN_TOKEN secret
+  function isAuthorized(request, env) {
+    const header = request.headers.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+
+    if (!env.ADMIN_TOKEN || !match) {
+      return false;
+    }
+
+    // Constant-time comparison so the token can't be guessed byte by byte
+    const token = match[1].trim();
+    const expected = env.ADMIN_TOKEN;
+    let mismatch = token.length ^ expected.length;
+    for (let i = 0; i < expected.length; i++) {
+      mismatch |= (token.charCodeAt(i) || 0) ^ expected.charCodeAt(i);
+    }
+    return mismatch === 0;
+  }
+
+  function unauthorizedResponse(corsHeaders) {
+    return errorResponse('Unauthorized', 401, {
+      ...corsHeaders,
+      'WWW-Authenticate': 'Bearer'
+    });
+  }
+
+  const CATEGORY_LIST_QUERY = {
+    featured: { type: 'boolean' },
+    parent_id: { type: 'integer', min: 1, nullable: true }
+  };
+
+  // Get all categories: top-level ones unless ?parent_id= is given,
+  // optionally only featured=true
   async function getCategories(db, searchParams, corsHeaders) {
     try {
-      const featured = searchParams.get('featured');
-      const parentId = searchParams.get('parent_id');
-      const limit = parseInt(searchParams.get('limit')) || 50;
-      const offset = parseInt(searchParams.get('offset')) || 0;
-  
-      let query = `
-        SELECT id, slug, name, description, image_url, parent_id, 
-               recipe_count, featured, sort_order, created_at, updated_at
-        FROM categories 
-        WHERE 1=1
-      `;
-      const params = [];
-  
-      if (featured === 'true') {
-        query += ` AND featured = ?`;
-        params.push(true);
+      const { values, details } = validateQuery(searchParams, CATEGORY_LIST_QUERY);
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
       }
-  
-      if (parentId) {
-        query += ` AND parent_id = ?`;
-        params.push(parentId);
-      } else if (parentId === null || parentId === 'null') {
-        query += ` AND parent_id IS NULL`;
+
+      const conditions = [];
+
+      if (values.featured) {
+        conditions.push({ clause: 'featured = ?', params: [true] });
       }
-  
-      query += ` ORDER BY sort_order ASC, name ASC LIMIT ? OFFSET ?`;
-      params.push(limit, offset);
-  
-      const result = await db.prepare(query).bind(...params).all();
-  
+
+      if (values.parent_id) {
+        conditions.push({ clause: 'parent_id = ?', params: [values.parent_id] });
+      } else {
+        conditions.push({ clause: 'parent_id IS NULL', params: [] });
+      }
+
+      const page = await listQuery(db, {
+        list: 'categories',
+        query: `
+          SELECT id, slug, name, description, image_url, parent_id,
+                 recipe_count, featured, sort_order, created_at, updated_at
+          FROM categories
+        `,
+        conditions,
+        searchParams,
+        basePath: '/api/categories',
+        defaultLimit: 50
+      });
+
+      if (page.details) {
+        return validationErrorResponse(page.details, corsHeaders);
+      }
+
       return jsonResponse({
         success: true,
-        data: result.results,
-        total: result.results.length,
-        pagination: {
-          limit,
-          offset,
-          hasMore: result.results.length === limit
-        }
+        data: page.rows,
+        total_count: page.totalCount,
+        pagination: page.pagination
       }, 200, corsHeaders);
     } catch (error) {
       console.error('Error fetching categories:', error);
-      return jsonResponse({ error: 'Failed to fetch categories' }, 500, corsHeaders);
+      return errorResponse('Failed to fetch categories', 500, corsHeaders);
     }
   }
-  
-  // Get all recipes with filtering
-  async function getRecipes(db, searchParams, corsHeaders) {
-    try {
-      const category = searchParams.get('category');
-      const featured = searchParams.get('featured');
-      const difficulty = searchParams.get('difficulty');
-      const maxTime = searchParams.get('max_time');
-      const minRating = searchParams.get('min_rating');
-      const sortBy = searchParams.get('sort_by') || 'created_at';
-      const sortOrder = searchParams.get('sort_order') || 'DESC';
-      const limit = parseInt(searchParams.get('limit')) || 20;
-      const offset = parseInt(searchParams.get('offset')) || 0;
-  
-      let query = `
-        SELECT DISTINCT r.id, r.slug, r.title, r.description, r.prep_time, 
+
+  // Published recipes with the listing filters and sort, one cursor page at
+  // a time. Shared by the /recipes endpoint and the RSS/Atom feeds so both
+  // list the same recipes.
+  async function queryRecipes(db, searchParams) {
+    const { filters, selected, details } = buildRecipeFilters(searchParams);
+
+    if (details) {
+      return { details };
+    }
+
+    const page = await listQuery(db, {
+      list: 'recipes',
+      query: `
+        SELECT r.id, r.slug, r.title, r.description, r.prep_time,
                r.cook_time, r.total_time, r.servings, r.difficulty, r.image_url,
-               r.rating, r.review_count, r.calories, r.featured, r.tags,
+               r.rating, r.review_count, r.calories, r.protein, r.featured, r.tags,
                r.created_at, r.updated_at,
                a.name as author_name, a.avatar_url as author_avatar
         FROM recipes r
         LEFT JOIN authors a ON r.author_id = a.id
-        LEFT JOIN recipe_categories rc ON r.id = rc.recipe_id
-        LEFT JOIN categories c ON rc.category_id = c.id
-        WHERE r.status = 'published'
-      `;
-      const params = [];
-  
-      if (category) {
-        query += ` AND c.slug = ?`;
-        params.push(category);
-      }
-  
-      if (featured === 'true') {
-        query += ` AND r.featured = ?`;
-        params.push(true);
-      }
-  
-      if (difficulty) {
-        query += ` AND r.difficulty = ?`;
-        params.push(difficulty);
-      }
-  
-      if (maxTime) {
-        query += ` AND r.total_time <= ?`;
-        params.push(parseInt(maxTime));
-      }
-  
-      if (minRating) {
-        query += ` AND r.rating >= ?`;
-        params.push(parseFloat(minRating));
+      `,
+      conditions: [PUBLISHED_RECIPE, ...filters],
+      searchParams,
+      basePath: '/api/recipes'
+    });
+
+    if (page.details) {
+      return page;
+    }
+
+    // Parse JSON fields
+    const recipes = page.rows.map(recipe => ({
+      ...recipe,
+      tags: recipe.tags ? JSON.parse(recipe.tags) : [],
+      featured: !!recipe.featured
+    }));
+
+    return { recipes, filters, selected, totalCount: page.totalCount, pagination: page.pagination };
+  }
+
+  // Get all recipes with filtering. Multi-select filters: category (with
+  // category_mode=or|and), diet, tag (tag_mode=or|and) and difficulty; ranges:
+  // min_/max_ time, calories, protein and rating. facets=true adds counts
+  // for every filter option.
+  async function getRecipes(db, searchParams, corsHeaders) {
+    try {
+      const result = await queryRecipes(db, searchParams);
+
+      if (result.details) {
+        return validationErrorResponse(result.details, corsHeaders);
       }
-  
-      // Validate sort column to prevent SQL injection
-      const validSortColumns = ['created_at', 'updated_at', 'title', 'rating', 'total_time', 'prep_time'];
-      const validSortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
-      const validSortOrder = ['ASC', 'DESC'].includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
-  
-      query += ` ORDER BY r.${validSortColumn} ${validSortOrder} LIMIT ? OFFSET ?`;
-      params.push(limit, offset);
-  
-      const result = await db.prepare(query).bind(...params).all();
-  
-      // Parse JSON fields
-      const recipes = result.results.map(recipe => ({
-        ...recipe,
-        tags: recipe.tags ? JSON.parse(recipe.tags) : [],
-        featured: !!recipe.featured
-      }));
+
+      const facets = searchParams.get('facets') === 'true'
+        ? await queryRecipeFacets(db, result.filters, result.selected)
+        : undefined;
   
       return jsonResponse({
         success: true,
-        data: recipes,
-        total: recipes.length,
-        pagination: {
-          limit,
-          offset,
-          hasMore: recipes.length === limit
-        }
+        data: result.recipes,
+        total_count: result.totalCount,
+        filters: result.selected,
+        facets,
+        pagination: result.pagination
       }, 200, corsHeaders);
     } catch (error) {
       console.error('Error fetching recipes:', error);
-      return jsonResponse({ error: 'Failed to fetch recipes' }, 500, corsHeaders);
+      return errorResponse('Failed to fetch recipes', 500, corsHeaders);
     }
   }
   
-  // Get single recipe by slug
-  async function getRecipe(db, slug, corsHeaders) {
+  const MAX_SCALED_SERVINGS = 100;
+
+  const RECIPE_QUERY = {
+    servings: { type: 'integer', min: 1, max: MAX_SCALED_SERVINGS },
+    units: { type: 'string', values: RecipeScaling.UNIT_SYSTEMS }
+  };
+
+  // Get single recipe by slug, optionally scaled: ?servings=4&units=metric
+  async function getRecipe(db, slug, searchParams, corsHeaders) {
     try {
+      const { values, details } = validateQuery(searchParams, RECIPE_QUERY);
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const { servings = null, units } = values;
+
       const recipeQuery = `
         SELECT r.*, a.name as author_name, a.bio as author_bio, 
                a.avatar_url as author_avatar, a.social_links as author_social
@@ -232,7 +428,7 @@ export default {
       const recipeResult = await db.prepare(recipeQuery).bind(slug).first();
   
       if (!recipeResult) {
-        return jsonResponse({ error: 'Recipe not found' }, 404, corsHeaders);
+        return errorResponse('Recipe not found', 404, corsHeaders);
       }
   
       // Get recipe categories
@@ -257,15 +453,55 @@ export default {
   
       return jsonResponse({
         success: true,
-        data: recipe
+        data: servings || units ? RecipeScaling.scaleRecipe(recipe, { servings, units }) : recipe
       }, 200, corsHeaders);
     } catch (error) {
       console.error('Error fetching recipe:', error);
-      return jsonResponse({ error: 'Failed to fetch recipe' }, 500, corsHeaders);
+      return errorResponse('Failed to fetch recipe', 500, corsHeaders);
     }
   }
   
-  // Get single category by slug
+  // Categories nest through parent_id. Walks up or down the hierarchy stop
+  // at this depth, so a parent_id cycle can't recurse forever.
+  const MAX_CATEGORY_DEPTH = 10;
+
+  // A category's id followed by the ids of everything below it
+  const CATEGORY_SUBTREE_SQL = `
+    WITH RECURSIVE subtree(id, depth) AS (
+      SELECT ?, 0
+      UNION ALL
+      SELECT c.id, subtree.depth + 1
+      FROM categories c
+      JOIN subtree ON c.parent_id = subtree.id
+      WHERE subtree.depth < ?
+    )
+    SELECT id FROM subtree`;
+
+  // The categories above one, root first. In a parent_id cycle each
+  // category is listed once and the starting one not at all.
+  async function queryCategoryAncestors(db, categoryId) {
+    const result = await db.prepare(`
+      WITH RECURSIVE chain(id, parent_id, depth) AS (
+        SELECT id, parent_id, 0 FROM categories WHERE id = ?
+        UNION ALL
+        SELECT c.id, c.parent_id, chain.depth + 1
+        FROM categories c
+        JOIN chain ON c.id = chain.parent_id
+        WHERE chain.depth < ?
+      )
+      SELECT c.id, c.slug, c.name
+      FROM chain
+      JOIN categories c ON c.id = chain.id
+      WHERE chain.depth > 0 AND chain.id != ?
+      GROUP BY c.id
+      ORDER BY MIN(chain.depth) DESC
+    `).bind(categoryId, MAX_CATEGORY_DEPTH, categoryId).all();
+
+    return result.results;
+  }
+
+  // Get single category by slug, with its ancestors (root first, for
+  // breadcrumbs) and direct subcategories
   async function getCategory(db, slug, corsHeaders) {
     try {
       const query = `
@@ -275,193 +511,700 @@ export default {
       const result = await db.prepare(query).bind(slug).first();
   
       if (!result) {
-        return jsonResponse({ error: 'Category not found' }, 404, corsHeaders);
+        return errorResponse('Category not found', 404, corsHeaders);
       }
+
+      const [ancestors, children] = await Promise.all([
+        queryCategoryAncestors(db, result.id),
+        db.prepare(`
+          SELECT id, slug, name, description, image_url, recipe_count, featured, sort_order
+          FROM categories
+          WHERE parent_id = ? AND id != ?
+          ORDER BY sort_order ASC, name ASC
+        `).bind(result.id, result.id).all()
+      ]);
   
       return jsonResponse({
         success: true,
         data: {
           ...result,
-          featured: !!result.featured
+          featured: !!result.featured,
+          ancestors,
+          children: children.results.map(child => ({ ...child, featured: !!child.featured }))
         }
       }, 200, corsHeaders);
     } catch (error) {
       console.error('Error fetching category:', error);
-      return jsonResponse({ error: 'Failed to fetch category' }, 500, corsHeaders);
+      return errorResponse('Failed to fetch category', 500, corsHeaders);
     }
   }
-  
-  // Get recipes in a specific category
-  async function getCategoryRecipes(db, categorySlug, searchParams, corsHeaders) {
+
+  // The whole hierarchy as nested `children` arrays, each level in
+  // sort_order. A category whose parent is missing, or that sits in a
+  // parent_id cycle or deeper than MAX_CATEGORY_DEPTH, is listed as a root.
+  async function getCategoryTree(db, corsHeaders) {
     try {
-      const limit = parseInt(searchParams.get('limit')) || 20;
-      const offset = parseInt(searchParams.get('offset')) || 0;
-      const sortBy = searchParams.get('sort_by') || 'created_at';
-      const sortOrder = searchParams.get('sort_order') || 'DESC';
-  
-      const query = `
-        SELECT DISTINCT r.id, r.slug, r.title, r.description, r.prep_time,
-               r.cook_time, r.total_time, r.servings, r.difficulty, r.image_url,
-               r.rating, r.review_count, r.calories, r.featured, r.tags,
-               r.created_at, r.updated_at,
-               a.name as author_name, a.avatar_url as author_avatar
-        FROM recipes r
-        JOIN recipe_categories rc ON r.id = rc.recipe_id
-        JOIN categories c ON rc.category_id = c.id
-        LEFT JOIN authors a ON r.author_id = a.id
-        WHERE c.slug = ? AND r.status = 'published'
-        ORDER BY r.${sortBy} ${sortOrder}
-        LIMIT ? OFFSET ?
-      `;
-  
-      const validSortColumns = ['created_at', 'updated_at', 'title', 'rating', 'total_time'];
-      const validSortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
-      const validSortOrder = ['ASC', 'DESC'].includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
-  
-      const result = await db.prepare(query).bind(categorySlug, limit, offset).all();
-  
-      const recipes = result.results.map(recipe => ({
-        ...recipe,
-        tags: recipe.tags ? JSON.parse(recipe.tags) : [],
-        featured: !!recipe.featured
-      }));
-  
+      const result = await db.prepare(`
+        SELECT id, slug, name, description, image_url, parent_id,
+               recipe_count, featured, sort_order
+        FROM categories
+        ORDER BY sort_order ASC, name ASC
+      `).all();
+
+      const nodes = new Map(result.results.map(row => [row.id, { ...row, featured: !!row.featured, children: [] }]));
+
+      const isRooted = node => {
+        let current = node;
+        for (let depth = 0; depth < MAX_CATEGORY_DEPTH; depth++) {
+          if (!nodes.has(current.parent_id)) return true;
+          current = nodes.get(current.parent_id);
+        }
+        return false;
+      };
+
+      const roots = [];
+      nodes.forEach(node => {
+        const parent = nodes.get(node.parent_id);
+        if (parent && parent !== node && isRooted(node)) {
+          parent.children.push(node);
+        } else {
+          roots.push(node);
+        }
+      });
+
       return jsonResponse({
         success: true,
-        data: recipes,
-        total: recipes.length,
-        pagination: {
-          limit,
-          offset,
-          hasMore: recipes.length === limit
-        }
+        data: roots,
+        total: nodes.size
       }, 200, corsHeaders);
     } catch (error) {
-      console.error('Error fetching category recipes:', error);
-      return jsonResponse({ error: 'Failed to fetch category recipes' }, 500, corsHeaders);
+      console.error('Error fetching category tree:', error);
+      return errorResponse('Failed to fetch category tree', 500, corsHeaders);
     }
   }
   
-  // Search recipes
-  async function searchRecipes(db, searchParams, corsHeaders) {
+  const CATEGORY_RECIPES_QUERY = {
+    include_descendants: { type: 'boolean' }
+  };
+
+  // Get recipes in a specific category; include_descendants=true adds the
+  // recipes of every subcategory below it (each recipe once). Takes the
+  // listing filters too (difficulty, max_time, ..., see buildRecipeFilters).
+  async function getCategoryRecipes(db, categorySlug, searchParams, corsHeaders) {
     try {
-      const query = searchParams.get('q') || '';
-      const category = searchParams.get('category');
-      const difficulty = searchParams.get('difficulty');
-      const maxTime = searchParams.get('max_time');
-      const limit = parseInt(searchParams.get('limit')) || 20;
-      const offset = parseInt(searchParams.get('offset')) || 0;
-  
-      if (!query.trim()) {
-        return jsonResponse({ error: 'Search query is required' }, 400, corsHeaders);
-      }
-  
-      let sqlQuery = `
-        SELECT DISTINCT r.id, r.slug, r.title, r.description, r.prep_time,
-               r.cook_time, r.total_time, r.servings, r.difficulty, r.image_url,
-               r.rating, r.review_count, r.calories, r.featured, r.tags,
-               r.created_at, r.updated_at,
-               a.name as author_name, a.avatar_url as author_avatar
-        FROM recipes r
-        JOIN recipe_search_index rsi ON r.id = rsi.recipe_id
-        LEFT JOIN authors a ON r.author_id = a.id
-        LEFT JOIN recipe_categories rc ON r.id = rc.recipe_id
-        LEFT JOIN categories c ON rc.category_id = c.id
-        WHERE r.status = 'published' AND rsi.search_text LIKE ?
-      `;
-      const params = [`%${query.toLowerCase()}%`];
-  
-      if (category) {
-        sqlQuery += ` AND c.slug = ?`;
-        params.push(category);
+      const query = validateQuery(searchParams, CATEGORY_RECIPES_QUERY);
+      const { filters, selected, details } = buildRecipeFilters(searchParams);
+
+      if (query.details.length || details) {
+        return validationErrorResponse([...query.details, ...(details || [])], corsHeaders);
       }
-  
-      if (difficulty) {
-        sqlQuery += ` AND r.difficulty = ?`;
-        params.push(difficulty);
+
+      const includeDescendants = !!query.values.include_descendants;
+
+      const category = await db.prepare(`SELECT id FROM categories WHERE slug = ?`).bind(categorySlug).first();
+
+      if (!category) {
+        return errorResponse('Category not found', 404, corsHeaders);
       }
-  
-      if (maxTime) {
-        sqlQuery += ` AND r.total_time <= ?`;
-        params.push(parseInt(maxTime));
+
+      const inCategory = includeDescendants
+        ? { clause: `rc.category_id IN (${CATEGORY_SUBTREE_SQL})`, params: [category.id, MAX_CATEGORY_DEPTH] }
+        : { clause: 'rc.category_id = ?', params: [category.id] };
+
+      const page = await listQuery(db, {
+        list: 'recipes',
+        query: `
+          SELECT r.id, r.slug, r.title, r.description, r.prep_time,
+                 r.cook_time, r.total_time, r.servings, r.difficulty, r.image_url,
+                 r.rating, r.review_count, r.calories, r.featured, r.tags,
+                 r.created_at, r.updated_at,
+                 a.name as author_name, a.avatar_url as author_avatar
+          FROM recipes r
+          LEFT JOIN authors a ON r.author_id = a.id
+        `,
+        conditions: [
+          PUBLISHED_RECIPE,
+          {
+            clause: `EXISTS (SELECT 1 FROM recipe_categories rc WHERE rc.recipe_id = r.id AND ${inCategory.clause})`,
+            params: inCategory.params
+          },
+          ...filters
+        ],
+        searchParams,
+        basePath: `/api/categories/${encodeURIComponent(categorySlug)}/recipes`
+      });
+
+      if (page.details) {
+        return validationErrorResponse(page.details, corsHeaders);
       }
-  
-      sqlQuery += ` ORDER BY r.rating DESC, r.created_at DESC LIMIT ? OFFSET ?`;
-      params.push(limit, offset);
-  
-      const result = await db.prepare(sqlQuery).bind(...params).all();
-  
-      const recipes = result.results.map(recipe => ({
+
+      const recipes = page.rows.map(recipe => ({
         ...recipe,
         tags: recipe.tags ? JSON.parse(recipe.tags) : [],
         featured: !!recipe.featured
       }));
-  
+
       return jsonResponse({
         success: true,
         data: recipes,
-        query,
-        total: recipes.length,
-        pagination: {
-          limit,
-          offset,
-          hasMore: recipes.length === limit
-        }
+        total_count: page.totalCount,
+        filters: selected,
+        pagination: page.pagination
       }, 200, corsHeaders);
     } catch (error) {
-      console.error('Error searching recipes:', error);
-      return jsonResponse({ error: 'Failed to search recipes' }, 500, corsHeaders);
+      console.error('Error fetching category recipes:', error);
+      return errorResponse('Failed to fetch category recipes', 500, corsHeaders);
     }
   }
-  
-  // Get recipe reviews
-  async function getRecipeReviews(db, recipeSlug, searchParams, corsHeaders) {
-    try {
-      const limit = parseInt(searchParams.get('limit')) || 10;
-      const offset = parseInt(searchParams.get('offset')) || 0;
-      const sortBy = searchParams.get('sort_by') || 'created_at';
-      const sortOrder = searchParams.get('sort_order') || 'DESC';
-  
-      // First get the recipe ID
-      const recipeResult = await db.prepare('SELECT id FROM recipes WHERE slug = ?').bind(recipeSlug).first();
-      
-      if (!recipeResult) {
-        return jsonResponse({ error: 'Recipe not found' }, 404, corsHeaders);
+
+  // FTS5 column weights, in recipe_fts column order:
+  // title, description, tags, ingredients, instructions
+  const SEARCH_COLUMN_WEIGHTS = [10.0, 3.0, 5.0, 2.0, 1.0];
+
+  // Turn free text into a safe FTS5 MATCH expression. "Quoted text" becomes
+  // a phrase, every other word a prefix term, and all parts must match.
+  function buildFtsQuery(input) {
+    const parts = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      if (match[1] !== undefined) {
+        const phrase = match[1].replace(/[^\p{L}\p{N}\s]+/gu, ' ').trim();
+        if (phrase) parts.push(`"${phrase}"`);
+      } else {
+        match[2]
+          .split(/[^\p{L}\p{N}]+/u)
+          .filter(Boolean)
+          .forEach(term => parts.push(`"${term}"*`));
       }
-  
-      const query = `
-        SELECT id, reviewer_name, rating, title, comment, helpful_count, created_at
-        FROM reviews
-        WHERE recipe_id = ? AND status = 'published'
-        ORDER BY ${sortBy} ${sortOrder}
-        LIMIT ? OFFSET ?
-      `;
-  
-      const validSortColumns = ['created_at', 'rating', 'helpful_count'];
-      const validSortColumn = validSortColumns.includes(sortBy) ? sortBy : 'created_at';
-      const validSortOrder = ['ASC', 'DESC'].includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
-  
-      const result = await db.prepare(query).bind(recipeResult.id, limit, offset).all();
-  
-      // Get review statistics
-      const statsQuery = `
-        SELECT 
-          COUNT(*) as total_reviews,
-          AVG(CAST(rating AS REAL)) as average_rating,
-          COUNT(CASE WHEN rating = 5 THEN 1 END) as five_star,
-          COUNT(CASE WHEN rating = 4 THEN 1 END) as four_star,
-          COUNT(CASE WHEN rating = 3 THEN 1 END) as three_star,
-          COUNT(CASE WHEN rating = 2 THEN 1 END) as two_star,
-          COUNT(CASE WHEN rating = 1 THEN 1 END) as one_star
-        FROM reviews
-        WHERE recipe_id = ? AND status = 'published'
-      `;
-  
-      const statsResult = await db.prepare(statsQuery).bind(recipeResult.id).first();
-  
-      return jsonResponse({
-        success: true,
-        data: result.results,
+    }
+
+    return parts.join(' ');
+  }
+
+  // Words of a query as the FTS tokenizer sees them: lowercase, no accents
+  function searchTerms(input) {
+    return input
+      .normalize('NFD')
+      .replace(/\p{M}+/gu, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  // Edit distance counting a swap of neighbouring letters as one edit
+  function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return rows[a.length][b.length];
+  }
+
+  const SPELLING_SAMPLE_SIZE = 200;
+  const MIN_CORRECTABLE_LENGTH = 3;
+
+  // Closest title or tag word to a term nothing is indexed under. Candidates
+  // are drawn from recipes with a word sharing the term's first two letters;
+  // the nearest within one edit (two for longer terms) wins, and ties go to
+  // the more common word. Returns null when nothing is close enough.
+  async function correctTerm(db, term) {
+    const { results } = await db.prepare(`
+      SELECT recipe_fts.title, recipe_fts.tags
+      FROM recipe_fts
+      JOIN recipes r ON r.id = recipe_fts.rowid
+      WHERE recipe_fts MATCH ? AND r.status = 'published'
+      LIMIT ?
+    `).bind(`{title tags} : "${term.slice(0, 2)}"*`, SPELLING_SAMPLE_SIZE).all();
+
+    const maxDistance = term.length > 5 ? 2 : 1;
+    const frequency = new Map();
+    results.forEach(row => {
+      searchTerms(`${row.title} ${row.tags || ''}`).forEach(word => {
+        frequency.set(word, (frequency.get(word) || 0) + 1);
+      });
+    });
+
+    let best = null;
+    for (const [word, count] of frequency) {
+      if (Math.abs(word.length - term.length) > maxDistance) continue;
+
+      const distance = editDistance(term, word);
+      if (distance > maxDistance) continue;
+
+      if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+        best = { word, distance, count };
+      }
+    }
+
+    return best ? best.word : null;
+  }
+
+  // "Did you mean" for a search that found nothing: every term no recipe
+  // contains is swapped for its closest spelling, and the corrected query is
+  // only offered if it finds something under the same refinements.
+  async function suggestSpelling(db, query, filters) {
+    const terms = searchTerms(query);
+    if (!terms.length) return null;
+
+    const matches = await db.batch(terms.map(term => db.prepare(`
+      SELECT 1 as found FROM recipe_fts WHERE recipe_fts MATCH ? LIMIT 1
+    `).bind(`"${term}"*`)));
+
+    const corrected = [...terms];
+    let changed = false;
+
+    for (const [index, term] of terms.entries()) {
+      if (matches[index].results.length || term.length < MIN_CORRECTABLE_LENGTH || /^\p{N}+$/u.test(term)) continue;
+
+      const replacement = await correctTerm(db, term);
+      if (replacement && replacement !== term) {
+        corrected[index] = replacement;
+        changed = true;
+      }
+    }
+
+    if (!changed) return null;
+
+    const suggestion = corrected.join(' ');
+    const where = filterSql(filters);
+    const row = await db.prepare(`
+      SELECT COUNT(*) as count
+      FROM recipe_fts
+      JOIN recipes r ON r.id = recipe_fts.rowid
+      WHERE recipe_fts MATCH ? AND r.status = 'published'${where.sql}
+    `).bind(buildFtsQuery(suggestion), ...where.params).first();
+
+    return row.count > 0 ? { query: suggestion, total_count: row.count } : null;
+  }
+
+  const SEARCH_QUERY = {
+    q: { type: 'string', required: true, maxLength: 200 }
+  };
+
+  // FTS highlight()/snippet() output, marked with \x01 and \x02 rather
+  // than tags, as HTML: the text escaped and only the marks as <mark>
+  function markHighlights(text) {
+    if (text === null || text === undefined) return text;
+    return escapeHtml(text).replaceAll('\x01', '<mark>').replaceAll('\x02', '</mark>');
+  }
+
+  // Search recipes. Refinements are the listing filters (category,
+  // difficulty, max_time and the rest, see buildRecipeFilters); facets=true
+  // adds counts for them within the matches. A search with no results
+  // carries `did_you_mean` when a respelling would find some.
+  async function searchRecipes(db, searchParams, corsHeaders) {
+    try {
+      const { values, details: queryDetails } = validateQuery(searchParams, SEARCH_QUERY);
+
+      if (queryDetails.length) {
+        return validationErrorResponse(queryDetails, corsHeaders);
+      }
+
+      const query = values.q;
+      const ftsQuery = buildFtsQuery(query);
+
+      if (!ftsQuery) {
+        return validationErrorResponse([fieldError('q', 'invalid_value', 'q must contain letters or numbers')], corsHeaders);
+      }
+
+      const { filters, selected, details } = buildRecipeFilters(searchParams);
+
+      if (details) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      // bm25() is lower-is-better; rating breaks ties between equal matches
+      const page = await listQuery(db, {
+        query: `
+          SELECT r.id, r.slug, r.title, r.description, r.prep_time,
+                 r.cook_time, r.total_time, r.servings, r.difficulty, r.image_url,
+                 r.rating, r.review_count, r.calories, r.featured, r.tags,
+                 r.created_at, r.updated_at,
+                 a.name as author_name, a.avatar_url as author_avatar,
+                 bm25(recipe_fts, ${SEARCH_COLUMN_WEIGHTS.join(', ')}) as score,
+                 highlight(recipe_fts, 0, char(1), char(2)) as title_highlight,
+                 snippet(recipe_fts, -1, char(1), char(2), '…', 16) as snippet
+          FROM recipe_fts
+          JOIN recipes r ON r.id = recipe_fts.rowid
+          LEFT JOIN authors a ON r.author_id = a.id
+        `,
+        conditions: [{ clause: 'recipe_fts MATCH ?', params: [ftsQuery] }, PUBLISHED_RECIPE, ...filters],
+        sort: [sortKey('score', 'ASC'), sortKey('rating', 'DESC')],
+        searchParams,
+        basePath: '/api/search'
+      });
+
+      if (page.details) {
+        return validationErrorResponse(page.details, corsHeaders);
+      }
+  
+      const recipes = page.rows.map(({ score, title_highlight, snippet, ...recipe }) => ({
+        ...recipe,
+        tags: recipe.tags ? JSON.parse(recipe.tags) : [],
+        featured: !!recipe.featured,
+        relevance: -score,
+        highlights: {
+          title: markHighlights(title_highlight),
+          snippet: markHighlights(snippet)
+        }
+      }));
+
+      // Facet counts stay within the recipes the query matches
+      const matching = { facet: 'q', clause: 'r.id IN (SELECT rowid FROM recipe_fts WHERE recipe_fts MATCH ?)', params: [ftsQuery] };
+      const facets = searchParams.get('facets') === 'true'
+        ? await queryRecipeFacets(db, [matching, ...filters], selected)
+        : undefined;
+
+      const didYouMean = page.totalCount === 0 && !searchParams.get('cursor')
+        ? await suggestSpelling(db, query, filters)
+        : null;
+  
+      return jsonResponse({
+        success: true,
+        data: recipes,
+        query,
+        total_count: page.totalCount,
+        filters: selected,
+        facets,
+        did_you_mean: didYouMean,
+        pagination: page.pagination
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error searching recipes:', error);
+      return errorResponse('Failed to search recipes', 500, corsHeaders);
+    }
+  }
+  
+  const MAX_INGREDIENT_TERMS = 20;
+
+  // The trigram index behind ingredient matching needs this many characters
+  const MIN_INGREDIENT_TERM_LENGTH = 3;
+
+  // Split a comma-separated ingredient list into normalized search terms,
+  // adding simple singular/plural variants so "egg" also matches "eggs".
+  // Variants shorter than MIN_INGREDIENT_TERM_LENGTH are left out, so a
+  // short term in the result is one the request gave.
+  function parseIngredientTerms(value) {
+    const terms = new Set();
+    const addVariant = variant => {
+      if (variant.length >= MIN_INGREDIENT_TERM_LENGTH) terms.add(variant);
+    };
+
+    (value || '').split(',').slice(0, MAX_INGREDIENT_TERMS).forEach(raw => {
+      const term = raw.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+      if (!term) return;
+
+      terms.add(term);
+      if (/(?:ch|sh|s|x|z|o)es$/.test(term)) {
+        addVariant(term.slice(0, -2));
+      } else if (/ies$/.test(term)) {
+        addVariant(`${term.slice(0, -3)}y`);
+      } else if (/[^s]s$/.test(term)) {
+        addVariant(term.slice(0, -1));
+      } else {
+        addVariant(`${term}s`);
+        addVariant(`${term}es`);
+      }
+    });
+
+    return [...terms];
+  }
+
+  // An FTS5 query for recipe_ingredient_fts matching any of the terms as a
+  // substring. Terms are letters, digits and spaces, so quoting is enough.
+  function ingredientMatchQuery(terms) {
+    return terms.map(term => `"${term}"`).join(' OR ');
+  }
+
+  const INGREDIENT_SEARCH_QUERY = {
+    have: { type: 'string', required: true, maxLength: 1000 },
+    exclude: { type: 'string', maxLength: 1000 },
+    max_missing: { type: 'integer', min: 0, max: 100 }
+  };
+
+  // Find recipes by ingredients on hand: ?have=chicken,rice&exclude=nuts.
+  // `have` matches whole words ("rice" but not "licorice"). `exclude` is
+  // meant for allergies and errs towards leaving recipes out: it matches
+  // anywhere in an ingredient name, so "nuts" also excludes walnuts, peanut
+  // butter, coconut and nutmeg.
+  async function getRecipesByIngredients(db, searchParams, corsHeaders) {
+    try {
+      const { values, details } = validateQuery(searchParams, INGREDIENT_SEARCH_QUERY);
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const have = parseIngredientTerms(values.have);
+      const exclude = parseIngredientTerms(values.exclude);
+
+      if (have.length === 0) {
+        return validationErrorResponse([fieldError('have', 'required', 'At least one ingredient is required in "have"')], corsHeaders);
+      }
+
+      const termDetails = [['have', have], ['exclude', exclude]]
+        .filter(([, terms]) => terms.some(term => term.length < MIN_INGREDIENT_TERM_LENGTH))
+        .map(([field]) => fieldError(field, 'too_short', `Ingredients in "${field}" must be at least ${MIN_INGREDIENT_TERM_LENGTH} characters`));
+
+      if (termDetails.length) {
+        return validationErrorResponse(termDetails, corsHeaders);
+      }
+
+      const conditions = [PUBLISHED_RECIPE];
+
+      if (exclude.length) {
+        conditions.push({
+          clause: `s.recipe_id NOT IN (
+            SELECT ri.recipe_id FROM recipe_ingredients ri
+            WHERE ri.id IN (SELECT rowid FROM recipe_ingredient_fts WHERE recipe_ingredient_fts MATCH ?)
+          )`,
+          params: [ingredientMatchQuery(exclude)]
+        });
+      }
+
+      if (values.max_missing !== undefined) {
+        conditions.push({ clause: 's.required_count - s.have_count <= ?', params: [values.max_missing] });
+      }
+
+      // The trigram index finds the ingredients containing a term, and only
+      // their recipes are scored. Within those, names are padded with spaces
+      // so a term only counts as on hand when it is a whole word; the terms
+      // are bound as a JSON array and expanded with json_each.
+      // Best coverage first, then fewest missing items, then rating.
+      const page = await listQuery(db, {
+        query: `
+          WITH candidates AS (
+            SELECT rowid AS id FROM recipe_ingredient_fts WHERE recipe_ingredient_fts MATCH ?
+          ),
+          matched AS (
+            SELECT ri.recipe_id, ri.item, ri.optional,
+                   ri.id IN (SELECT id FROM candidates) AND EXISTS (
+                     SELECT 1 FROM json_each(?) term
+                     WHERE ' ' || ri.name || ' ' LIKE '% ' || term.value || ' %'
+                   ) AS have
+            FROM recipe_ingredients ri
+            WHERE ri.recipe_id IN (
+              SELECT recipe_id FROM recipe_ingredients WHERE id IN (SELECT id FROM candidates)
+            )
+          ),
+          scores AS (
+            SELECT recipe_id,
+                   SUM(CASE WHEN optional THEN 0 ELSE 1 END) AS required_count,
+                   SUM(CASE WHEN have AND NOT optional THEN 1 ELSE 0 END) AS have_count,
+                   json_group_array(item) FILTER (WHERE NOT have AND NOT optional) AS missing
+            FROM matched
+            GROUP BY recipe_id
+            HAVING SUM(have) > 0
+          )
+          SELECT r.id, r.slug, r.title, r.description, r.prep_time,
+                 r.cook_time, r.total_time, r.servings, r.difficulty, r.image_url,
+                 r.rating, r.review_count, r.calories, r.featured, r.tags,
+                 r.created_at, r.updated_at,
+                 a.name as author_name, a.avatar_url as author_avatar,
+                 s.required_count, s.have_count, s.missing,
+                 CAST(s.have_count AS REAL) / MAX(s.required_count, 1) AS coverage,
+                 s.required_count - s.have_count AS missing_count
+          FROM scores s
+          JOIN recipes r ON r.id = s.recipe_id
+          LEFT JOIN authors a ON r.author_id = a.id
+        `,
+        params: [ingredientMatchQuery(have), JSON.stringify(have)],
+        conditions,
+        sort: [sortKey('coverage', 'DESC'), sortKey('missing_count', 'ASC'), sortKey('rating', 'DESC')],
+        searchParams,
+        basePath: '/api/recipes/by-ingredients'
+      });
+
+      if (page.details) {
+        return validationErrorResponse(page.details, corsHeaders);
+      }
+
+      const recipes = page.rows.map(({ required_count, have_count, missing, coverage, missing_count, ...recipe }) => ({
+        ...recipe,
+        tags: recipe.tags ? JSON.parse(recipe.tags) : [],
+        featured: !!recipe.featured,
+        ingredient_match: {
+          have: have_count,
+          required: required_count,
+          missing: missing ? JSON.parse(missing) : []
+        }
+      }));
+
+      return jsonResponse({
+        success: true,
+        data: recipes,
+        total_count: page.totalCount,
+        pagination: page.pagination
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error finding recipes by ingredients:', error);
+      return errorResponse('Failed to find recipes by ingredients', 500, corsHeaders);
+    }
+  }
+
+  const MAX_BATCH_RECIPES = 100;
+
+  // Comma-separated lists, so only their overall length is bounded here
+  const RECIPE_BATCH_QUERY = {
+    ids: { type: 'string', maxLength: 2000 },
+    slugs: { type: 'string', maxLength: 20000 }
+  };
+
+  // Card data for many known recipes in one query: ?ids=1,2,3 and/or ?slugs=a,b
+  async function getRecipesBatch(db, searchParams, corsHeaders) {
+    try {
+      const { values, details } = validateQuery(searchParams, RECIPE_BATCH_QUERY);
+      const splitList = value => (value || '').split(',').map(part => part.trim()).filter(Boolean);
+      const rawIds = splitList(values.ids);
+      const slugs = [...new Set(splitList(values.slugs))];
+
+      if (!details.length && rawIds.length === 0 && slugs.length === 0) {
+        details.push(fieldError('ids', 'required', 'ids or slugs is required'));
+      }
+
+      if (rawIds.some(id => !/^\d+$/.test(id))) {
+        details.push(fieldError('ids', 'invalid_format', 'ids must be comma-separated recipe ids'));
+      }
+
+      if (slugs.some(slug => !/^[\w-]+$/.test(slug))) {
+        details.push(fieldError('slugs', 'invalid_format', 'slugs must be comma-separated recipe slugs'));
+      }
+
+      const ids = [...new Set(rawIds.map(id => parseInt(id)))];
+
+      if (ids.length + slugs.length > MAX_BATCH_RECIPES) {
+        details.push(fieldError('ids', 'too_long', `At most ${MAX_BATCH_RECIPES} recipes can be fetched at once`));
+      }
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      // Both lists are bound as JSON arrays, so the batch size never hits
+      // D1's bound parameter limit
+      const query = `
+        SELECT r.id, r.slug, r.title, r.description, r.prep_time,
+               r.cook_time, r.total_time, r.servings, r.difficulty, r.image_url,
+               r.rating, r.review_count, r.calories, r.featured, r.tags,
+               r.created_at, r.updated_at,
+               a.name as author_name, a.avatar_url as author_avatar,
+               (SELECT json_group_array(json_object('id', c.id, 'slug', c.slug, 'name', c.name))
+                FROM recipe_categories rc
+                JOIN categories c ON rc.category_id = c.id
+                WHERE rc.recipe_id = r.id) as categories
+        FROM recipes r
+        LEFT JOIN authors a ON r.author_id = a.id
+        WHERE r.status = 'published'
+          AND (r.id IN (SELECT value FROM json_each(?))
+               OR r.slug IN (SELECT value FROM json_each(?)))
+      `;
+
+      const result = await db.prepare(query)
+        .bind(JSON.stringify(ids), JSON.stringify(slugs))
+        .all();
+
+      const byId = new Map();
+      const bySlug = new Map();
+      result.results.forEach(row => {
+        const recipe = {
+          ...row,
+          tags: row.tags ? JSON.parse(row.tags) : [],
+          categories: JSON.parse(row.categories),
+          featured: !!row.featured
+        };
+        byId.set(recipe.id, recipe);
+        bySlug.set(recipe.slug, recipe);
+      });
+
+      // Keep the requested order (ids, then slugs) and report what wasn't found
+      const recipes = [];
+      const seen = new Set();
+      const addRecipe = recipe => {
+        if (!seen.has(recipe.id)) {
+          seen.add(recipe.id);
+          recipes.push(recipe);
+        }
+      };
+      ids.filter(id => byId.has(id)).forEach(id => addRecipe(byId.get(id)));
+      slugs.filter(slug => bySlug.has(slug)).forEach(slug => addRecipe(bySlug.get(slug)));
+
+      return jsonResponse({
+        success: true,
+        data: recipes,
+        total: recipes.length,
+        missing: {
+          ids: ids.filter(id => !byId.has(id)),
+          slugs: slugs.filter(slug => !bySlug.has(slug))
+        }
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error fetching recipe batch:', error);
+      return errorResponse('Failed to fetch recipes', 500, corsHeaders);
+    }
+  }
+  
+  // Get recipe reviews
+  async function getRecipeReviews(db, recipeSlug, searchParams, corsHeaders) {
+    try {
+      // First get the recipe ID
+      const recipeResult = await db.prepare('SELECT id FROM recipes WHERE slug = ?').bind(recipeSlug).first();
+
+      if (!recipeResult) {
+        return errorResponse('Recipe not found', 404, corsHeaders);
+      }
+
+      // Get review statistics
+      const statsQuery = `
+        SELECT 
+          COUNT(*) as total_reviews,
+          AVG(CAST(rating AS REAL)) as average_rating,
+          COUNT(CASE WHEN rating = 5 THEN 1 END) as five_star,
+          COUNT(CASE WHEN rating = 4 THEN 1 END) as four_star,
+          COUNT(CASE WHEN rating = 3 THEN 1 END) as three_star,
+          COUNT(CASE WHEN rating = 2 THEN 1 END) as two_star,
+          COUNT(CASE WHEN rating = 1 THEN 1 END) as one_star
+        FROM reviews
+        WHERE recipe_id = ? AND status = 'published'
+      `;
+  
+      const statsResult = await db.prepare(statsQuery).bind(recipeResult.id).first();
+
+      // The statistics already count every published review
+      const page = await listQuery(db, {
+        list: 'reviews',
+        query: `
+          SELECT id, reviewer_name, rating, title, comment, helpful_count, created_at
+          FROM reviews
+        `,
+        conditions: [
+          { clause: 'recipe_id = ?', params: [recipeResult.id] },
+          { clause: `status = 'published'`, params: [] }
+        ],
+        searchParams,
+        basePath: `/api/recipes/${encodeURIComponent(recipeSlug)}/reviews`,
+        defaultLimit: 10,
+        totalCount: statsResult.total_reviews
+      });
+
+      if (page.details) {
+        return validationErrorResponse(page.details, corsHeaders);
+      }
+  
+      return jsonResponse({
+        success: true,
+        data: page.rows,
+        total_count: page.totalCount,
         statistics: {
           total_reviews: statsResult.total_reviews,
           average_rating: Math.round(statsResult.average_rating * 10) / 10,
@@ -473,40 +1216,92 @@ export default {
             1: statsResult.one_star
           }
         },
-        pagination: {
-          limit,
-          offset,
-          hasMore: result.results.length === limit
-        }
+        pagination: page.pagination
       }, 200, corsHeaders);
     } catch (error) {
       console.error('Error fetching reviews:', error);
-      return jsonResponse({ error: 'Failed to fetch reviews' }, 500, corsHeaders);
+      return errorResponse('Failed to fetch reviews', 500, corsHeaders);
     }
   }
   
-  // Add a new review
-  async function addReview(db, recipeSlug, request, corsHeaders) {
+  const REVIEW_INPUT = {
+    reviewer_name: { type: 'string', required: true, maxLength: 100 },
+    reviewer_email: { type: 'string', maxLength: 254, format: 'email', case: 'lower' },
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    title: { type: 'string', maxLength: 150 },
+    comment: { type: 'string', maxLength: 5000 },
+    // Turnstile token, required when TURNSTILE_SECRET_KEY is set
+    verification_token: { type: 'string', maxLength: 2048 },
+    // Honeypot: hidden from people, so only bots fill it in
+    website: { type: 'string' }
+  };
+
+  // Add a new review. Every review waits for a moderator, with the spam
+  // heuristics it tripped in spam_flags; only when AUTO_PUBLISH_REVIEWS is
+  // "true" do reviews that tripped none go live straight away.
+  async function addReview(env, recipeSlug, request, corsHeaders) {
     try {
-      const body = await request.json();
-      const { reviewer_name, reviewer_email, rating, title, comment } = body;
-  
-      // Validation
-      if (!reviewer_name || !rating || rating < 1 || rating > 5) {
-        return jsonResponse({ error: 'Invalid review data' }, 400, corsHeaders);
+      const db = env.DB;
+      const { values, details } = validateBody(await readJsonBody(request), REVIEW_INPUT);
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const { reviewer_name, reviewer_email, rating, title, comment } = values;
+
+      // Answer bots as if the review was queued, so they learn nothing
+      if (values.website) {
+        return jsonResponse({
+          success: true,
+          message: 'Review submitted and awaiting moderation',
+          status: 'pending'
+        }, 201, corsHeaders);
+      }
+
+      const ip = request.headers.get('CF-Connecting-IP');
+      const ipHash = ip && await hashToken(ip);
+
+      const retryAfter = await checkRateLimits(db, 'review', REVIEW_RATE_LIMITS, { ipHash, email: reviewer_email });
+      if (retryAfter) {
+        return errorResponse('Too many reviews submitted, please try again later', 429, {
+          ...corsHeaders,
+          'Retry-After': String(retryAfter)
+        });
+      }
+
+      const challengeError = await verifyReviewChallenge(env, values.verification_token, ip);
+      if (challengeError) {
+        return validationErrorResponse([challengeError], corsHeaders);
       }
   
       // Get recipe ID
       const recipeResult = await db.prepare('SELECT id FROM recipes WHERE slug = ?').bind(recipeSlug).first();
       
       if (!recipeResult) {
-        return jsonResponse({ error: 'Recipe not found' }, 404, corsHeaders);
+        return errorResponse('Recipe not found', 404, corsHeaders);
+      }
+
+      const text = normalizeReviewText([title, comment].filter(Boolean).join(' '));
+
+      if (await isDuplicateReview(db, { recipeId: recipeResult.id, ipHash, email: reviewer_email, text })) {
+        return errorResponse('You have already submitted this review', 409, corsHeaders);
+      }
+
+      const contentHash = text ? await hashToken(text) : null;
+      const flags = reviewSpamFlags(values);
+
+      if (text.length >= COPIED_TEXT_MIN_LENGTH &&
+          await db.prepare('SELECT 1 FROM reviews WHERE content_hash = ? LIMIT 1').bind(contentHash).first()) {
+        flags.push('copied_text');
       }
+
+      const status = !flags.length && env.AUTO_PUBLISH_REVIEWS === 'true' ? 'published' : 'pending';
   
-      // Insert review
       const insertQuery = `
-        INSERT INTO reviews (recipe_id, reviewer_name, reviewer_email, rating, title, comment)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO reviews (recipe_id, reviewer_name, reviewer_email, rating, title, comment,
+                             status, spam_flags, ip_hash, content_hash)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
   
       const result = await db.prepare(insertQuery).bind(
@@ -515,92 +1310,2952 @@ export default {
         reviewer_email || null,
         rating,
         title || null,
-        comment || null
+        comment || null,
+        status,
+        flags.length ? JSON.stringify(flags) : null,
+        ipHash || null,
+        contentHash
       ).run();
   
       if (result.success) {
+        // Published reviews change the recipe's rating and review count
+        if (status === 'published') {
+          await purgeEdgeCache(db, await recipeCacheTags(db, [recipeResult.id]));
+        }
+
         return jsonResponse({
           success: true,
-          message: 'Review added successfully',
-          id: result.meta.last_row_id
+          message: status === 'published' ? 'Review published' : 'Review submitted and awaiting moderation',
+          id: result.meta.last_row_id,
+          status
         }, 201, corsHeaders);
       } else {
         throw new Error('Failed to insert review');
       }
     } catch (error) {
       console.error('Error adding review:', error);
-      return jsonResponse({ error: 'Failed to add review' }, 500, corsHeaders);
+      return errorResponse('Failed to add review', 500, corsHeaders);
     }
   }
   
-  // Get all authors
-  async function getAuthors(db, corsHeaders) {
+  // Get all authors, most recipes first unless sort_by says otherwise
+  async function getAuthors(db, searchParams, corsHeaders) {
     try {
-      const query = `
-        SELECT id, name, bio, avatar_url, social_links, recipe_count, created_at
-        FROM authors
-        ORDER BY recipe_count DESC, name ASC
-      `;
-  
-      const result = await db.prepare(query).all();
-  
-      const authors = result.results.map(author => ({
+      const page = await listQuery(db, {
+        list: 'authors',
+        query: `
+          SELECT id, name, bio, avatar_url, social_links, recipe_count, created_at
+          FROM authors
+        `,
+        searchParams,
+        basePath: '/api/authors',
+        defaultLimit: 50
+      });
+
+      if (page.details) {
+        return validationErrorResponse(page.details, corsHeaders);
+      }
+
+      const authors = page.rows.map(author => ({
         ...author,
         social_links: author.social_links ? JSON.parse(author.social_links) : {}
       }));
-  
+
       return jsonResponse({
         success: true,
-        data: authors
+        data: authors,
+        total_count: page.totalCount,
+        pagination: page.pagination
       }, 200, corsHeaders);
     } catch (error) {
       console.error('Error fetching authors:', error);
-      return jsonResponse({ error: 'Failed to fetch authors' }, 500, corsHeaders);
+      return errorResponse('Failed to fetch authors', 500, corsHeaders);
     }
   }
-  
+
+  // An author with their latest published recipes, or null. Shared by the
+  // /authors/:id endpoint and the author Atom feed.
+  async function queryAuthor(db, authorId) {
+    const authorQuery = `
+      SELECT id, name, bio, avatar_url, social_links, recipe_count, created_at, updated_at
+      FROM authors
+      WHERE id = ?
+    `;
+
+    const authorResult = await db.prepare(authorQuery).bind(authorId).first();
+
+    if (!authorResult) {
+      return null;
+    }
+
+    // Get author's recipes
+    const recipesQuery = `
+      SELECT id, slug, title, description, image_url, rating, review_count, 
+             prep_time, cook_time, difficulty, featured, created_at, updated_at
+      FROM recipes
+      WHERE author_id = ? AND status = 'published'
+      ORDER BY created_at DESC
+      LIMIT 20
+    `;
+
+    const recipesResult = await db.prepare(recipesQuery).bind(authorId).all();
+
+    return {
+      ...authorResult,
+      social_links: authorResult.social_links ? JSON.parse(authorResult.social_links) : {},
+      recipes: recipesResult.results.map(recipe => ({
+        ...recipe,
+        featured: !!recipe.featured
+      }))
+    };
+  }
+
   // Get single author
   async function getAuthor(db, authorId, corsHeaders) {
     try {
-      const authorQuery = `
-        SELECT id, name, bio, avatar_url, social_links, recipe_count, created_at
-        FROM authors
-        WHERE id = ?
-      `;
-  
-      const authorResult = await db.prepare(authorQuery).bind(authorId).first();
+      const author = await queryAuthor(db, authorId);
   
-      if (!authorResult) {
-        return jsonResponse({ error: 'Author not found' }, 404, corsHeaders);
+      if (!author) {
+        return errorResponse('Author not found', 404, corsHeaders);
       }
   
-      // Get author's recipes
-      const recipesQuery = `
-        SELECT id, slug, title, description, image_url, rating, review_count, 
-               prep_time, cook_time, difficulty, featured, created_at
-        FROM recipes
-        WHERE author_id = ? AND status = 'published'
-        ORDER BY created_at DESC
-        LIMIT 20
-      `;
-  
-      const recipesResult = await db.prepare(recipesQuery).bind(authorId).all();
-  
-      const author = {
-        ...authorResult,
-        social_links: authorResult.social_links ? JSON.parse(authorResult.social_links) : {},
-        recipes: recipesResult.results.map(recipe => ({
-          ...recipe,
-          featured: !!recipe.featured
-        }))
-      };
-  
       return jsonResponse({
         success: true,
         data: author
       }, 200, corsHeaders);
     } catch (error) {
       console.error('Error fetching author:', error);
-      return jsonResponse({ error: 'Failed to fetch author' }, 500, corsHeaders);
+      return errorResponse('Failed to fetch author', 500, corsHeaders);
+    }
+  }
+
+  // --- Autocomplete suggestions ---
+
+  const SUGGEST_DEFAULT_LIMIT = 8;
+  const SUGGEST_MAX_LIMIT = 20;
+  const SUGGEST_MAX_QUERY_LENGTH = 60;
+  const SUGGEST_CANDIDATES = 100;
+  const SUGGEST_CACHE_TTL = 300; // seconds, at the edge and in the browser
+
+  // Longer queries are cut to SUGGEST_MAX_QUERY_LENGTH rather than rejected,
+  // since they arrive as someone types
+  const SUGGEST_QUERY = {
+    q: { type: 'string', required: true },
+    limit: { type: 'integer', min: 1, max: SUGGEST_MAX_LIMIT }
+  };
+
+  const SUGGESTION_URLS = {
+    recipe: term => recipePath(term.target),
+    category: term => categoryPath(term.target),
+    tag: term => `/pages/discover.html?tag=${encodeURIComponent(term.label)}`,
+    ingredient: term => `/pages/search-results.html?q=${encodeURIComponent(term.label)}`
+  };
+
+  // Matches how the dictionary is built: SQLite's lower() and single spaces
+  function normalizeSuggestQuery(input) {
+    return input.replace(/[A-Z]/g, letter => letter.toLowerCase()).replace(/\s+/g, ' ').trim();
+  }
+
+  // The query is a prefix, so unlike the dictionary's trigrams it gets no
+  // trailing pad
+  function queryTrigrams(query) {
+    const padded = `  ${query}`;
+    const trigrams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+    return [...trigrams];
+  }
+
+  // How far the query is from the start of the term, or of any word in it:
+  // the best edit distance to a prefix of about the query's length.
+  // Returns { distance, wordStart } or null past the allowed typos.
+  function matchSuggestion(query, term) {
+    const maxDistance = query.length > 5 ? 2 : query.length > 2 ? 1 : 0;
+    const starts = [0];
+    for (let i = 1; i < term.length; i++) {
+      if (term[i - 1] === ' ') starts.push(i);
     }
-  }
\ No newline at end of file
+
+    let best = null;
+    for (const start of starts) {
+      for (let length = query.length - maxDistance; length <= query.length + maxDistance; length++) {
+        if (length < 1 || start + length > term.length) continue;
+
+        const distance = editDistance(query, term.slice(start, start + length));
+        // Ties keep the earlier start, so the term's own start wins
+        if (distance <= maxDistance && (!best || distance < best.distance)) {
+          best = { distance, wordStart: start > 0 };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  // Mixed recipe/category/tag/ingredient suggestions for ?q=, tolerant of
+  // typos. Candidates come from a prefix scan of the dictionary plus the
+  // terms sharing the most trigrams with the query; exact prefixes rank
+  // first, then fewer typos, then popularity. Responses are cached at the
+  // edge per normalized query.
+  async function getSuggestions(db, url, ctx, corsHeaders) {
+    try {
+      const { values, details } = validateQuery(url.searchParams, SUGGEST_QUERY);
+      const query = normalizeSuggestQuery(values.q || '').slice(0, SUGGEST_MAX_QUERY_LENGTH);
+      const limit = values.limit || SUGGEST_DEFAULT_LIMIT;
+
+      if (!details.length && query.length < 2) {
+        details.push(fieldError('q', 'too_short', 'q must be at least 2 characters'));
+      }
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const cache = typeof caches !== 'undefined' ? caches.default : null;
+      const cacheKey = new Request(`${url.origin}/api/suggest?q=${encodeURIComponent(query)}&limit=${limit}`);
+      const cached = cache && await cache.match(cacheKey);
+      if (cached) {
+        return cached;
+      }
+
+      const [prefixMatches, trigramMatches] = await db.batch([
+        db.prepare(`
+          SELECT id, kind, term, label, target, weight FROM search_terms
+          WHERE term >= ? AND term < ?
+          ORDER BY weight DESC
+          LIMIT ?
+        `).bind(query, `${query}\uffff`, SUGGEST_CANDIDATES),
+        db.prepare(`
+          SELECT t.id, t.kind, t.term, t.label, t.target, t.weight
+          FROM (
+            SELECT term_id, COUNT(*) as shared FROM search_term_trigrams
+            WHERE trigram IN (SELECT value FROM json_each(?))
+            GROUP BY term_id
+            ORDER BY shared DESC
+            LIMIT ?
+          ) m
+          JOIN search_terms t ON t.id = m.term_id
+        `).bind(JSON.stringify(queryTrigrams(query)), SUGGEST_CANDIDATES)
+      ]);
+
+      const candidates = new Map();
+      [...prefixMatches.results, ...trigramMatches.results].forEach(term => candidates.set(term.id, term));
+
+      const suggestions = [...candidates.values()]
+        .map(term => ({ term, match: matchSuggestion(query, term.term) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => (
+          a.match.distance - b.match.distance ||
+          a.match.wordStart - b.match.wordStart ||
+          b.term.weight - a.term.weight ||
+          a.term.label.length - b.term.label.length
+        ))
+        .slice(0, limit)
+        .map(({ term, match }) => ({
+          type: term.kind,
+          label: term.label,
+          url: SUGGESTION_URLS[term.kind](term),
+          fuzzy: match.distance > 0
+        }));
+
+      const response = jsonResponse({
+        success: true,
+        query,
+        data: suggestions
+      }, 200, { ...corsHeaders, 'Cache-Control': `public, max-age=${SUGGEST_CACHE_TTL}` });
+
+      if (cache) {
+        ctx.waitUntil(cache.put(cacheKey, response.clone()));
+      }
+
+      return response;
+    } catch (error) {
+      console.error('Error fetching suggestions:', error);
+      return errorResponse('Failed to fetch suggestions', 500, corsHeaders);
+    }
+  }
+
+  // Recompute the dictionary from published recipes in one transaction.
+  // Trigrams are generated in SQL, so nothing is pulled into the Worker.
+  async function rebuildSearchTerms(db) {
+    const insertTerms = `INSERT OR IGNORE INTO search_terms (kind, term, label, target, weight)`;
+
+    await db.batch([
+      db.prepare(`DELETE FROM search_term_trigrams`),
+      db.prepare(`DELETE FROM search_terms`),
+      db.prepare(`
+        ${insertTerms}
+        SELECT 'recipe', lower(title), title, slug, review_count
+        FROM recipes WHERE status = 'published'
+        ORDER BY review_count DESC
+      `),
+      db.prepare(`
+        ${insertTerms}
+        SELECT 'category', lower(name), name, slug, recipe_count
+        FROM categories
+      `),
+      db.prepare(`
+        ${insertTerms}
+        SELECT 'tag', lower(tag.value), MIN(tag.value), NULL, COUNT(DISTINCT r.id)
+        FROM recipes r, json_each(r.tags) tag
+        WHERE r.status = 'published' AND trim(tag.value) != ''
+        GROUP BY lower(tag.value)
+      `),
+      db.prepare(`
+        ${insertTerms}
+        SELECT 'ingredient', ri.name, ri.name, NULL, COUNT(DISTINCT ri.recipe_id)
+        FROM recipe_ingredients ri
+        JOIN recipes r ON r.id = ri.recipe_id
+        WHERE r.status = 'published' AND ri.name != ''
+        GROUP BY ri.name
+      `),
+      db.prepare(`
+        INSERT OR IGNORE INTO search_term_trigrams (trigram, term_id)
+        WITH RECURSIVE grams(term_id, padded, position) AS (
+          SELECT id, '  ' || term || ' ', 1 FROM search_terms
+          UNION ALL
+          SELECT term_id, padded, position + 1 FROM grams
+          WHERE position + 3 <= length(padded)
+        )
+        SELECT substr(padded, position, 3), term_id FROM grams
+      `)
+    ]);
+
+    const row = await db.prepare(`SELECT COUNT(*) as count FROM search_terms`).first();
+    return row.count;
+  }
+
+  async function rebuildSearchTermsHandler(db, corsHeaders) {
+    try {
+      const count = await rebuildSearchTerms(db);
+
+      return jsonResponse({
+        success: true,
+        data: { terms: count }
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error rebuilding search terms:', error);
+      return errorResponse('Failed to rebuild search terms', 500, corsHeaders);
+    }
+  }
+
+  // --- Recipe filters and facets ---
+
+  const RECIPE_DIFFICULTIES = ['easy', 'medium', 'hard'];
+  const FACET_MODES = ['or', 'and'];
+  const MAX_FACET_VALUES = 20; // selected values per multi-select filter
+  const MAX_TAG_FACETS = 30;
+
+  // Categories offered as the "diet" facet rather than with the other
+  // categories. A recipe has to fit every diet that is picked.
+  const DIETARY_CATEGORIES = ['vegetarian', 'vegan', 'gluten-free', 'keto', 'paleo'];
+
+  // Range filters: min_<name> / max_<name> bound the column (inclusive).
+  // `options` are the thresholds the facet counts are reported for, on the
+  // bound the sidebar offers ("under 400 calories", "4+ stars").
+  const RANGE_FACETS = {
+    time: { column: 'r.total_time', bound: 'max', options: [15, 30, 60, 120] },
+    calories: { column: 'r.calories', bound: 'max', options: [200, 400, 600, 800] },
+    protein: { column: 'r.protein', bound: 'min', options: [10, 20, 30] },
+    rating: { column: 'r.rating', bound: 'min', options: [3, 4, 4.5] }
+  };
+
+  // Multi-select values may be repeated (?tag=a&tag=b) or comma-separated
+  function listParam(searchParams, name) {
+    const values = searchParams.getAll(name)
+      .flatMap(value => value.split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    return [...new Set(values)].slice(0, MAX_FACET_VALUES);
+  }
+
+  // Recipes in any (or, with mode "and", all) of the category slugs
+  function categoryCondition(slugs, mode) {
+    const matching = `
+      SELECT COUNT(DISTINCT c.slug) FROM recipe_categories rc
+      JOIN categories c ON rc.category_id = c.id
+      WHERE rc.recipe_id = r.id AND c.slug IN (SELECT value FROM json_each(?))`;
+
+    return mode === 'and'
+      ? { clause: `(${matching}) = ?`, params: [JSON.stringify(slugs), slugs.length] }
+      : { clause: `(${matching}) > 0`, params: [JSON.stringify(slugs)] };
+  }
+
+  function tagCondition(tags, mode) {
+    const matching = `
+      SELECT COUNT(DISTINCT value) FROM json_each(r.tags)
+      WHERE value IN (SELECT value FROM json_each(?))`;
+
+    return mode === 'and'
+      ? { clause: `(${matching}) = ?`, params: [JSON.stringify(tags), tags.length] }
+      : { clause: `(${matching}) > 0`, params: [JSON.stringify(tags)] };
+  }
+
+  // The scalar listing filters; the multi-select ones are read with listParam
+  const RECIPE_FILTER_QUERY = {
+    category_mode: { type: 'string', values: FACET_MODES, case: 'lower' },
+    tag_mode: { type: 'string', values: FACET_MODES, case: 'lower' },
+    featured: { type: 'boolean' },
+    ...Object.fromEntries(Object.keys(RANGE_FACETS).flatMap(name => [
+      [`min_${name}`, { type: 'number', min: 0 }],
+      [`max_${name}`, { type: 'number', min: 0 }]
+    ]))
+  };
+
+  // Parse the listing filters into SQL conditions on `r` (recipes), each
+  // tagged with its facet so facet counts can leave their own filter out.
+  // Returns { filters, selected } or { details }.
+  function buildRecipeFilters(searchParams) {
+    const { values, details } = validateQuery(searchParams, RECIPE_FILTER_QUERY);
+
+    if (details.length) {
+      return { details };
+    }
+
+    const categoryMode = values.category_mode || 'or';
+    const tagMode = values.tag_mode || 'or';
+    const selected = {
+      category: listParam(searchParams, 'category'),
+      diet: listParam(searchParams, 'diet').filter(slug => DIETARY_CATEGORIES.includes(slug)),
+      tag: listParam(searchParams, 'tag'),
+      difficulty: listParam(searchParams, 'difficulty').filter(level => RECIPE_DIFFICULTIES.includes(level)),
+      category_mode: categoryMode,
+      tag_mode: tagMode
+    };
+    const filters = [];
+
+    if (selected.category.length) {
+      filters.push({ facet: 'category', ...categoryCondition(selected.category, categoryMode) });
+    }
+
+    if (selected.diet.length) {
+      filters.push({ facet: 'diet', ...categoryCondition(selected.diet, 'and') });
+    }
+
+    if (selected.tag.length) {
+      filters.push({ facet: 'tag', ...tagCondition(selected.tag, tagMode) });
+    }
+
+    if (selected.difficulty.length) {
+      filters.push({
+        facet: 'difficulty',
+        clause: `r.difficulty IN (SELECT value FROM json_each(?))`,
+        params: [JSON.stringify(selected.difficulty)]
+      });
+    }
+
+    for (const [name, range] of Object.entries(RANGE_FACETS)) {
+      for (const bound of ['min', 'max']) {
+        const value = values[`${bound}_${name}`];
+        if (value === undefined) continue;
+
+        selected[`${bound}_${name}`] = value;
+        filters.push({
+          facet: name,
+          clause: `${range.column} ${bound === 'min' ? '>=' : '<='} ?`,
+          params: [value]
+        });
+      }
+    }
+
+    if (values.featured) {
+      filters.push({ facet: 'featured', clause: 'r.featured = ?', params: [true] });
+    }
+
+    return { filters, selected };
+  }
+
+  // " AND ..." for every filter except the given facet's own
+  function filterSql(filters, exceptFacet = null) {
+    const applied = filters.filter(filter => filter.facet !== exceptFacet);
+    return {
+      sql: applied.map(filter => ` AND ${filter.clause}`).join(''),
+      params: applied.flatMap(filter => filter.params)
+    };
+  }
+
+  // How many recipes each facet option would yield. OR facets (categories
+  // and tags in "or" mode, difficulty, ranges) are counted without their own
+  // filter, so picking another option widens the results by that count; AND
+  // facets are counted on top of the current selection.
+  async function queryRecipeFacets(db, filters, selected) {
+    const published = `FROM recipes r WHERE r.status = 'published'`;
+    const exceptFor = (facet, mode = 'or') => filterSql(filters, mode === 'and' ? null : facet);
+
+    const categoryCounts = (where, dietary) => db.prepare(`
+      SELECT c.slug, c.name,
+             (SELECT COUNT(*) FROM recipe_categories rc2
+              JOIN recipes r ON r.id = rc2.recipe_id
+              WHERE rc2.category_id = c.id AND r.status = 'published'${where.sql}) as count
+      FROM categories c
+      WHERE c.slug ${dietary ? '' : 'NOT '}IN (SELECT value FROM json_each(?))
+      ORDER BY c.sort_order ASC, c.name ASC
+    `).bind(...where.params, JSON.stringify(DIETARY_CATEGORIES));
+
+    const tagWhere = exceptFor('tag', selected.tag_mode);
+    const difficultyWhere = exceptFor('difficulty');
+    const ranges = Object.entries(RANGE_FACETS);
+
+    const [categories, diets, tags, difficulties, ...rangeResults] = await db.batch([
+      categoryCounts(exceptFor('category', selected.category_mode), false),
+      categoryCounts(exceptFor('diet', 'and'), true),
+      db.prepare(`
+        SELECT tag.value as tag, COUNT(*) as count
+        FROM recipes r, json_each(r.tags) tag
+        WHERE r.status = 'published'${tagWhere.sql}
+        GROUP BY tag.value
+        ORDER BY count DESC, tag.value ASC
+        LIMIT ?
+      `).bind(...tagWhere.params, MAX_TAG_FACETS),
+      db.prepare(`SELECT r.difficulty, COUNT(*) as count ${published}${difficultyWhere.sql} GROUP BY r.difficulty`)
+        .bind(...difficultyWhere.params),
+      ...ranges.map(([name, range]) => {
+        const where = exceptFor(name);
+        const comparison = range.bound === 'min' ? '>=' : '<=';
+        const counts = range.options.map((option, index) => `COUNT(CASE WHEN ${range.column} ${comparison} ? THEN 1 END) as option_${index}`);
+        return db.prepare(`SELECT ${counts.join(', ')} ${published}${where.sql}`)
+          .bind(...range.options, ...where.params);
+      })
+    ]);
+
+    const option = (value, count, isSelected) => ({ value, count, selected: isSelected });
+    const difficultyCounts = Object.fromEntries(difficulties.results.map(row => [row.difficulty, row.count]));
+
+    return {
+      category: {
+        mode: selected.category_mode,
+        options: categories.results.map(row => ({ ...option(row.slug, row.count, selected.category.includes(row.slug)), label: row.name }))
+      },
+      diet: {
+        mode: 'and',
+        options: diets.results.map(row => ({ ...option(row.slug, row.count, selected.diet.includes(row.slug)), label: row.name }))
+      },
+      tag: {
+        mode: selected.tag_mode,
+        options: tags.results.map(row => option(row.tag, row.count, selected.tag.includes(row.tag)))
+      },
+      difficulty: {
+        mode: 'or',
+        options: RECIPE_DIFFICULTIES.map(level => option(level, difficultyCounts[level] || 0, selected.difficulty.includes(level)))
+      },
+      ...Object.fromEntries(ranges.map(([name, range], index) => {
+        const row = rangeResults[index].results[0];
+        return [name, {
+          param: `${range.bound}_${name}`,
+          options: range.options.map((threshold, optionIndex) => (
+            option(threshold, row[`option_${optionIndex}`], selected[`${range.bound}_${name}`] === threshold)
+          ))
+        }];
+      }))
+    };
+  }
+
+  // --- Cursor pagination ---
+
+  const MAX_PAGE_SIZE = 100;
+  const COUNT_CACHE_TTL = 60 * 1000;
+  const COUNT_CACHE_MAX_ENTRIES = 500;
+
+  // Sorting on a nullable column compares this value instead of NULL, so
+  // those rows still have a position a cursor can point at
+  const SORT_NULL_DEFAULTS = { total_time: 0, prep_time: 0 };
+
+  // total_count per isolate, keyed by query and parameters. Totals may lag
+  // writes by up to COUNT_CACHE_TTL, which is fine for "N recipes" labels.
+  const countCache = new Map();
+
+  function parseLimit(searchParams, defaultLimit) {
+    const limit = parseInt(searchParams.get('limit')) || defaultLimit;
+    return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  }
+
+  function sortKey(column, order) {
+    return { column, order, nulls: SORT_NULL_DEFAULTS[column] };
+  }
+
+  function sortExpression(key) {
+    return key.nulls !== undefined ? `IFNULL(${key.column}, ${key.nulls})` : key.column;
+  }
+
+  // id breaks ties, so every row has a unique position in the order
+  function withTieBreaker(sort) {
+    return [...sort, sortKey('id', sort[0].order)];
+  }
+
+  function sortSignature(keys) {
+    return keys.map(key => `${key.column}:${key.order}`).join(',');
+  }
+
+  // Cursors are opaque to clients: base64url JSON holding the sort they were
+  // made for, the direction to page in and the sort values of the edge row
+  function encodeCursor(payload) {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  // Returns null for malformed cursors and ones made for a different sort
+  function decodeCursor(cursor, sort) {
+    try {
+      const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+      const payload = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+      const keys = withTieBreaker(sort);
+
+      const isValid = payload.k === sortSignature(keys) &&
+        ['next', 'prev'].includes(payload.d) &&
+        Array.isArray(payload.v) && payload.v.length === keys.length;
+
+      return isValid ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Rows strictly past `values` in key order (or before them, reversed):
+  // (a > ?) OR (a = ? AND b > ?) OR (a = ? AND b = ? AND id > ?)
+  function keysetCondition(keys, values, reverse) {
+    const params = [];
+    const clauses = keys.map((key, index) => {
+      const parts = keys.slice(0, index).map((previous, i) => {
+        params.push(values[i]);
+        return `${sortExpression(previous)} = ?`;
+      });
+      const ascending = (key.order === 'ASC') !== reverse;
+      params.push(values[index]);
+      parts.push(`${sortExpression(key)} ${ascending ? '>' : '<'} ?`);
+      return `(${parts.join(' AND ')})`;
+    });
+
+    return { clause: clauses.join(' OR '), params };
+  }
+
+  async function countRows(db, query, params) {
+    const cacheKey = JSON.stringify([query, params]);
+    const cached = countCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < COUNT_CACHE_TTL) {
+      return cached.total;
+    }
+
+    const result = await db.prepare(`SELECT COUNT(*) as total FROM (${query})`).bind(...params).first();
+
+    if (countCache.size >= COUNT_CACHE_MAX_ENTRIES) {
+      countCache.delete(countCache.keys().next().value);
+    }
+    countCache.set(cacheKey, { total: result.total, timestamp: Date.now() });
+
+    return result.total;
+  }
+
+  // One page of `query` (a SELECT without ORDER BY/LIMIT whose columns
+  // include the sort keys and id) using keyset pagination. Pass `totalCount`
+  // when the caller already knows it; otherwise it is counted (and cached).
+  // Returns { rows, totalCount, pagination } or { details } for a bad cursor.
+  async function paginate(db, { query, params = [], sort, searchParams, basePath, defaultLimit = 20, totalCount }) {
+    const keys = withTieBreaker(sort);
+    const limit = parseLimit(searchParams, defaultLimit);
+    const cursor = searchParams.has('cursor') ? decodeCursor(searchParams.get('cursor'), sort) : null;
+
+    if (searchParams.has('cursor') && !cursor) {
+      return { details: [fieldError('cursor', 'invalid_value', 'cursor is invalid or does not match the requested sort')] };
+    }
+
+    // Paging backwards walks the order in reverse, then flips the rows back
+    const reverse = !!cursor && cursor.d === 'prev';
+    let pageQuery = `SELECT * FROM (${query})`;
+    const pageParams = [...params];
+
+    if (cursor) {
+      const condition = keysetCondition(keys, cursor.v, reverse);
+      pageQuery += ` WHERE ${condition.clause}`;
+      pageParams.push(...condition.params);
+    }
+
+    const orderBy = keys.map(key => `${sortExpression(key)} ${(key.order === 'ASC') !== reverse ? 'ASC' : 'DESC'}`);
+    pageQuery += ` ORDER BY ${orderBy.join(', ')} LIMIT ?`;
+    pageParams.push(limit + 1);
+
+    const [result, total] = await Promise.all([
+      db.prepare(pageQuery).bind(...pageParams).all(),
+      totalCount !== undefined ? totalCount : countRows(db, query, params)
+    ]);
+
+    // The extra row only says whether another page follows in this direction
+    const rows = result.results.slice(0, limit);
+    const hasMoreAhead = result.results.length > limit;
+    if (reverse) rows.reverse();
+
+    const position = row => keys.map(key => row[key.column] ?? key.nulls ?? null);
+    const signature = sortSignature(keys);
+    const hasNext = reverse ? true : hasMoreAhead;
+    const hasPrev = reverse ? hasMoreAhead : !!cursor;
+    const nextCursor = hasNext && rows.length ? encodeCursor({ k: signature, d: 'next', v: position(rows[rows.length - 1]) }) : null;
+    const prevCursor = hasPrev && rows.length ? encodeCursor({ k: signature, d: 'prev', v: position(rows[0]) }) : null;
+
+    const link = pageCursor => {
+      const linkParams = new URLSearchParams(searchParams);
+      linkParams.delete('offset');
+      linkParams.set('cursor', pageCursor);
+      return `${basePath}?${linkParams}`;
+    };
+
+    return {
+      rows,
+      totalCount: total,
+      pagination: {
+        limit,
+        next_cursor: nextCursor,
+        prev_cursor: prevCursor,
+        next: nextCursor && link(nextCursor),
+        prev: prevCursor && link(prevCursor),
+        hasMore: !!nextCursor
+      }
+    };
+  }
+
+  // --- Request validation ---
+  //
+  // Routes describe their query string or JSON body as a schema of
+  // { field: rule }. A rule has a `type` ('string', 'integer', 'number',
+  // 'boolean', 'array', 'object' or a list of them) and optionally:
+  //   required, nullable     presence; empty query values count as absent
+  //   min, max               numeric range
+  //   minLength, maxLength   string length, after trimming
+  //   minItems, maxItems     array length; `items` is the rule for each item
+  //   values                 allowed values, after folding `case` ('upper'/'lower')
+  //   format                 one of VALIDATION_FORMATS
+  //   fields                 the schema of an object
+  // Problems are reported as { field, code, message } details.
+
+  const VALIDATION_FORMATS = {
+    email: { pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, description: 'a valid email address' },
+    slug: { pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/, description: 'lowercase letters, numbers and hyphens' }
+  };
+
+  const TYPE_DESCRIPTIONS = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'an array',
+    object: 'an object'
+  };
+
+  function fieldError(field, code, message) {
+    return { field, code, message };
+  }
+
+  function matchesType(type, value) {
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default:
+        return typeof value === type;
+    }
+  }
+
+  // The checked value (strings trimmed and case-folded, objects reduced to
+  // their schema's fields), or undefined after recording a detail
+  function checkValue(rule, value, field, details) {
+    const fail = (code, message) => {
+      details.push(fieldError(field, code, message));
+      return undefined;
+    };
+
+    if (value === undefined || value === null) {
+      if (value === null && rule.nullable) return null;
+      return rule.required ? fail('required', `${field} is required`) : undefined;
+    }
+
+    const types = [].concat(rule.type);
+    if (!types.some(type => matchesType(type, value))) {
+      return fail('invalid_type', `${field} must be ${types.map(type => TYPE_DESCRIPTIONS[type]).join(' or ')}`);
+    }
+
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (rule.case === 'upper') value = value.toUpperCase();
+      if (rule.case === 'lower') value = value.toLowerCase();
+
+      if (rule.required && !value) {
+        return fail('required', `${field} is required`);
+      }
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail('too_short', `${field} must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail('too_long', `${field} must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.format && !VALIDATION_FORMATS[rule.format].pattern.test(value)) {
+        return fail('invalid_format', `${field} must be ${VALIDATION_FORMATS[rule.format].description}`);
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (rule.min !== undefined && value < rule.min) {
+        return fail('too_small', `${field} must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return fail('too_large', `${field} must be at most ${rule.max}`);
+      }
+    }
+
+    if (rule.values && !rule.values.includes(value)) {
+      return fail('invalid_value', `${field} must be one of: ${rule.values.join(', ')}`);
+    }
+
+    if (Array.isArray(value)) {
+      if (rule.minItems !== undefined && value.length < rule.minItems) {
+        return fail('too_short', rule.minItems === 1 ? `${field} must not be empty` : `${field} must have at least ${rule.minItems} items`);
+      }
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail('too_long', `${field} must have at most ${rule.maxItems} items`);
+      }
+      if (rule.items) {
+        value = value.map((item, index) => checkValue(rule.items, item, `${field}[${index}]`, details));
+      }
+    } else if (rule.fields) {
+      value = checkFields(rule.fields, value, `${field}.`, details);
+    }
+
+    return value;
+  }
+
+  function checkFields(schema, input, prefix, details, partial = false) {
+    const values = {};
+
+    for (const [name, rule] of Object.entries(schema)) {
+      if (partial && input[name] === undefined) continue;
+
+      const value = checkValue(rule, input[name], `${prefix}${name}`, details);
+      if (value !== undefined) values[name] = value;
+    }
+
+    return values;
+  }
+
+  // Check a parsed JSON body (see readJsonBody). With `partial` set, as for
+  // PATCH-style updates, absent fields are not required.
+  // Returns { values, details }; fields outside the schema are dropped.
+  function validateBody(body, schema, { partial = false } = {}) {
+    if (!matchesType('object', body)) {
+      return { values: {}, details: [fieldError('body', 'invalid_type', 'Request body must be a JSON object')] };
+    }
+
+    const details = [];
+    const values = checkFields(schema, body, '', details, partial);
+    return { values, details };
+  }
+
+  // Query values arrive as text and are converted to the rule's type first;
+  // "null" is null for nullable rules. Text that doesn't convert is left as
+  // is, so it fails the type check.
+  function parseQueryValue(rule, raw) {
+    const text = raw.trim();
+
+    if (text === 'null' && rule.nullable) return null;
+
+    switch (rule.type) {
+      case 'integer':
+        return /^-?\d+$/.test(text) ? Number(text) : text;
+      case 'number':
+        return /^-?(?:\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : text;
+      case 'boolean':
+        return text === 'true' ? true : text === 'false' ? false : text;
+      default:
+        return text;
+    }
+  }
+
+  // Returns { values, details } for the schema's parameters
+  function validateQuery(searchParams, schema) {
+    const details = [];
+    const values = {};
+
+    for (const [name, rule] of Object.entries(schema)) {
+      const raw = searchParams.get(name);
+      const parsed = raw === null || !raw.trim() ? undefined : parseQueryValue(rule, raw);
+      const value = checkValue(rule, parsed, name, details);
+      if (value !== undefined) values[name] = value;
+    }
+
+    return { values, details };
+  }
+
+  // --- List queries ---
+
+  // The sorts each list endpoint accepts as sort_by, and its default. Only
+  // these column names ever reach ORDER BY; everything else a list request
+  // carries is bound as a parameter.
+  const LIST_SORTS = {
+    recipes: { columns: ['created_at', 'updated_at', 'title', 'rating', 'total_time', 'prep_time'], default: 'created_at', order: 'DESC' },
+    reviews: { columns: ['created_at', 'rating', 'helpful_count'], default: 'created_at', order: 'DESC' },
+    categories: { columns: ['sort_order', 'name', 'recipe_count', 'created_at'], default: 'sort_order', order: 'ASC' },
+    authors: { columns: ['recipe_count', 'name', 'created_at'], default: 'recipe_count', order: 'DESC' },
+    moderation: { columns: ['created_at', 'rating', 'spam_flag_count'], default: 'created_at', order: 'ASC' }
+  };
+
+  const SORT_ORDERS = ['ASC', 'DESC'];
+
+  // Recipes visitors may see; the first condition of every public recipe list
+  const PUBLISHED_RECIPE = { clause: `r.status = 'published'`, params: [] };
+
+  const MAX_CURSOR_LENGTH = 1024;
+
+  // The paging parameters of every list, plus sort_by/sort_order for lists
+  // whose order the request may choose (`spec` is their LIST_SORTS entry)
+  function listQuerySchema(spec) {
+    const schema = {
+      limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+      cursor: { type: 'string', maxLength: MAX_CURSOR_LENGTH }
+    };
+
+    if (spec) {
+      schema.sort_by = { type: 'string', values: spec.columns };
+      schema.sort_order = { type: 'string', values: SORT_ORDERS, case: 'upper' };
+    }
+
+    return schema;
+  }
+
+  // One cursor page of a list endpoint. `query` is the SELECT ... FROM part
+  // (with `params` for any placeholders in it); `conditions` are
+  // { clause, params } joined with AND into its WHERE, the shape
+  // buildRecipeFilters produces. The order is `sort` when the endpoint fixes
+  // one, otherwise the request's sort_by/sort_order within LIST_SORTS[list].
+  // Returns paginate()'s result, or { details } for invalid paging or sort
+  // parameters.
+  async function listQuery(db, { list, query, params = [], conditions = [], sort, searchParams, basePath, defaultLimit, totalCount }) {
+    const spec = sort ? null : LIST_SORTS[list];
+    const { values, details } = validateQuery(searchParams, listQuerySchema(spec));
+
+    if (details.length) {
+      return { details };
+    }
+
+    const where = conditions.length
+      ? ` WHERE ${conditions.map(condition => `(${condition.clause})`).join(' AND ')}`
+      : '';
+
+    return paginate(db, {
+      query: `${query.trim()}${where}`,
+      params: [...params, ...conditions.flatMap(condition => condition.params)],
+      sort: sort || [sortKey(values.sort_by || spec.default, values.sort_order || spec.order)],
+      searchParams,
+      basePath,
+      defaultLimit,
+      totalCount
+    });
+  }
+
+  // --- Admin: recipe management ---
+
+  const RECIPE_STATUS_TRANSITIONS = {
+    draft: ['published', 'archived'],
+    published: ['archived'],
+    archived: ['draft', 'published']
+  };
+
+  const RECIPE_INTEGER_FIELDS = ['prep_time', 'cook_time', 'total_time', 'servings', 'calories'];
+  const RECIPE_NUTRITION_FIELDS = ['protein', 'carbs', 'fat', 'fiber', 'sugar'];
+  const RECIPE_TEXT_FIELDS = ['description', 'image_url', 'meta_title', 'meta_description'];
+
+  // Parse a JSON request body, returning null instead of throwing on bad input
+  async function readJsonBody(request) {
+    try {
+      const body = await request.json();
+      return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function slugify(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  const RECIPE_INPUT = {
+    title: { type: 'string', required: true, maxLength: 200 },
+    slug: { type: 'string', maxLength: 100, format: 'slug' },
+    ingredients: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 100,
+      items: {
+        type: 'object',
+        fields: {
+          item: { type: 'string', required: true, maxLength: 200 },
+          amount: { type: ['string', 'number'], maxLength: 50 },
+          unit: { type: 'string', maxLength: 50 },
+          notes: { type: 'string', maxLength: 500 }
+        }
+      }
+    },
+    instructions: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 100,
+      items: {
+        type: 'object',
+        fields: {
+          step: { type: 'integer', min: 1 },
+          instruction: { type: 'string', required: true, maxLength: 5000 }
+        }
+      }
+    },
+    ...Object.fromEntries(RECIPE_INTEGER_FIELDS.map(key => [key, { type: 'integer', min: 0, nullable: true }])),
+    ...Object.fromEntries(RECIPE_NUTRITION_FIELDS.map(key => [key, { type: 'number', min: 0, nullable: true }])),
+    description: { type: 'string', maxLength: 2000, nullable: true },
+    image_url: { type: 'string', maxLength: 2048, nullable: true },
+    meta_title: { type: 'string', maxLength: 200, nullable: true },
+    meta_description: { type: 'string', maxLength: 500, nullable: true },
+    difficulty: { type: 'string', values: RECIPE_DIFFICULTIES },
+    featured: { type: 'boolean' },
+    tags: { type: 'array', maxItems: 30, items: { type: 'string', maxLength: 50 } },
+    author_id: { type: 'integer', min: 1, nullable: true },
+    status: { type: 'string', values: Object.keys(RECIPE_STATUS_TRANSITIONS) },
+    categories: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 100 } }
+  };
+
+  // PUT /api/recipes/:slug/status takes only a status, which it requires
+  const RECIPE_STATUS_INPUT = {
+    status: { ...RECIPE_INPUT.status, required: true }
+  };
+
+  // Columns stored as given once RECIPE_INPUT has checked them
+  const RECIPE_PLAIN_FIELDS = [
+    'title', 'slug', 'difficulty', 'author_id', 'status',
+    ...RECIPE_INTEGER_FIELDS, ...RECIPE_NUTRITION_FIELDS, ...RECIPE_TEXT_FIELDS
+  ];
+
+  // Validate an admin recipe payload against RECIPE_INPUT and map it onto
+  // recipes table columns. With `partial` set only the fields present in the
+  // body are checked. Returns { details, recipe, categories }.
+  function validateRecipeInput(body, { partial = false } = {}) {
+    const { values, details } = validateBody(body, RECIPE_INPUT, { partial });
+    const recipe = {};
+
+    if (details.length) {
+      return { details, recipe, categories: null };
+    }
+
+    RECIPE_PLAIN_FIELDS.forEach(key => {
+      if (values[key] !== undefined) recipe[key] = values[key];
+    });
+
+    if (!partial && !recipe.slug) {
+      recipe.slug = slugify(recipe.title);
+      if (!recipe.slug) details.push(fieldError('slug', 'required', 'slug could not be derived from title'));
+    }
+
+    if (values.ingredients) {
+      recipe.ingredients = JSON.stringify(values.ingredients.map(ingredient => {
+        const normalized = { item: ingredient.item };
+        if (ingredient.amount !== undefined) normalized.amount = String(ingredient.amount);
+        if (ingredient.unit) normalized.unit = ingredient.unit;
+        if (ingredient.notes) normalized.notes = ingredient.notes;
+        return normalized;
+      }));
+    }
+
+    // Steps are renumbered so the stored list is always 1..n in order
+    if (values.instructions) {
+      recipe.instructions = JSON.stringify(values.instructions.map((instruction, index) => ({
+        step: index + 1,
+        instruction: instruction.instruction
+      })));
+    }
+
+    if (values.featured !== undefined) {
+      recipe.featured = values.featured ? 1 : 0;
+    }
+
+    if (values.tags) {
+      recipe.tags = JSON.stringify(values.tags.filter(Boolean));
+    }
+
+    const categories = values.categories ? [...new Set(values.categories)] : null;
+
+    return { details, recipe, categories };
+  }
+
+  function canTransitionStatus(from, to) {
+    return from === to || (RECIPE_STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Resolve category slugs to ids; returns the slugs that do not exist
+  async function resolveCategorySlugs(db, slugs) {
+    if (slugs.length === 0) {
+      return { ids: [], unknown: [] };
+    }
+
+    const placeholders = slugs.map(() => '?').join(', ');
+    const result = await db.prepare(
+      `SELECT id, slug FROM categories WHERE slug IN (${placeholders})`
+    ).bind(...slugs).all();
+
+    const found = new Map(result.results.map(row => [row.slug, row.id]));
+    return {
+      ids: slugs.filter(slug => found.has(slug)).map(slug => found.get(slug)),
+      unknown: slugs.filter(slug => !found.has(slug))
+    };
+  }
+
+  function unknownCategoriesError(slugs) {
+    return fieldError('categories', 'unknown_value', `Unknown categories: ${slugs.join(', ')}`);
+  }
+
+  // Statements that make a recipe's category links match `categoryIds`
+  function categoryLinkStatements(db, recipeId, categoryIds) {
+    const statements = [];
+
+    if (categoryIds.length > 0) {
+      const placeholders = categoryIds.map(() => '?').join(', ');
+      statements.push(db.prepare(
+        `DELETE FROM recipe_categories WHERE recipe_id = ? AND category_id NOT IN (${placeholders})`
+      ).bind(recipeId, ...categoryIds));
+    } else {
+      statements.push(db.prepare('DELETE FROM recipe_categories WHERE recipe_id = ?').bind(recipeId));
+    }
+
+    categoryIds.forEach(categoryId => {
+      statements.push(db.prepare(
+        'INSERT OR IGNORE INTO recipe_categories (recipe_id, category_id) VALUES (?, ?)'
+      ).bind(recipeId, categoryId));
+    });
+
+    return statements;
+  }
+
+  // Create a recipe (defaults to draft)
+  async function createRecipe(db, request, corsHeaders) {
+    try {
+      const { details, recipe, categories } = validateRecipeInput(await readJsonBody(request));
+
+      if (recipe.status && !['draft', 'published'].includes(recipe.status)) {
+        details.push(fieldError('status', 'invalid_value', 'new recipes must be created as draft or published'));
+      }
+
+      if (details.length > 0) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const existing = await db.prepare('SELECT id FROM recipes WHERE slug = ?').bind(recipe.slug).first();
+      if (existing) {
+        return errorResponse('A recipe with this slug already exists', 409, corsHeaders);
+      }
+
+      const { ids: categoryIds, unknown } = await resolveCategorySlugs(db, categories || []);
+      if (unknown.length > 0) {
+        return validationErrorResponse([unknownCategoriesError(unknown)], corsHeaders);
+      }
+
+      recipe.status = recipe.status || 'draft';
+      if (recipe.total_time === undefined && (recipe.prep_time !== undefined || recipe.cook_time !== undefined)) {
+        recipe.total_time = (recipe.prep_time || 0) + (recipe.cook_time || 0);
+      }
+
+      const columns = Object.keys(recipe);
+      const insertQuery = `
+        INSERT INTO recipes (${columns.join(', ')})
+        VALUES (${columns.map(() => '?').join(', ')})
+      `;
+
+      // Link categories by slug lookup so the whole create runs as one batch
+      const statements = [
+        db.prepare(insertQuery).bind(...columns.map(column => recipe[column])),
+        ...categoryIds.map(categoryId => db.prepare(`
+          INSERT INTO recipe_categories (recipe_id, category_id)
+          SELECT id, ? FROM recipes WHERE slug = ?
+        `).bind(categoryId, recipe.slug))
+      ];
+
+      const results = await db.batch(statements);
+      const recipeId = results[0].meta.last_row_id;
+
+      await purgeEdgeCache(db, [...await recipeCacheTags(db, [recipeId]), ...RECIPE_COUNT_TAGS]);
+
+      return jsonResponse({
+        success: true,
+        message: 'Recipe created successfully',
+        data: {
+          id: recipeId,
+          slug: recipe.slug,
+          status: recipe.status
+        }
+      }, 201, corsHeaders);
+    } catch (error) {
+      console.error('Error creating recipe:', error);
+      return errorResponse('Failed to create recipe', 500, corsHeaders);
+    }
+  }
+
+  // Update any fields of a recipe, optionally replacing its categories
+  async function updateRecipe(db, slug, request, corsHeaders) {
+    try {
+      const body = await readJsonBody(request);
+
+      if (!body) {
+        return validationErrorResponse([fieldError('body', 'invalid_type', 'Request body must be a JSON object')], corsHeaders);
+      }
+
+      const existing = await db.prepare(
+        'SELECT id, slug, status, prep_time, cook_time FROM recipes WHERE slug = ?'
+      ).bind(slug).first();
+
+      if (!existing) {
+        return errorResponse('Recipe not found', 404, corsHeaders);
+      }
+
+      const { details, recipe, categories } = validateRecipeInput(body, { partial: true });
+
+      if (recipe.status && !canTransitionStatus(existing.status, recipe.status)) {
+        details.push(fieldError('status', 'invalid_transition', `status cannot change from ${existing.status} to ${recipe.status}`));
+      }
+
+      if (details.length > 0) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      if (recipe.slug && recipe.slug !== existing.slug) {
+        const conflict = await db.prepare('SELECT id FROM recipes WHERE slug = ?').bind(recipe.slug).first();
+        if (conflict) {
+          return errorResponse('A recipe with this slug already exists', 409, corsHeaders);
+        }
+      }
+
+      let categoryIds = null;
+      if (categories) {
+        const resolved = await resolveCategorySlugs(db, categories);
+        if (resolved.unknown.length > 0) {
+          return validationErrorResponse([unknownCategoriesError(resolved.unknown)], corsHeaders);
+        }
+        categoryIds = resolved.ids;
+      }
+
+      if (recipe.total_time === undefined && (recipe.prep_time !== undefined || recipe.cook_time !== undefined)) {
+        const prepTime = recipe.prep_time !== undefined ? recipe.prep_time : existing.prep_time;
+        const cookTime = recipe.cook_time !== undefined ? recipe.cook_time : existing.cook_time;
+        recipe.total_time = (prepTime || 0) + (cookTime || 0);
+      }
+
+      const columns = Object.keys(recipe);
+      const statements = [];
+
+      if (columns.length > 0) {
+        statements.push(db.prepare(`
+          UPDATE recipes SET ${columns.map(column => `${column} = ?`).join(', ')}
+          WHERE id = ?
+        `).bind(...columns.map(column => recipe[column]), existing.id));
+      }
+
+      if (categoryIds) {
+        statements.push(...categoryLinkStatements(db, existing.id, categoryIds));
+      }
+
+      if (statements.length === 0) {
+        return errorResponse('No fields to update', 400, corsHeaders);
+      }
+
+      // Tags from before the update too, for a changed slug or categories
+      const previousTags = await recipeCacheTags(db, [existing.id]);
+      await db.batch(statements);
+      await purgeEdgeCache(db, [...previousTags, ...await recipeCacheTags(db, [existing.id]), ...RECIPE_COUNT_TAGS]);
+
+      return jsonResponse({
+        success: true,
+        message: 'Recipe updated successfully',
+        data: {
+          id: existing.id,
+          slug: recipe.slug || existing.slug,
+          status: recipe.status || existing.status
+        }
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error updating recipe:', error);
+      return errorResponse('Failed to update recipe', 500, corsHeaders);
+    }
+  }
+
+  // Move a recipe through draft -> published -> archived
+  async function updateRecipeStatus(db, slug, request, corsHeaders) {
+    try {
+      const { values, details } = validateBody(await readJsonBody(request), RECIPE_STATUS_INPUT);
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const { status } = values;
+
+      const existing = await db.prepare('SELECT id, status FROM recipes WHERE slug = ?').bind(slug).first();
+
+      if (!existing) {
+        return errorResponse('Recipe not found', 404, corsHeaders);
+      }
+
+      if (!canTransitionStatus(existing.status, status)) {
+        return errorResponse(`Cannot change status from ${existing.status} to ${status}`, 409, corsHeaders, {
+          details: { allowed: RECIPE_STATUS_TRANSITIONS[existing.status] }
+        });
+      }
+
+      if (existing.status !== status) {
+        await db.prepare('UPDATE recipes SET status = ? WHERE id = ?').bind(status, existing.id).run();
+        await purgeEdgeCache(db, [...await recipeCacheTags(db, [existing.id]), ...RECIPE_COUNT_TAGS]);
+      }
+
+      return jsonResponse({
+        success: true,
+        data: {
+          id: existing.id,
+          slug,
+          previous_status: existing.status,
+          status
+        }
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error updating recipe status:', error);
+      return errorResponse('Failed to update recipe status', 500, corsHeaders);
+    }
+  }
+
+  // Delete a recipe; categories, reviews and favorites cascade
+  async function deleteRecipe(db, slug, corsHeaders) {
+    try {
+      const existing = await db.prepare('SELECT id FROM recipes WHERE slug = ?').bind(slug).first();
+
+      if (!existing) {
+        return errorResponse('Recipe not found', 404, corsHeaders);
+      }
+
+      const tags = await recipeCacheTags(db, [existing.id]);
+
+      // Remove links explicitly so the category recipe_count triggers fire
+      await db.batch([
+        db.prepare('DELETE FROM recipe_categories WHERE recipe_id = ?').bind(existing.id),
+        db.prepare('DELETE FROM recipes WHERE id = ?').bind(existing.id)
+      ]);
+      await purgeEdgeCache(db, [...tags, ...RECIPE_COUNT_TAGS]);
+
+      return jsonResponse({
+        success: true,
+        message: 'Recipe deleted successfully'
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error deleting recipe:', error);
+      return errorResponse('Failed to delete recipe', 500, corsHeaders);
+    }
+  }
+
+
+  // --- Review spam protection ---
+
+  // Review submissions allowed per window, counted separately for the
+  // submitter's IP address and email
+  const REVIEW_RATE_LIMITS = {
+    ip: { limit: 5, window: 60 * 60 },
+    email: { limit: 3, window: 60 * 60 }
+  };
+
+  // A submitter may review each recipe once a day, and may not repeat the
+  // text of their other recent reviews
+  const REPEAT_REVIEW_HOURS = 24;
+  const NEAR_DUPLICATE_DAYS = 7;
+  const NEAR_DUPLICATE_SIMILARITY = 0.8;
+
+  // Text this long that another reviewer already posted is held for moderation
+  const COPIED_TEXT_MIN_LENGTH = 40;
+
+  const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+  const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\b[a-z0-9-]+\.(?:com|net|org|info|biz|io|co|ru|xyz|top|shop|click|link)\b/i;
+  const PROFANITY_PATTERN = /\b(?:fuck|shit|bitch|cunt|asshole|bastard|whore|slut|dickhead|motherfucker)(?:s|es|ed|er|ers|ing|y)?\b/;
+  const LEET_LETTERS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+  // Shouting: mostly capitals over at least this many letters
+  const SHOUTING_MIN_LETTERS = 20;
+  const SHOUTING_UPPERCASE_SHARE = 0.7;
+
+  // Lowercase words and numbers only, so trivial edits still compare equal
+  function normalizeReviewText(text) {
+    return text.normalize('NFKD').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  function textTrigrams(text) {
+    const padded = ` ${text} `;
+    const trigrams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+    return trigrams;
+  }
+
+  // Jaccard similarity of two normalized texts' trigrams, 0 to 1
+  function textSimilarity(a, b) {
+    const trigramsA = textTrigrams(a);
+    const trigramsB = textTrigrams(b);
+    let shared = 0;
+    trigramsA.forEach(trigram => {
+      if (trigramsB.has(trigram)) shared++;
+    });
+    return shared / (trigramsA.size + trigramsB.size - shared);
+  }
+
+  // Reasons to hold a review for a moderator instead of publishing it
+  function reviewSpamFlags({ reviewer_name, title, comment }) {
+    const text = [reviewer_name, title, comment].filter(Boolean).join('\n');
+    const unmasked = text.toLowerCase().replace(/[013457@$]/g, char => LEET_LETTERS[char]);
+    const letters = text.match(/\p{L}/gu) || [];
+    const capitals = letters.filter(letter => letter !== letter.toLowerCase());
+
+    const flags = [];
+    if (LINK_PATTERN.test(text)) flags.push('links');
+    if (PROFANITY_PATTERN.test(unmasked)) flags.push('profanity');
+    if (letters.length >= SHOUTING_MIN_LETTERS && capitals.length / letters.length >= SHOUTING_UPPERCASE_SHARE) {
+      flags.push('shouting');
+    }
+    return flags;
+  }
+
+  // Count one hit in a fixed window stored in D1. Returns the seconds until
+  // the window resets once the limit is exceeded, otherwise 0.
+  async function hitRateLimit(db, key, { limit, window }) {
+    const now = Math.floor(Date.now() / 1000);
+
+    // SET expressions all see the row as it was, so an expired window
+    // restarts at 1 with a new expiry
+    const counter = await db.prepare(`
+      INSERT INTO rate_limits (key, count, expires_at) VALUES (?, 1, ?)
+      ON CONFLICT(key) DO UPDATE SET
+        count = CASE WHEN rate_limits.expires_at <= ? THEN 1 ELSE rate_limits.count + 1 END,
+        expires_at = CASE WHEN rate_limits.expires_at <= ? THEN excluded.expires_at ELSE rate_limits.expires_at END
+      RETURNING count, expires_at
+    `).bind(key, now + window, now, now).first();
+
+    return counter.count > limit ? counter.expires_at - now : 0;
+  }
+
+  // Drop expired rate-limit windows (hourly cron)
+  async function pruneRateLimits(db) {
+    await db.prepare('DELETE FROM rate_limits WHERE expires_at <= ?').bind(Math.floor(Date.now() / 1000)).run();
+  }
+
+  // Apply each of an action's limits (review submissions, sign-in links)
+  // that has an identifier; returns the longest wait, or 0 when the request
+  // is allowed
+  async function checkRateLimits(db, action, limits, { ipHash, email }) {
+    const identifiers = { ip: ipHash, email: email && await hashToken(email) };
+    let retryAfter = 0;
+
+    for (const [scope, identifier] of Object.entries(identifiers)) {
+      if (identifier) {
+        const wait = await hitRateLimit(db, `${action}:${scope}:${identifier}`, limits[scope]);
+        retryAfter = Math.max(retryAfter, wait);
+      }
+    }
+    return retryAfter;
+  }
+
+  // Challenge hook: with a TURNSTILE_SECRET_KEY configured, each review must
+  // carry a Turnstile token in verification_token that Cloudflare accepts.
+  // Returns a validation detail when it doesn't, otherwise null.
+  async function verifyReviewChallenge(env, token, ip) {
+    if (!env.TURNSTILE_SECRET_KEY) {
+      return null;
+    }
+
+    if (!token) {
+      return fieldError('verification_token', 'required', 'verification_token is required');
+    }
+
+    const form = new FormData();
+    form.append('secret', env.TURNSTILE_SECRET_KEY);
+    form.append('response', token);
+    if (ip) form.append('remoteip', ip);
+
+    const response = await fetch(TURNSTILE_VERIFY_URL, { method: 'POST', body: form });
+    const outcome = response.ok ? await response.json() : {};
+
+    return outcome.success
+      ? null
+      : fieldError('verification_token', 'invalid_value', 'verification_token could not be verified');
+  }
+
+  // The same submitter (by IP or email) reviewing a recipe again within a
+  // day, or repeating the text of one of their recent reviews
+  async function isDuplicateReview(db, { recipeId, ipHash, email, text }) {
+    const identities = [['ip_hash', ipHash], ['reviewer_email', email]].filter(([, value]) => value);
+
+    if (!identities.length) {
+      return false;
+    }
+
+    const { results } = await db.prepare(`
+      SELECT recipe_id, title, comment,
+             created_at >= datetime('now', ?) as is_recent
+      FROM reviews
+      WHERE (${identities.map(([column]) => `${column} = ?`).join(' OR ')})
+        AND created_at >= datetime('now', ?)
+      ORDER BY created_at DESC
+      LIMIT 50
+    `).bind(
+      `-${REPEAT_REVIEW_HOURS} hours`,
+      ...identities.map(([, value]) => value),
+      `-${NEAR_DUPLICATE_DAYS} days`
+    ).all();
+
+    return results.some(review => {
+      if (review.recipe_id === recipeId && review.is_recent) {
+        return true;
+      }
+      const previous = normalizeReviewText([review.title, review.comment].filter(Boolean).join(' '));
+      return text && previous && textSimilarity(text, previous) >= NEAR_DUPLICATE_SIMILARITY;
+    });
+  }
+
+  // --- Admin: review moderation ---
+
+  const REVIEW_MODERATION_ACTIONS = {
+    approve: 'published',
+    reject: 'rejected'
+  };
+
+  const MAX_MODERATION_BATCH = 100;
+
+  const MODERATION_QUEUE_QUERY = {
+    status: { type: 'string', values: ['pending', 'published', 'rejected'] }
+  };
+
+  const MODERATION_INPUT = {
+    action: { type: 'string', required: true, values: Object.keys(REVIEW_MODERATION_ACTIONS) },
+    ids: { type: 'array', required: true, minItems: 1, maxItems: MAX_MODERATION_BATCH, items: { type: 'integer', min: 1 } }
+  };
+
+  // List reviews awaiting moderation (or any status via ?status=), oldest
+  // first by default; sort_by=spam_flag_count&sort_order=DESC puts the most
+  // suspicious first
+  async function getModerationQueue(db, searchParams, corsHeaders) {
+    try {
+      const { values, details } = validateQuery(searchParams, MODERATION_QUEUE_QUERY);
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const status = values.status || 'pending';
+
+      // Counted directly rather than through the count cache, so the total
+      // drops as soon as reviews are moderated
+      const countResult = await db.prepare('SELECT COUNT(*) as total FROM reviews WHERE status = ?').bind(status).first();
+
+      const page = await listQuery(db, {
+        list: 'moderation',
+        query: `
+          SELECT rv.id, rv.recipe_id, rv.reviewer_name, rv.reviewer_email, rv.rating,
+                 rv.title, rv.comment, rv.status, rv.spam_flags, rv.created_at,
+                 json_array_length(IFNULL(rv.spam_flags, '[]')) as spam_flag_count,
+                 r.slug as recipe_slug, r.title as recipe_title
+          FROM reviews rv
+          JOIN recipes r ON rv.recipe_id = r.id
+        `,
+        conditions: [{ clause: 'rv.status = ?', params: [status] }],
+        searchParams,
+        basePath: '/api/admin/reviews',
+        defaultLimit: 50,
+        totalCount: countResult.total
+      });
+
+      if (page.details) {
+        return validationErrorResponse(page.details, corsHeaders);
+      }
+
+      // spam_flags: why the heuristics held a review back, [] for none
+      const reviews = page.rows.map(review => ({
+        ...review,
+        spam_flags: review.spam_flags ? JSON.parse(review.spam_flags) : []
+      }));
+
+      return jsonResponse({
+        success: true,
+        data: reviews,
+        total_count: page.totalCount,
+        pagination: page.pagination
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error fetching moderation queue:', error);
+      return errorResponse('Failed to fetch moderation queue', 500, corsHeaders);
+    }
+  }
+
+  // Approve or reject reviews in bulk: { action: 'approve' | 'reject', ids: [1, 2] }
+  async function moderateReviews(db, request, corsHeaders) {
+    try {
+      const { values, details } = validateBody(await readJsonBody(request), MODERATION_INPUT);
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const action = values.action;
+      const ids = [...new Set(values.ids)];
+
+      const status = REVIEW_MODERATION_ACTIONS[action];
+      const placeholders = ids.map(() => '?').join(', ');
+
+      // The update_recipe_rating_update trigger recomputes each affected recipe
+      const result = await db.prepare(`
+        UPDATE reviews SET status = ?
+        WHERE id IN (${placeholders}) AND status != ?
+      `).bind(status, ...ids, status).run();
+
+      if (result.meta.changes > 0) {
+        const recipes = await db.prepare(`
+          SELECT DISTINCT recipe_id FROM reviews WHERE id IN (${placeholders})
+        `).bind(...ids).all();
+        await purgeEdgeCache(db, await recipeCacheTags(db, recipes.results.map(row => row.recipe_id)));
+      }
+
+      return jsonResponse({
+        success: true,
+        status,
+        updated: result.meta.changes
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error moderating reviews:', error);
+      return errorResponse('Failed to moderate reviews', 500, corsHeaders);
+    }
+  }
+
+
+  // --- Edge cache ---
+
+  // Public GET responses are kept in the Cache API, keyed by URL, and
+  // indexed in edge_cache_keys under tags naming what they show. Writes
+  // purge by tag. The Cache API is per data center, so a purge only clears
+  // the local copies; EDGE_CACHE_TTL bounds how stale other locations get.
+  const EDGE_CACHE_TTL = 300;
+
+  // Cacheable paths and the tags of what they show. /api/suggest keeps its
+  // own per-query cache; sessions, favorites and admin are never cached.
+  const EDGE_CACHE_ROUTES = [
+    [/^\/api\/categories(?:\/tree)?$/, () => ['categories']],
+    [/^\/api\/categories\/([\w-]+)$/, ([, slug]) => ['categories', `category:${slug}`]],
+    [/^\/api\/categories\/([\w-]+)\/recipes$/, ([, slug]) => [`category:${slug}`]],
+    [/^\/api\/(?:recipes|search|recipes\/by-ingredients|recipes\/batch)$/, () => ['recipes']],
+    [/^\/api\/recipes\/([\w-]+)(?:\/reviews)?$/, ([, slug]) => [`recipe:${slug}`]],
+    [/^\/api\/authors$/, () => ['authors']],
+    [/^\/api\/authors\/(\d+)$/, ([, id]) => [`author:${id}`]],
+    [/^\/recipes\/([\w-]+)\/?$/, ([, slug]) => [`recipe:${slug}`]],
+    [/^\/(?:sitemap\.xml|sitemaps\/[a-z]+-\d+\.xml|feed\.xml)$/, () => ['recipes', 'categories', 'authors']],
+    [/^\/feeds\/categories\/([\w-]+)\.atom$/, ([, slug]) => [`category:${slug}`]],
+    [/^\/feeds\/authors\/(\d+)\.atom$/, ([, id]) => [`author:${id}`]]
+  ];
+
+  // Recipe writes also change the recipe counts on categories and authors
+  const RECIPE_COUNT_TAGS = ['categories', 'authors'];
+
+  function edgeCache() {
+    return typeof caches !== 'undefined' ? caches.default : null;
+  }
+
+  function edgeCacheTags(request, url) {
+    if (request.method !== 'GET') {
+      return null;
+    }
+
+    for (const [pattern, tags] of EDGE_CACHE_ROUTES) {
+      const match = url.pathname.match(pattern);
+      if (match) return tags(match);
+    }
+    return null;
+  }
+
+  // Parameter order doesn't change a response, so it doesn't split the cache
+  function edgeCacheKey(url) {
+    const key = new URL(url);
+    key.searchParams.sort();
+    return key.toString();
+  }
+
+  // Latest updated_at among the payload's data, one record or a list
+  function lastModifiedOf(payload) {
+    const records = [].concat((payload && payload.data) || []);
+    const dates = records.map(record => record && parseTimestamp(record.updated_at)).filter(Boolean);
+    return dates.length ? new Date(Math.max(...dates)) : null;
+  }
+
+  // Add ETag (a hash of the body), Last-Modified (from updated_at, for JSON)
+  // and a default Cache-Control to a fresh 200 response
+  async function withValidators(response) {
+    const body = await response.text();
+    const headers = new Headers(response.headers);
+
+    headers.set('ETag', `"${(await hashToken(body)).slice(0, 32)}"`);
+
+    if (!headers.has('Last-Modified') && (headers.get('Content-Type') || '').startsWith('application/json')) {
+      const lastModified = lastModifiedOf(JSON.parse(body));
+      if (lastModified) headers.set('Last-Modified', lastModified.toUTCString());
+    }
+
+    // Browsers revalidate every time (cheap with the ETag); the edge keeps it
+    if (!headers.has('Cache-Control')) {
+      headers.set('Cache-Control', `public, max-age=0, s-maxage=${EDGE_CACHE_TTL}`);
+    }
+
+    return new Response(body, { status: response.status, headers });
+  }
+
+  // If-None-Match wins; If-Modified-Since only counts without it
+  function isNotModified(request, headers) {
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (ifNoneMatch) {
+      const etag = headers.get('ETag');
+      return ifNoneMatch.split(',').some(tag => tag.trim() === '*' || tag.trim().replace(/^W\//, '') === etag);
+    }
+
+    const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since'));
+    const lastModified = Date.parse(headers.get('Last-Modified'));
+    return !isNaN(ifModifiedSince) && !isNaN(lastModified) && lastModified <= ifModifiedSince;
+  }
+
+  // Seconds the edge may keep a response, from its Cache-Control; none for
+  // responses the Cache API won't store
+  function edgeLifetime(headers) {
+    const cacheControl = headers.get('Cache-Control') || '';
+    if (headers.has('Set-Cookie') || /\b(?:no-store|private)\b/.test(cacheControl)) {
+      return 0;
+    }
+
+    const match = cacheControl.match(/s-maxage=(\d+)/) || cacheControl.match(/max-age=(\d+)/);
+    return match ? parseInt(match[1]) : 0;
+  }
+
+  // Index rows outlive the copy that registered them by this many
+  // lifetimes, so copies other data centers store meanwhile are covered
+  const EDGE_CACHE_KEY_LIFETIMES = 2;
+
+  // Store the response, then index it. D1 is only written when no row
+  // still covers this copy, so misses cost a read and each key is
+  // rewritten at most once a lifetime. Failures are logged, since the
+  // response has already gone out.
+  async function storeInEdgeCache(db, cache, cacheKey, response, tags) {
+    const lifetime = edgeLifetime(response.headers);
+    if (lifetime === 0) {
+      return;
+    }
+
+    try {
+      await cache.put(cacheKey, response);
+
+      const now = Math.floor(Date.now() / 1000);
+      const { results } = await db.prepare(`
+        SELECT tag FROM edge_cache_keys WHERE cache_key = ? AND expires_at >= ?
+      `).bind(cacheKey, now + lifetime).all();
+
+      const covered = new Set(results.map(row => row.tag));
+      const uncovered = tags.filter(tag => !covered.has(tag));
+      if (!uncovered.length) {
+        return;
+      }
+
+      const expiresAt = now + lifetime * EDGE_CACHE_KEY_LIFETIMES;
+      await db.batch(uncovered.map(tag => db.prepare(`
+        INSERT OR REPLACE INTO edge_cache_keys (tag, cache_key, expires_at) VALUES (?, ?, ?)
+      `).bind(tag, cacheKey, expiresAt)));
+    } catch (error) {
+      console.error('Error storing in edge cache:', error);
+    }
+  }
+
+  // Answer cacheable GETs from the edge cache, or from `handler` and store
+  // the result; either way honour If-None-Match / If-Modified-Since.
+  // X-Edge-Cache says which it was.
+  async function withEdgeCache(request, env, ctx, handler) {
+    const url = new URL(request.url);
+    const tags = edgeCacheTags(request, url);
+
+    if (!tags) {
+      return await handler();
+    }
+
+    const cache = edgeCache();
+    const cacheKey = edgeCacheKey(url);
+    let response = cache && await cache.match(cacheKey);
+    let cacheStatus = 'HIT';
+
+    if (!response) {
+      cacheStatus = 'MISS';
+      response = await handler();
+
+      if (response.status !== 200) {
+        return response;
+      }
+
+      response = await withValidators(response);
+      if (cache) {
+        ctx.waitUntil(storeInEdgeCache(env.DB, cache, cacheKey, response.clone(), tags));
+      }
+    }
+
+    const headers = new Headers(response.headers);
+    headers.set('X-Edge-Cache', cacheStatus);
+
+    if (isNotModified(request, headers)) {
+      headers.delete('Content-Length');
+      return new Response(null, { status: 304, headers });
+    }
+
+    return new Response(response.body, { status: response.status, headers });
+  }
+
+  // Drop every cached response carrying any of the tags. A failed purge is
+  // logged rather than failing the write that triggered it.
+  async function purgeEdgeCache(db, tags) {
+    try {
+      const { results } = await db.prepare(`
+        SELECT DISTINCT cache_key FROM edge_cache_keys
+        WHERE tag IN (SELECT value FROM json_each(?))
+      `).bind(JSON.stringify([...new Set(tags)])).all();
+
+      if (!results.length) {
+        return;
+      }
+
+      const keys = results.map(row => row.cache_key);
+      const cache = edgeCache();
+      if (cache) {
+        await Promise.all(keys.map(key => cache.delete(key)));
+      }
+
+      await db.prepare(`
+        DELETE FROM edge_cache_keys WHERE cache_key IN (SELECT value FROM json_each(?))
+      `).bind(JSON.stringify(keys)).run();
+    } catch (error) {
+      console.error('Error purging edge cache:', error);
+    }
+  }
+
+  // Tags of everything showing these recipes: each recipe, every recipe
+  // list, their categories and those categories' ancestors (whose lists
+  // include subcategories), and their authors
+  async function recipeCacheTags(db, recipeIds) {
+    const ids = JSON.stringify(recipeIds);
+    const [recipes, categories] = await db.batch([
+      db.prepare(`
+        SELECT slug, author_id FROM recipes WHERE id IN (SELECT value FROM json_each(?))
+      `).bind(ids),
+      db.prepare(`
+        WITH RECURSIVE chain(id, depth) AS (
+          SELECT category_id, 0 FROM recipe_categories
+          WHERE recipe_id IN (SELECT value FROM json_each(?))
+          UNION
+          SELECT c.parent_id, chain.depth + 1
+          FROM categories c
+          JOIN chain ON c.id = chain.id
+          WHERE c.parent_id IS NOT NULL AND chain.depth < ?
+        )
+        SELECT DISTINCT c.slug FROM chain JOIN categories c ON c.id = chain.id
+      `).bind(ids, MAX_CATEGORY_DEPTH)
+    ]);
+
+    return [
+      'recipes',
+      ...recipes.results.map(recipe => `recipe:${recipe.slug}`),
+      ...recipes.results.filter(recipe => recipe.author_id).map(recipe => `author:${recipe.author_id}`),
+      ...categories.results.map(category => `category:${category.slug}`)
+    ];
+  }
+
+  // Forget index entries whose responses have expired anyway (hourly cron)
+  async function pruneEdgeCacheKeys(db) {
+    await db.prepare('DELETE FROM edge_cache_keys WHERE expires_at <= ?').bind(Math.floor(Date.now() / 1000)).run();
+  }
+
+  // --- Sessions, magic-link accounts and favorites ---
+
+  const SESSION_HEADER = 'X-Session-Token';
+  const MAX_FAVORITES_PER_REQUEST = 500;
+
+  // Sign-in links allowed per window, per IP address and per email, so the
+  // endpoint can't be used to flood an inbox or the email provider
+  const MAGIC_LINK_RATE_LIMITS = {
+    ip: { limit: 10, window: 60 * 60 },
+    email: { limit: 3, window: 60 * 60 }
+  };
+
+  const MAGIC_LINK_INPUT = {
+    email: { type: 'string', required: true, maxLength: 254, format: 'email', case: 'lower' }
+  };
+
+  const MAGIC_LINK_VERIFY_INPUT = {
+    token: { type: 'string', required: true, maxLength: 200 }
+  };
+
+  // { recipe_id: 1 } or { recipe_ids: [1, 2, 3] }
+  const FAVORITES_INPUT = {
+    recipe_id: { type: 'integer', min: 1 },
+    recipe_ids: { type: 'array', maxItems: MAX_FAVORITES_PER_REQUEST, items: { type: 'integer', min: 1 } }
+  };
+
+  function randomToken(bytes = 32) {
+    const buffer = crypto.getRandomValues(new Uint8Array(bytes));
+    return [...buffer].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Tokens are only ever stored hashed
+  async function hashToken(token) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Resolve the session (and signed-in user, if any) from the session header
+  async function getRequestSession(db, request) {
+    const token = request.headers.get(SESSION_HEADER);
+
+    if (!token) {
+      return null;
+    }
+
+    const query = `
+      SELECT s.id, s.user_id, u.email
+      FROM sessions s
+      LEFT JOIN users u ON s.user_id = u.id
+      WHERE s.token_hash = ? AND s.expires_at > CURRENT_TIMESTAMP
+    `;
+
+    return db.prepare(query).bind(await hashToken(token)).first();
+  }
+
+  // Favorites belong to the user when signed in, otherwise to the session
+  function favoritesOwner(session) {
+    return session.user_id || session.id;
+  }
+
+  function sessionRequiredResponse(corsHeaders) {
+    return errorResponse('A valid session is required', 401, corsHeaders);
+  }
+
+  function formatSession(session) {
+    return {
+      id: session.id,
+      user: session.user_id ? { id: session.user_id, email: session.email } : null
+    };
+  }
+
+  // Start an anonymous session
+  async function createSession(db, corsHeaders) {
+    try {
+      const token = randomToken();
+      const id = crypto.randomUUID();
+
+      await db.prepare(`
+        INSERT INTO sessions (id, token_hash, expires_at)
+        VALUES (?, ?, datetime('now', '+365 days'))
+      `).bind(id, await hashToken(token)).run();
+
+      return jsonResponse({
+        success: true,
+        token,
+        data: formatSession({ id, user_id: null })
+      }, 201, corsHeaders);
+    } catch (error) {
+      console.error('Error creating session:', error);
+      return errorResponse('Failed to create session', 500, corsHeaders);
+    }
+  }
+
+  // Get the current session and user
+  async function getSessionInfo(db, request, corsHeaders) {
+    try {
+      const session = await getRequestSession(db, request);
+
+      if (!session) {
+        return sessionRequiredResponse(corsHeaders);
+      }
+
+      return jsonResponse({
+        success: true,
+        data: formatSession(session)
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error fetching session:', error);
+      return errorResponse('Failed to fetch session', 500, corsHeaders);
+    }
+  }
+
+  // Deliver a sign-in link through the configured email webhook
+  async function sendMagicLinkEmail(env, email, link) {
+    const response = await fetch(env.EMAIL_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        to: email,
+        subject: 'Your sign-in link',
+        text: `Click the link below to sign in and sync your favorite recipes:\n\n${link}\n\nThis link expires in 15 minutes.`
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Email webhook responded with ${response.status}`);
+    }
+  }
+
+  // Email a one-time sign-in link
+  async function requestMagicLink(env, request, url, corsHeaders) {
+    try {
+      const { values, details } = validateBody(await readJsonBody(request), MAGIC_LINK_INPUT);
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const { email } = values;
+
+      const isDevelopment = env.ENVIRONMENT === 'development';
+      if (!env.EMAIL_WEBHOOK_URL && !isDevelopment) {
+        return errorResponse('Email sign-in is not configured', 503, corsHeaders);
+      }
+
+      const ip = request.headers.get('CF-Connecting-IP');
+      const ipHash = ip && await hashToken(ip);
+
+      const retryAfter = await checkRateLimits(env.DB, 'magic-link', MAGIC_LINK_RATE_LIMITS, { ipHash, email });
+      if (retryAfter) {
+        return errorResponse('Too many sign-in links requested, please try again later', 429, {
+          ...corsHeaders,
+          'Retry-After': String(retryAfter)
+        });
+      }
+
+      const token = randomToken();
+      await env.DB.prepare(`
+        INSERT INTO magic_links (token_hash, email, expires_at)
+        VALUES (?, ?, datetime('now', '+15 minutes'))
+      `).bind(await hashToken(token), email).run();
+
+      const link = `${env.SITE_URL || url.origin}/?login_token=${token}`;
+
+      if (env.EMAIL_WEBHOOK_URL) {
+        await sendMagicLinkEmail(env, email, link);
+      }
+
+      return jsonResponse({
+        success: true,
+        message: 'Check your email for a sign-in link',
+        // Without an email provider in development, hand the link back directly
+        ...(isDevelopment && !env.EMAIL_WEBHOOK_URL ? { debug_link: link } : {})
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error requesting magic link:', error);
+      return errorResponse('Failed to send sign-in link', 500, corsHeaders);
+    }
+  }
+
+  // Redeem a sign-in link: attach the session to the user and move any
+  // anonymous favorites over to the account
+  async function verifyMagicLink(db, request, corsHeaders) {
+    try {
+      const session = await getRequestSession(db, request);
+
+      if (!session) {
+        return sessionRequiredResponse(corsHeaders);
+      }
+
+      const { values, details } = validateBody(await readJsonBody(request), MAGIC_LINK_VERIFY_INPUT);
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      const { token } = values;
+
+      const tokenHash = await hashToken(token);
+
+      // Claim the link first so it can only ever be redeemed once
+      const claim = await db.prepare(`
+        UPDATE magic_links SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      `).bind(tokenHash).run();
+
+      if (claim.meta.changes !== 1) {
+        return errorResponse('This sign-in link is invalid or has expired', 400, corsHeaders);
+      }
+
+      const { email } = await db.prepare('SELECT email FROM magic_links WHERE token_hash = ?').bind(tokenHash).first();
+
+      let user = await db.prepare('SELECT id, email FROM users WHERE email = ?').bind(email).first();
+      if (!user) {
+        user = { id: crypto.randomUUID(), email };
+        await db.prepare('INSERT INTO users (id, email) VALUES (?, ?)').bind(user.id, email).run();
+      }
+
+      const statements = [
+        db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').bind(user.id),
+        db.prepare('UPDATE sessions SET user_id = ?, last_seen_at = CURRENT_TIMESTAMP WHERE id = ?').bind(user.id, session.id)
+      ];
+
+      if (!session.user_id) {
+        statements.push(
+          db.prepare(`
+            INSERT OR IGNORE INTO user_favorites (user_id, recipe_id, created_at)
+            SELECT ?, recipe_id, created_at FROM user_favorites WHERE user_id = ?
+          `).bind(user.id, session.id),
+          db.prepare('DELETE FROM user_favorites WHERE user_id = ?').bind(session.id)
+        );
+      }
+
+      await db.batch(statements);
+
+      return jsonResponse({
+        success: true,
+        data: formatSession({ id: session.id, user_id: user.id, email: user.email })
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error verifying magic link:', error);
+      return errorResponse('Failed to verify sign-in link', 500, corsHeaders);
+    }
+  }
+
+  // End the current session
+  async function logout(db, request, corsHeaders) {
+    try {
+      const session = await getRequestSession(db, request);
+
+      if (session) {
+        await db.prepare('DELETE FROM sessions WHERE id = ?').bind(session.id).run();
+      }
+
+      return jsonResponse({ success: true }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error logging out:', error);
+      return errorResponse('Failed to log out', 500, corsHeaders);
+    }
+  }
+
+  // Get the current user's favorite recipes
+  async function getFavorites(db, request, corsHeaders) {
+    try {
+      const session = await getRequestSession(db, request);
+
+      if (!session) {
+        return sessionRequiredResponse(corsHeaders);
+      }
+
+      const query = `
+        SELECT r.id, r.slug, r.title, r.description, r.prep_time,
+               r.cook_time, r.total_time, r.servings, r.difficulty, r.image_url,
+               r.rating, r.review_count, r.calories, r.featured, r.tags,
+               r.created_at, r.updated_at,
+               uf.created_at as favorited_at,
+               (SELECT json_group_array(json_object('id', c.id, 'slug', c.slug, 'name', c.name))
+                FROM recipe_categories rc
+                JOIN categories c ON rc.category_id = c.id
+                WHERE rc.recipe_id = r.id) as categories
+        FROM user_favorites uf
+        JOIN recipes r ON uf.recipe_id = r.id
+        WHERE uf.user_id = ? AND r.status = 'published'
+        ORDER BY uf.created_at DESC, uf.id DESC
+      `;
+
+      const result = await db.prepare(query).bind(favoritesOwner(session)).all();
+
+      const recipes = result.results.map(recipe => ({
+        ...recipe,
+        tags: recipe.tags ? JSON.parse(recipe.tags) : [],
+        categories: JSON.parse(recipe.categories),
+        featured: !!recipe.featured
+      }));
+
+      return jsonResponse({
+        success: true,
+        data: recipes,
+        total: recipes.length
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error fetching favorites:', error);
+      return errorResponse('Failed to fetch favorites', 500, corsHeaders);
+    }
+  }
+
+  // Add favorites: { recipe_id: 1 } or { recipe_ids: [1, 2, 3] }
+  async function addFavorites(db, request, corsHeaders) {
+    try {
+      const session = await getRequestSession(db, request);
+
+      if (!session) {
+        return sessionRequiredResponse(corsHeaders);
+      }
+
+      const { values, details } = validateBody(await readJsonBody(request), FAVORITES_INPUT);
+      const ids = [].concat(values.recipe_ids || values.recipe_id || []);
+
+      if (!details.length && ids.length === 0) {
+        details.push(fieldError('recipe_ids', 'required', 'recipe_id or recipe_ids is required'));
+      }
+
+      if (details.length) {
+        return validationErrorResponse(details, corsHeaders);
+      }
+
+      // Unknown recipe ids are skipped rather than failing the whole request
+      const result = await db.prepare(`
+        INSERT OR IGNORE INTO user_favorites (user_id, recipe_id)
+        SELECT ?, r.id FROM recipes r
+        WHERE r.id IN (SELECT value FROM json_each(?))
+      `).bind(favoritesOwner(session), JSON.stringify(ids)).run();
+
+      return jsonResponse({
+        success: true,
+        added: result.meta.changes
+      }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error adding favorites:', error);
+      return errorResponse('Failed to add favorites', 500, corsHeaders);
+    }
+  }
+
+  // Remove a favorite
+  async function removeFavorite(db, request, recipeId, corsHeaders) {
+    try {
+      const session = await getRequestSession(db, request);
+
+      if (!session) {
+        return sessionRequiredResponse(corsHeaders);
+      }
+
+      await db.prepare('DELETE FROM user_favorites WHERE user_id = ? AND recipe_id = ?')
+        .bind(favoritesOwner(session), parseInt(recipeId))
+        .run();
+
+      return jsonResponse({ success: true }, 200, corsHeaders);
+    } catch (error) {
+      console.error('Error removing favorite:', error);
+      return errorResponse('Failed to remove favorite', 500, corsHeaders);
+    }
+  }
+
+  // --- Server-rendered pages ---
+
+  function escapeHtml(value) {
+    return `${value ?? ''}`
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Fill a components/ template: {{name}} is escaped, {{{name}}} is inserted
+  // as-is (for HTML built here). One pass, so values are never re-parsed.
+  function renderTemplate(template, values) {
+    return template.replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)\}\}/g, (match, raw, escaped) => (
+      raw ? `${values[raw] ?? ''}` : escapeHtml(values[escaped])
+    ));
+  }
+
+  function htmlResponse(html, status = 200, headers = {}) {
+    return new Response(html, {
+      status,
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        ...headers
+      }
+    });
+  }
+
+  function siteOrigin(env, url) {
+    return (env.SITE_URL || url.origin).replace(/\/$/, '');
+  }
+
+  function recipePath(slug) {
+    return `/recipes/${encodeURIComponent(slug)}`;
+  }
+
+  function categoryPath(slug) {
+    return `/pages/category.html?id=${encodeURIComponent(slug)}`;
+  }
+
+  function authorPath(id) {
+    return `/pages/writers.html?id=${encodeURIComponent(id)}`;
+  }
+
+  // schema.org durations: 90 -> PT1H30M
+  function isoDuration(minutes) {
+    if (!minutes) return 'PT0M';
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `PT${hours ? `${hours}H` : ''}${mins || !hours ? `${mins}M` : ''}`;
+  }
+
+  function formatMinutes(minutes) {
+    if (!minutes) return '0 minutes';
+    if (minutes < 60) return `${minutes} minutes`;
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return mins > 0 ? `${hours} hr ${mins} min` : `${hours} hr`;
+  }
+
+  // Same star string the frontend shows (RecipeAPI.formatRating)
+  function formatStars(rating) {
+    if (!rating) return '☆☆☆☆☆';
+    const fullStars = Math.floor(rating);
+    const hasHalfStar = rating % 1 >= 0.5;
+    const emptyStars = 5 - fullStars - (hasHalfStar ? 1 : 0);
+    return '★'.repeat(fullStars) + (hasHalfStar ? '⭐' : '') + '☆'.repeat(emptyStars);
+  }
+
+  function ingredientText(ingredient) {
+    const text = [ingredient.amount, ingredient.unit, ingredient.item].filter(Boolean).join(' ');
+    return ingredient.notes ? `${text}, ${ingredient.notes}` : text;
+  }
+
+  function buildRecipeJsonLd(recipe, { canonicalUrl, imageUrl, categories }) {
+    const nutrition = {
+      calories: recipe.calories !== null ? `${recipe.calories} calories` : null,
+      proteinContent: recipe.protein !== null ? `${recipe.protein} g` : null,
+      carbohydrateContent: recipe.carbs !== null ? `${recipe.carbs} g` : null,
+      fatContent: recipe.fat !== null ? `${recipe.fat} g` : null,
+      fiberContent: recipe.fiber !== null ? `${recipe.fiber} g` : null,
+      sugarContent: recipe.sugar !== null ? `${recipe.sugar} g` : null
+    };
+    const hasNutrition = Object.values(nutrition).some(value => value !== null);
+
+    const jsonLd = {
+      '@context': 'https://schema.org/',
+      '@type': 'Recipe',
+      name: recipe.title,
+      description: recipe.description || undefined,
+      url: canonicalUrl,
+      image: imageUrl ? [imageUrl] : undefined,
+      author: recipe.author_name ? { '@type': 'Person', name: recipe.author_name } : undefined,
+      datePublished: recipe.created_at ? recipe.created_at.slice(0, 10) : undefined,
+      dateModified: recipe.updated_at ? recipe.updated_at.slice(0, 10) : undefined,
+      prepTime: recipe.prep_time !== null ? isoDuration(recipe.prep_time) : undefined,
+      cookTime: recipe.cook_time !== null ? isoDuration(recipe.cook_time) : undefined,
+      totalTime: recipe.total_time !== null ? isoDuration(recipe.total_time) : undefined,
+      recipeYield: recipe.servings ? `${recipe.servings} servings` : undefined,
+      recipeCategory: categories.length ? categories.map(category => category.name).join(', ') : undefined,
+      keywords: recipe.tags.length ? recipe.tags.join(', ') : undefined,
+      recipeIngredient: recipe.ingredients.map(ingredientText),
+      recipeInstructions: recipe.instructions.map(step => ({
+        '@type': 'HowToStep',
+        position: step.step,
+        text: step.instruction
+      })),
+      nutrition: hasNutrition
+        ? { '@type': 'NutritionInformation', servingSize: '1 serving', ...nutrition }
+        : undefined,
+      aggregateRating: recipe.review_count > 0
+        ? {
+          '@type': 'AggregateRating',
+          ratingValue: `${Math.round(recipe.rating * 10) / 10}`,
+          reviewCount: `${recipe.review_count}`,
+          bestRating: '5',
+          worstRating: '1'
+        }
+        : undefined
+    };
+
+    // JSON.stringify drops the undefined fields; escaping "<" keeps any
+    // "</script>" inside recipe text from closing the script element
+    return JSON.stringify(jsonLd, null, 2).replace(/</g, '\\u003c');
+  }
+
+  function renderRecipeCard(recipe) {
+    return renderTemplate(recipeCardTemplate, {
+      id: recipe.id,
+      slug: recipe.slug,
+      url: recipePath(recipe.slug),
+      title: recipe.title,
+      description: recipe.description,
+      image_url: recipe.image_url,
+      time: formatMinutes(recipe.total_time),
+      stars: formatStars(recipe.rating),
+      difficulty: recipe.difficulty
+    });
+  }
+
+  function renderPageChrome() {
+    return {
+      header: headerTemplate,
+      footer: renderTemplate(footerTemplate, { year: new Date().getFullYear() })
+    };
+  }
+
+  function renderNotFoundPage() {
+    const { header, footer } = renderPageChrome();
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Recipe Not Found - Recipe Website</title>
+    <meta name="robots" content="noindex">
+    <link rel="stylesheet" href="/css/style.css">
+    <link rel="stylesheet" href="/css/responsive.css">
+</head>
+<body>
+    ${header}
+    <main class="container">
+        <div class="error-message">
+            <div class="error-icon">🍳</div>
+            <h2>Recipe Not Found</h2>
+            <p>We couldn't find that recipe. It may have been moved or removed.</p>
+            <a href="/index.html" class="btn btn-primary">Browse Recipes</a>
+        </div>
+    </main>
+    ${footer}
+</body>
+</html>`;
+  }
+
+  // Render /recipes/:slug as a full HTML page for crawlers and first paint
+  async function renderRecipePage(env, url, slug) {
+    try {
+      const db = env.DB;
+      const recipeRow = await db.prepare(`
+        SELECT r.*, a.name as author_name
+        FROM recipes r
+        LEFT JOIN authors a ON r.author_id = a.id
+        WHERE r.slug = ? AND r.status = 'published'
+      `).bind(slug).first();
+
+      if (!recipeRow) {
+        // /recipes/42 still works for old id-based links
+        if (/^\d+$/.test(slug)) {
+          const byId = await db.prepare(`SELECT slug FROM recipes WHERE id = ? AND status = 'published'`)
+            .bind(parseInt(slug))
+            .first();
+          if (byId) {
+            return Response.redirect(`${siteOrigin(env, url)}${recipePath(byId.slug)}`, 301);
+          }
+        }
+        return htmlResponse(renderNotFoundPage(), 404);
+      }
+
+      const recipe = {
+        ...recipeRow,
+        ingredients: JSON.parse(recipeRow.ingredients),
+        instructions: JSON.parse(recipeRow.instructions),
+        tags: recipeRow.tags ? JSON.parse(recipeRow.tags) : []
+      };
+
+      const [categoriesResult, reviewsResult, relatedResult] = await Promise.all([
+        db.prepare(`
+          SELECT c.id, c.slug, c.name
+          FROM categories c
+          JOIN recipe_categories rc ON c.id = rc.category_id
+          WHERE rc.recipe_id = ?
+          ORDER BY c.sort_order, c.name
+        `).bind(recipe.id).all(),
+        db.prepare(`
+          SELECT reviewer_name, rating, title, comment, created_at
+          FROM reviews
+          WHERE recipe_id = ? AND status = 'published'
+          ORDER BY created_at DESC
+          LIMIT 5
+        `).bind(recipe.id).all(),
+        db.prepare(`
+          SELECT DISTINCT r.id, r.slug, r.title, r.description, r.total_time,
+                 r.difficulty, r.image_url, r.rating
+          FROM recipes r
+          JOIN recipe_categories rc ON rc.recipe_id = r.id
+          WHERE rc.category_id IN (SELECT category_id FROM recipe_categories WHERE recipe_id = ?)
+            AND r.id != ? AND r.status = 'published'
+          ORDER BY r.rating DESC
+          LIMIT 4
+        `).bind(recipe.id, recipe.id).all()
+      ]);
+
+      const categories = categoriesResult.results;
+      const origin = siteOrigin(env, url);
+      const canonicalUrl = `${origin}${recipePath(recipe.slug)}`;
+      const imageUrl = recipe.image_url ? new URL(recipe.image_url, `${origin}/`).toString() : '';
+
+      const metaItems = [
+        ['Prep Time', recipe.prep_time !== null ? formatMinutes(recipe.prep_time) : null],
+        ['Cook Time', recipe.cook_time !== null ? formatMinutes(recipe.cook_time) : null],
+        ['Total Time', recipe.total_time !== null ? formatMinutes(recipe.total_time) : null],
+        ['Servings', recipe.servings]
+      ].filter(([, value]) => value !== null && value !== undefined).map(([label, value]) => `
+                    <div class="meta-item">
+                        <span class="meta-label">${label}:</span>
+                        <span class="meta-value">${escapeHtml(value)}</span>
+                    </div>`);
+
+      if (recipe.difficulty) {
+        metaItems.push(`
+                    <div class="meta-item">
+                        <span class="meta-label">Difficulty:</span>
+                        <span class="meta-value difficulty-${escapeHtml(recipe.difficulty)}">${escapeHtml(recipe.difficulty[0].toUpperCase() + recipe.difficulty.slice(1))}</span>
+                    </div>`);
+      }
+
+      const nutrition = [
+        [recipe.calories, '', 'Calories'],
+        [recipe.protein, 'g', 'Protein'],
+        [recipe.carbs, 'g', 'Carbs'],
+        [recipe.fat, 'g', 'Fat'],
+        [recipe.fiber, 'g', 'Fiber'],
+        [recipe.sugar, 'g', 'Sugar']
+      ].filter(([value]) => value !== null).map(([value, unit, label]) => `
+                        <div class="nutrition-item">
+                            <span class="nutrition-value">${escapeHtml(value)}${unit}</span>
+                            <span class="nutrition-label">${label}</span>
+                        </div>`);
+
+      // data-original lets the serving calculator rescale from the source amount
+      const ingredients = recipe.ingredients.map((ingredient, index) => `
+                        <li class="ingredient-item">
+                            <input type="checkbox" id="ingredient-${index + 1}" class="ingredient-checkbox">
+                            <label for="ingredient-${index + 1}">
+                                <span class="ingredient-amount"${ingredient.amount ? ` data-original="${escapeHtml(ingredient.amount)}"` : ''}>${escapeHtml(ingredient.amount)}</span>
+                                <span class="ingredient-unit">${escapeHtml(ingredient.unit)}</span>
+                                <span class="ingredient-name">${escapeHtml(ingredient.item)}</span>
+                                ${ingredient.notes ? `<span class="ingredient-notes">${escapeHtml(ingredient.notes)}</span>` : ''}
+                            </label>
+                        </li>`);
+
+      const instructions = recipe.instructions.map(step => `
+                        <li class="instruction-step">
+                            <div class="step-number">${escapeHtml(step.step)}</div>
+                            <div class="step-content">
+                                <p>${escapeHtml(step.instruction)}</p>
+                            </div>
+                        </li>`);
+
+      const reviews = reviewsResult.results.map(review => `
+                <div class="review-item">
+                    <div class="review-header">
+                        <div class="reviewer-info">
+                            <span class="reviewer-name">${escapeHtml(review.reviewer_name)}</span>
+                            <div class="review-stars">${formatStars(review.rating)}</div>
+                            <time class="review-date" datetime="${escapeHtml(review.created_at)}">${escapeHtml((review.created_at || '').slice(0, 10))}</time>
+                        </div>
+                    </div>
+                    ${review.title ? `<h4 class="review-title">${escapeHtml(review.title)}</h4>` : ''}
+                    ${review.comment ? `<p class="review-text">${escapeHtml(review.comment)}</p>` : ''}
+                </div>`);
+
+      const primaryCategory = categories[0];
+      const categoryTrail = primaryCategory
+        ? [...await queryCategoryAncestors(db, primaryCategory.id), primaryCategory]
+        : [];
+
+      const html = renderTemplate(recipePageTemplate, {
+        ...renderPageChrome(),
+        id: recipe.id,
+        slug: recipe.slug,
+        title: recipe.title,
+        description: recipe.description,
+        meta_title: recipe.meta_title || recipe.title,
+        meta_description: recipe.meta_description || recipe.description,
+        canonical_url: canonicalUrl,
+        image_url: imageUrl,
+        json_ld: buildRecipeJsonLd(recipe, { canonicalUrl, imageUrl, categories }),
+        category_crumb: categoryTrail
+          .map(category => `<li><a href="${categoryPath(category.slug)}">${escapeHtml(category.name)}</a></li>`)
+          .join(''),
+        meta_items: metaItems.join(''),
+        stars: formatStars(recipe.rating),
+        rating: Math.round(recipe.rating * 10) / 10,
+        review_count: recipe.review_count,
+        tags: recipe.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(''),
+        servings: recipe.servings || 1,
+        nutrition: nutrition.join(''),
+        ingredients: ingredients.join(''),
+        instructions: instructions.join(''),
+        reviews: reviews.length
+          ? reviews.join('')
+          : '<p class="no-data">No reviews yet. Be the first to review this recipe!</p>',
+        turnstile: renderTurnstileWidget(env),
+        related: relatedResult.results.map(renderRecipeCard).join('')
+      });
+
+      return htmlResponse(html, 200, { 'Cache-Control': 'public, max-age=300' });
+    } catch (error) {
+      console.error('Error rendering recipe page:', error);
+      return htmlResponse('<!DOCTYPE html><title>Server Error</title><p>Something went wrong. Please try again.</p>', 500);
+    }
+  }
+
+  // The review form's Cloudflare Turnstile challenge, when TURNSTILE_SITE_KEY
+  // is set. The widget adds its token to the form as cf-turnstile-response,
+  // which the page sends as verification_token.
+  function renderTurnstileWidget(env) {
+    if (!env.TURNSTILE_SITE_KEY) {
+      return '';
+    }
+    return `<div class="cf-turnstile" data-sitekey="${escapeHtml(env.TURNSTILE_SITE_KEY)}"></div>
+                    <script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>`;
+  }
+
+  // Old client links (/pages/recipe-detail.html?id=1 or ?slug=...) move to /recipes/:slug
+  async function redirectLegacyRecipeLink(env, url) {
+    try {
+      let slug = url.searchParams.get('slug');
+
+      if (!slug) {
+        const recipe = await env.DB.prepare(`SELECT slug FROM recipes WHERE id = ? AND status = 'published'`)
+          .bind(parseInt(url.searchParams.get('id')) || 0)
+          .first();
+        slug = recipe && recipe.slug;
+      }
+
+      if (!slug) {
+        return htmlResponse(renderNotFoundPage(), 404);
+      }
+
+      return Response.redirect(`${siteOrigin(env, url)}${recipePath(slug)}`, 301);
+    } catch (error) {
+      console.error('Error redirecting recipe link:', error);
+      return htmlResponse(renderNotFoundPage(), 500);
+    }
+  }
+
+  // --- Sitemaps, robots.txt and feeds ---
+
+  const SITE_NAME = 'Recipe Website';
+  const SITEMAP_MAX_URLS = 50000; // per file, the sitemaps.org limit
+  const FEED_SIZE = 20;
+
+  // One entry per kind of page: the rows behind it and each row's path
+  const SITEMAP_SECTIONS = {
+    recipes: {
+      query: `SELECT id, slug, updated_at FROM recipes WHERE status = 'published'`,
+      path: row => recipePath(row.slug)
+    },
+    categories: {
+      query: `SELECT id, slug, updated_at FROM categories`,
+      path: row => categoryPath(row.slug)
+    },
+    authors: {
+      query: `SELECT id, updated_at FROM authors`,
+      path: row => authorPath(row.id)
+    }
+  };
+
+  function xmlResponse(xml, contentType = 'application/xml') {
+    return new Response(xml, {
+      headers: {
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'Cache-Control': 'public, max-age=3600'
+      }
+    });
+  }
+
+  function textResponse(text, status = 200) {
+    return new Response(text, {
+      status,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    });
+  }
+
+  // D1's CURRENT_TIMESTAMP is UTC without a zone ("2024-01-15 10:30:00")
+  function parseTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+    return isNaN(date) ? null : date;
+  }
+
+  function latestTimestamp(values) {
+    const dates = values.map(parseTimestamp).filter(Boolean);
+    return dates.length ? new Date(Math.max(...dates)) : new Date();
+  }
+
+  function renderRobotsTxt(env, url) {
+    const origin = siteOrigin(env, url);
+    const lines = [
+      'User-agent: *',
+      'Disallow: /pages/favorites.html',
+      '',
+      `Sitemap: ${origin}/sitemap.xml`,
+      ''
+    ];
+
+    return new Response(lines.join('\n'), {
+      headers: {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Cache-Control': 'public, max-age=86400'
+      }
+    });
+  }
+
+  function sitemapUrlEntries(origin, section, rows) {
+    return rows.map(row => {
+      const lastmod = parseTimestamp(row.updated_at);
+      return `  <url>
+    <loc>${escapeHtml(origin + section.path(row))}</loc>${lastmod ? `
+    <lastmod>${lastmod.toISOString()}</lastmod>` : ''}
+  </url>`;
+    });
+  }
+
+  function sitemapPageRows(db, section, page) {
+    return db.prepare(`${section.query} ORDER BY id LIMIT ? OFFSET ?`)
+      .bind(SITEMAP_MAX_URLS, (page - 1) * SITEMAP_MAX_URLS)
+      .all();
+  }
+
+  // /sitemap.xml lists every page while they fit in one file; past
+  // SITEMAP_MAX_URLS it becomes an index of /sitemaps/<section>-<n>.xml files
+  async function renderSitemap(env, url) {
+    try {
+      const db = env.DB;
+      const origin = siteOrigin(env, url);
+      const sections = Object.entries(SITEMAP_SECTIONS);
+
+      const stats = await Promise.all(sections.map(([, section]) => (
+        db.prepare(`SELECT COUNT(*) as total, MAX(updated_at) as lastmod FROM (${section.query})`).first()
+      )));
+      const total = stats.reduce((sum, stat) => sum + stat.total, 0);
+
+      if (total <= SITEMAP_MAX_URLS) {
+        const results = await Promise.all(sections.map(([, section]) => sitemapPageRows(db, section, 1)));
+        const urls = sections.flatMap(([, section], index) => sitemapUrlEntries(origin, section, results[index].results));
+
+        return xmlResponse(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`);
+      }
+
+      const sitemaps = sections.flatMap(([name], index) => {
+        const pages = Math.ceil(stats[index].total / SITEMAP_MAX_URLS);
+        const lastmod = parseTimestamp(stats[index].lastmod);
+
+        return Array.from({ length: pages }, (_, page) => `  <sitemap>
+    <loc>${escapeHtml(`${origin}/sitemaps/${name}-${page + 1}.xml`)}</loc>${lastmod ? `
+    <lastmod>${lastmod.toISOString()}</lastmod>` : ''}
+  </sitemap>`);
+      });
+
+      return xmlResponse(`<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.join('\n')}
+</sitemapindex>
+`);
+    } catch (error) {
+      console.error('Error rendering sitemap:', error);
+      return textResponse('Failed to generate sitemap', 500);
+    }
+  }
+
+  async function renderSitemapPage(env, url, name, page) {
+    try {
+      const section = Object.hasOwn(SITEMAP_SECTIONS, name) && SITEMAP_SECTIONS[name];
+
+      if (!section || page < 1) {
+        return textResponse('Not found', 404);
+      }
+
+      const result = await sitemapPageRows(env.DB, section, page);
+
+      if (!result.results.length && page > 1) {
+        return textResponse('Not found', 404);
+      }
+
+      return xmlResponse(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemapUrlEntries(siteOrigin(env, url), section, result.results).join('\n')}
+</urlset>
+`);
+    } catch (error) {
+      console.error('Error rendering sitemap page:', error);
+      return textResponse('Failed to generate sitemap', 500);
+    }
+  }
+
+  // RSS 2.0 feed of the newest recipes, same listing as GET /api/recipes
+  async function renderRecipesFeed(env, url) {
+    try {
+      const origin = siteOrigin(env, url);
+      const { recipes } = await queryRecipes(env.DB, new URLSearchParams({ limit: FEED_SIZE }));
+
+      const items = recipes.map(recipe => {
+        const link = escapeHtml(origin + recipePath(recipe.slug));
+        const published = parseTimestamp(recipe.created_at);
+        return `    <item>
+      <title>${escapeHtml(recipe.title)}</title>
+      <link>${link}</link>
+      <guid isPermaLink="true">${link}</guid>
+      <description>${escapeHtml(recipe.description)}</description>${published ? `
+      <pubDate>${published.toUTCString()}</pubDate>` : ''}${recipe.author_name ? `
+      <dc:creator>${escapeHtml(recipe.author_name)}</dc:creator>` : ''}
+    </item>`;
+      });
+
+      return xmlResponse(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${SITE_NAME}</title>
+    <link>${escapeHtml(`${origin}/`)}</link>
+    <description>The latest recipes from ${SITE_NAME}</description>
+    <language>en</language>
+    <atom:link href="${escapeHtml(`${origin}/feed.xml`)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${latestTimestamp(recipes.map(recipe => recipe.created_at)).toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`, 'application/rss+xml');
+    } catch (error) {
+      console.error('Error rendering recipe feed:', error);
+      return textResponse('Failed to generate feed', 500);
+    }
+  }
+
+  function renderAtomFeed(origin, { title, subtitle, selfPath, alternatePath, author, updated, recipes }) {
+    const entries = recipes.map(recipe => {
+      const link = escapeHtml(origin + recipePath(recipe.slug));
+      const published = parseTimestamp(recipe.created_at);
+      const updated = parseTimestamp(recipe.updated_at) || published || new Date();
+      return `  <entry>
+    <title>${escapeHtml(recipe.title)}</title>
+    <link rel="alternate" type="text/html" href="${link}"/>
+    <id>${link}</id>${published ? `
+    <published>${published.toISOString()}</published>` : ''}
+    <updated>${updated.toISOString()}</updated>
+    <author><name>${escapeHtml(recipe.author_name || author)}</name></author>
+    <summary>${escapeHtml(recipe.description)}</summary>
+  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(title)}</title>${subtitle ? `
+  <subtitle>${escapeHtml(subtitle)}</subtitle>` : ''}
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(origin + selfPath)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHtml(origin + alternatePath)}"/>
+  <id>${escapeHtml(origin + selfPath)}</id>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>${escapeHtml(author)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+  }
+
+  // Atom feed of a category's newest recipes, same listing as GET /api/recipes?category=
+  async function renderCategoryFeed(env, url, slug) {
+    try {
+      const category = await env.DB.prepare(`SELECT slug, name, description, updated_at FROM categories WHERE slug = ?`)
+        .bind(slug)
+        .first();
+
+      if (!category) {
+        return textResponse('Category not found', 404);
+      }
+
+      const { recipes } = await queryRecipes(env.DB, new URLSearchParams({ category: slug, limit: FEED_SIZE }));
+
+      return xmlResponse(renderAtomFeed(siteOrigin(env, url), {
+        title: `${category.name} - ${SITE_NAME}`,
+        subtitle: category.description,
+        selfPath: `/feeds/categories/${encodeURIComponent(category.slug)}.atom`,
+        alternatePath: categoryPath(category.slug),
+        author: SITE_NAME,
+        updated: latestTimestamp([category.updated_at, ...recipes.map(recipe => recipe.updated_at)]),
+        recipes
+      }), 'application/atom+xml');
+    } catch (error) {
+      console.error('Error rendering category feed:', error);
+      return textResponse('Failed to generate feed', 500);
+    }
+  }
+
+  // Atom feed of an author's newest recipes, same data as GET /api/authors/:id
+  async function renderAuthorFeed(env, url, authorId) {
+    try {
+      const author = await queryAuthor(env.DB, authorId);
+
+      if (!author) {
+        return textResponse('Author not found', 404);
+      }
+
+      return xmlResponse(renderAtomFeed(siteOrigin(env, url), {
+        title: `Recipes by ${author.name} - ${SITE_NAME}`,
+        subtitle: author.bio,
+        selfPath: `/feeds/authors/${author.id}.atom`,
+        alternatePath: authorPath(author.id),
+        author: author.name,
+        updated: latestTimestamp([author.updated_at, ...author.recipes.map(recipe => recipe.updated_at)]),
+        recipes: author.recipes
+      }), 'application/atom+xml');
+    } catch (error) {
+      console.error('Error rendering author feed:', error);
+      return textResponse('Failed to generate feed', 500);
+    }
+  }
+
+  // --- Web app manifest ---
+
+  const THEME_COLOR = '#2c3e50';
+  const BACKGROUND_COLOR = '#ffffff';
+
+  // PNGs under /images/icons; the maskable one keeps its artwork inside the
+  // central 80% safe zone
+  const APP_ICONS = [
+    { src: '/images/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+    { src: '/images/icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+    { src: '/images/icons/maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+  ];
+
+  const APP_SHORTCUTS = [
+    { name: 'Search recipes', short_name: 'Search', url: '/pages/search-results.html', icon: 'search' },
+    { name: 'Favorite recipes', short_name: 'Favorites', url: '/pages/favorites.html', icon: 'favorites' },
+    { name: 'Discover recipes', short_name: 'Discover', url: '/pages/discover.html', icon: 'discover' }
+  ];
+
+  // Recipe links shared from other apps open the favorites page, which saves
+  // the recipe (see RecipeDataManager.saveSharedRecipe). Apps differ in
+  // which field carries the link, so all three are passed on.
+  const SHARE_TARGET = {
+    action: '/pages/favorites.html',
+    method: 'GET',
+    params: { title: 'share_title', text: 'share_text', url: 'share_url' }
+  };
+
+  // GET /manifest.webmanifest, what makes the site installable
+  function renderWebManifest() {
+    const manifest = {
+      id: '/',
+      name: SITE_NAME,
+      short_name: 'Recipes',
+      description: 'Simple recipes your loved ones will adore, saved for your kitchen.',
+      start_url: '/',
+      scope: '/',
+      display: 'standalone',
+      theme_color: THEME_COLOR,
+      background_color: BACKGROUND_COLOR,
+      icons: APP_ICONS,
+      shortcuts: APP_SHORTCUTS.map(({ icon, ...shortcut }) => ({
+        ...shortcut,
+        icons: [{ src: `/images/icons/shortcut-${icon}.png`, sizes: '96x96', type: 'image/png' }]
+      })),
+      share_target: SHARE_TARGET
+    };
+
+    return new Response(JSON.stringify(manifest), {
+      headers: {
+        'Content-Type': 'application/manifest+json; charset=utf-8',
+        'Cache-Control': 'public, max-age=86400'
+      }
+    });
+  }
@@ -71,7 +71,10 @@ CREATE TABLE reviews (
     title TEXT,
     comment TEXT,
     helpful_count INTEGER DEFAULT 0,
-    status TEXT DEFAULT 'published' CHECK(status IN ('pending', 'published', 'rejected')),
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'published', 'rejected')), -- new reviews await moderation
+    spam_flags TEXT, -- JSON array of the spam heuristics the review tripped, for sorting the moderation queue
+    ip_hash TEXT, -- SHA-256 of the submitter's IP, for duplicate detection
+    content_hash TEXT, -- SHA-256 of the normalized title and comment
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE
 );
@@ -89,37 +92,146 @@ CREATE TABLE authors (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
--- User favorites table (for future user system)
+-- Registered users (email magic-link sign-in)
+CREATE TABLE users (
+    id TEXT PRIMARY KEY, -- random UUID
+    email TEXT UNIQUE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME
+);
+
+-- Browser sessions; anonymous until linked to a user by a magic link
+CREATE TABLE sessions (
+    id TEXT PRIMARY KEY, -- random UUID, owns favorites while anonymous
+    token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the token the client holds
+    user_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- One-time sign-in links sent by email
+CREATE TABLE magic_links (
+    token_hash TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- User favorites table
 CREATE TABLE user_favorites (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id TEXT NOT NULL, -- For anonymous users, use session ID
+    user_id TEXT NOT NULL, -- users.id when signed in, otherwise sessions.id
     recipe_id INTEGER NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE,
     UNIQUE(user_id, recipe_id)
 );
 
--- Search index table for better search performance
-CREATE TABLE recipe_search_index (
+-- Normalized ingredient names, one row per recipe ingredient.
+-- Kept in sync with recipes.ingredients by triggers; used by the
+-- "what can I cook?" search to match ingredients the user has on hand.
+CREATE TABLE recipe_ingredients (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     recipe_id INTEGER NOT NULL,
-    search_text TEXT NOT NULL, -- Combined searchable text
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    position INTEGER NOT NULL, -- index in the ingredients JSON array
+    item TEXT NOT NULL, -- name as written in the recipe
+    name TEXT NOT NULL, -- lowercased, punctuation collapsed to spaces
+    optional BOOLEAN DEFAULT FALSE,
     FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE
 );
 
+-- Trigram index over recipe_ingredients.name (rowid = recipe_ingredients.id),
+-- so ingredient lookups match substrings ("nut" in "walnuts") from the index
+-- instead of scanning every ingredient. Terms need at least 3 characters.
+CREATE VIRTUAL TABLE recipe_ingredient_fts USING fts5(
+    name,
+    content = 'recipe_ingredients',
+    content_rowid = 'id',
+    tokenize = 'trigram'
+);
+
+-- Full-text search index (rowid = recipes.id)
+-- Column order matters: the bm25() weights in searchRecipes follow it.
+-- Tags, ingredients and instructions hold only the text values pulled out
+-- of the JSON columns, so JSON keys like "item" never match a search.
+CREATE VIRTUAL TABLE recipe_fts USING fts5(
+    title,
+    description,
+    tags,
+    ingredients,
+    instructions,
+    tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+-- Autocomplete dictionary behind /api/suggest: recipe titles, categories,
+-- tags and ingredient names. Derived from the tables above and rebuilt by
+-- the Worker (hourly cron, or POST /api/admin/search-terms/rebuild).
+CREATE TABLE search_terms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL CHECK(kind IN ('recipe', 'category', 'tag', 'ingredient')),
+    term TEXT NOT NULL, -- lowercased label; what queries are matched against
+    label TEXT NOT NULL,
+    target TEXT, -- recipe or category slug
+    weight INTEGER DEFAULT 0, -- reviews for recipes, recipes using it otherwise
+    UNIQUE(kind, term)
+);
+
+-- Trigrams of '  ' || term || ' ' for typo-tolerant lookups
+CREATE TABLE search_term_trigrams (
+    trigram TEXT NOT NULL,
+    term_id INTEGER NOT NULL,
+    PRIMARY KEY (trigram, term_id),
+    FOREIGN KEY (term_id) REFERENCES search_terms(id) ON DELETE CASCADE
+) WITHOUT ROWID;
+
+-- Fixed-window request counters, e.g. review submissions per IP and email.
+-- Expired windows are pruned by the hourly cron.
+CREATE TABLE rate_limits (
+    key TEXT PRIMARY KEY, -- '<action>:<scope>:<hashed identifier>'
+    count INTEGER NOT NULL DEFAULT 0,
+    expires_at INTEGER NOT NULL -- unix seconds; the window resets after this
+) WITHOUT ROWID;
+
+-- Responses held in the Worker's edge cache (Cache API), by the tags that
+-- purge them: 'recipe:<slug>', 'category:<slug>', 'author:<id>', or
+-- 'recipes' / 'categories' / 'authors' for lists
+CREATE TABLE edge_cache_keys (
+    tag TEXT NOT NULL,
+    cache_key TEXT NOT NULL, -- normalized request URL
+    expires_at INTEGER NOT NULL, -- unix seconds; pruned by the hourly cron
+    PRIMARY KEY (tag, cache_key)
+) WITHOUT ROWID;
+
 -- Indexes for better performance
 CREATE INDEX idx_recipes_status ON recipes(status);
 CREATE INDEX idx_recipes_featured ON recipes(featured);
 CREATE INDEX idx_recipes_rating ON recipes(rating);
 CREATE INDEX idx_recipes_created_at ON recipes(created_at);
+-- Cursor pagination seeks on these orders; id (the rowid) is the tie-breaker
+CREATE INDEX idx_recipes_updated_at ON recipes(updated_at);
+CREATE INDEX idx_recipes_title ON recipes(title);
 CREATE INDEX idx_recipe_categories_recipe_id ON recipe_categories(recipe_id);
 CREATE INDEX idx_recipe_categories_category_id ON recipe_categories(category_id);
 CREATE INDEX idx_reviews_recipe_id ON reviews(recipe_id);
 CREATE INDEX idx_reviews_rating ON reviews(rating);
+CREATE INDEX idx_reviews_status ON reviews(status, created_at);
+CREATE INDEX idx_reviews_recipe_status ON reviews(recipe_id, status, created_at);
+CREATE INDEX idx_reviews_ip_hash ON reviews(ip_hash, created_at);
+CREATE INDEX idx_reviews_email ON reviews(reviewer_email, created_at);
+CREATE INDEX idx_reviews_content_hash ON reviews(content_hash);
+CREATE INDEX idx_rate_limits_expires_at ON rate_limits(expires_at);
+CREATE INDEX idx_edge_cache_keys_cache_key ON edge_cache_keys(cache_key);
+CREATE INDEX idx_edge_cache_keys_expires_at ON edge_cache_keys(expires_at);
+CREATE INDEX idx_recipe_ingredients_recipe_id ON recipe_ingredients(recipe_id);
+CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX idx_magic_links_email ON magic_links(email);
+CREATE INDEX idx_user_favorites_user_id ON user_favorites(user_id, created_at);
 CREATE INDEX idx_categories_featured ON categories(featured);
 CREATE INDEX idx_categories_parent_id ON categories(parent_id);
-CREATE INDEX idx_recipe_search_text ON recipe_search_index(search_text);
+CREATE INDEX idx_search_terms_term ON search_terms(term);
 
 -- Insert sample categories
 INSERT INTO categories (slug, name, description, image_url, featured, sort_order) VALUES
@@ -144,7 +256,12 @@ INSERT INTO categories (slug, name, description, image_url, featured, sort_order
 ('mediterranean', 'Mediterranean', 'Fresh and healthy Mediterranean dishes', '/images/categories/mediterranean.jpg', FALSE, 19),
 ('no-bake', 'No-Bake', 'No oven required recipes', '/images/categories/no-bake.jpg', FALSE, 20),
 ('slow-cooker', 'Slow Cooker', 'Set it and forget it meals', '/images/categories/slow-cooker.jpg', FALSE, 21),
-('instant-pot', 'Instant Pot', 'Pressure cooker perfection', '/images/categories/instant-pot.jpg', FALSE, 22);
+('instant-pot', 'Instant Pot', 'Pressure cooker perfection', '/images/categories/instant-pot.jpg', FALSE, 22),
+('cuisines', 'World Cuisines', 'Dishes from kitchens around the world', '/images/categories/cuisines.jpg', FALSE, 23);
+
+-- Cuisines are subcategories of World Cuisines
+UPDATE categories SET parent_id = (SELECT id FROM categories WHERE slug = 'cuisines')
+WHERE slug IN ('italian', 'mexican', 'asian', 'american', 'mediterranean');
 
 -- Insert sample authors
 INSERT INTO authors (name, email, bio, avatar_url, social_links) VALUES
@@ -226,25 +343,44 @@ UPDATE categories SET recipe_count = (
 );
 
 -- Insert sample reviews
-INSERT INTO reviews (recipe_id, reviewer_name, reviewer_email, rating, title, comment, helpful_count) VALUES
-(1, 'Sarah M.', 'sarah.m@email.com', 5, 'Absolutely Delicious!', 'This recipe is amazing! I made it for a family gathering and everyone loved it. So easy to make and the flavors are incredible. Will definitely make again!', 12),
-(1, 'Mike R.', 'mike.r@email.com', 4, 'Great summer dessert', 'Perfect for hot summer days! I added some fresh strawberries and it was even better. My kids couldn''t get enough.', 8),
-(2, 'Jennifer L.', 'jen.l@email.com', 5, 'Perfect for birthdays!', 'Made this for my daughter''s birthday and it was a hit! The lemon flavor is just right - not too tart, not too sweet.', 15),
-(2, 'Tom K.', 'tom.k@email.com', 4, 'Easy and impressive', 'Looks much harder to make than it actually is. Great recipe for impressing guests without too much work.', 6);
+INSERT INTO reviews (recipe_id, reviewer_name, reviewer_email, rating, title, comment, helpful_count, status) VALUES
+(1, 'Sarah M.', 'sarah.m@email.com', 5, 'Absolutely Delicious!', 'This recipe is amazing! I made it for a family gathering and everyone loved it. So easy to make and the flavors are incredible. Will definitely make again!', 12, 'published'),
+(1, 'Mike R.', 'mike.r@email.com', 4, 'Great summer dessert', 'Perfect for hot summer days! I added some fresh strawberries and it was even better. My kids couldn''t get enough.', 8, 'published'),
+(2, 'Jennifer L.', 'jen.l@email.com', 5, 'Perfect for birthdays!', 'Made this for my daughter''s birthday and it was a hit! The lemon flavor is just right - not too tart, not too sweet.', 15, 'published'),
+(2, 'Tom K.', 'tom.k@email.com', 4, 'Easy and impressive', 'Looks much harder to make than it actually is. Great recipe for impressing guests without too much work.', 6, 'published');
 
--- Update recipe ratings and review counts
+-- Update recipe ratings and review counts (published reviews only)
 UPDATE recipes SET 
-    rating = (SELECT AVG(CAST(rating AS REAL)) FROM reviews WHERE recipe_id = recipes.id),
-    review_count = (SELECT COUNT(*) FROM reviews WHERE recipe_id = recipes.id)
-WHERE id IN (SELECT DISTINCT recipe_id FROM reviews);
+    rating = (SELECT AVG(CAST(rating AS REAL)) FROM reviews WHERE recipe_id = recipes.id AND status = 'published'),
+    review_count = (SELECT COUNT(*) FROM reviews WHERE recipe_id = recipes.id AND status = 'published')
+WHERE id IN (SELECT DISTINCT recipe_id FROM reviews WHERE status = 'published');
+
+-- Create normalized ingredient entries
+INSERT INTO recipe_ingredients (recipe_id, position, item, name, optional)
+SELECT
+    recipes.id,
+    ingredient.key,
+    json_extract(ingredient.value, '$.item'),
+    LOWER(TRIM(REPLACE(REPLACE(REPLACE(json_extract(ingredient.value, '$.item'), ',', ' '), '-', ' '), '  ', ' '))),
+    COALESCE(json_extract(ingredient.value, '$.notes'), '') LIKE '%optional%'
+FROM recipes, json_each(recipes.ingredients) ingredient;
 
--- Create search index entries
-INSERT INTO recipe_search_index (recipe_id, search_text)
-SELECT 
+INSERT INTO recipe_ingredient_fts (recipe_ingredient_fts) VALUES ('rebuild');
+
+-- Create full-text search entries
+INSERT INTO recipe_fts (rowid, title, description, tags, ingredients, instructions)
+SELECT
     id,
-    LOWER(title || ' ' || description || ' ' || tags || ' ' || ingredients || ' ' || instructions)
+    title,
+    COALESCE(description, ''),
+    COALESCE((SELECT group_concat(value, ' ') FROM json_each(tags)), ''),
+    COALESCE((SELECT group_concat(json_extract(value, '$.item'), ' ') FROM json_each(ingredients)), ''),
+    COALESCE((SELECT group_concat(json_extract(value, '$.instruction'), ' ') FROM json_each(instructions)), '')
 FROM recipes;
 
+-- search_terms (autocomplete) is derived data: after loading recipes, fill
+-- it with POST /api/admin/search-terms/rebuild or wait for the hourly cron
+
 -- Triggers to maintain data consistency
 
 -- Update recipe count when recipe_categories changes
@@ -264,32 +400,113 @@ BEGIN
     WHERE id = OLD.category_id;
 END;
 
--- Update recipe rating when reviews change
+-- Update recipe rating when reviews change (only published reviews count)
 CREATE TRIGGER update_recipe_rating_insert
 AFTER INSERT ON reviews
+WHEN NEW.status = 'published'
 BEGIN
     UPDATE recipes SET 
-        rating = (SELECT AVG(CAST(rating AS REAL)) FROM reviews WHERE recipe_id = NEW.recipe_id),
-        review_count = (SELECT COUNT(*) FROM reviews WHERE recipe_id = NEW.recipe_id)
+        rating = COALESCE((SELECT AVG(CAST(rating AS REAL)) FROM reviews WHERE recipe_id = NEW.recipe_id AND status = 'published'), 0),
+        review_count = (SELECT COUNT(*) FROM reviews WHERE recipe_id = NEW.recipe_id AND status = 'published')
+    WHERE id = NEW.recipe_id;
+END;
+
+CREATE TRIGGER update_recipe_rating_update
+AFTER UPDATE OF status, rating ON reviews
+WHEN OLD.status = 'published' OR NEW.status = 'published'
+BEGIN
+    UPDATE recipes SET 
+        rating = COALESCE((SELECT AVG(CAST(rating AS REAL)) FROM reviews WHERE recipe_id = NEW.recipe_id AND status = 'published'), 0),
+        review_count = (SELECT COUNT(*) FROM reviews WHERE recipe_id = NEW.recipe_id AND status = 'published')
     WHERE id = NEW.recipe_id;
 END;
 
 CREATE TRIGGER update_recipe_rating_delete
 AFTER DELETE ON reviews
+WHEN OLD.status = 'published'
 BEGIN
     UPDATE recipes SET 
-        rating = COALESCE((SELECT AVG(CAST(rating AS REAL)) FROM reviews WHERE recipe_id = OLD.recipe_id), 0),
-        review_count = (SELECT COUNT(*) FROM reviews WHERE recipe_id = OLD.recipe_id)
+        rating = COALESCE((SELECT AVG(CAST(rating AS REAL)) FROM reviews WHERE recipe_id = OLD.recipe_id AND status = 'published'), 0),
+        review_count = (SELECT COUNT(*) FROM reviews WHERE recipe_id = OLD.recipe_id AND status = 'published')
     WHERE id = OLD.recipe_id;
 END;
 
--- Update search index when recipe changes
-CREATE TRIGGER update_search_index
-AFTER UPDATE ON recipes
+-- Keep normalized ingredients in sync with recipes (deletes cascade)
+CREATE TRIGGER insert_recipe_ingredients
+AFTER INSERT ON recipes
+BEGIN
+    INSERT INTO recipe_ingredients (recipe_id, position, item, name, optional)
+    SELECT
+        NEW.id,
+        ingredient.key,
+        json_extract(ingredient.value, '$.item'),
+        LOWER(TRIM(REPLACE(REPLACE(REPLACE(json_extract(ingredient.value, '$.item'), ',', ' '), '-', ' '), '  ', ' '))),
+        COALESCE(json_extract(ingredient.value, '$.notes'), '') LIKE '%optional%'
+    FROM json_each(NEW.ingredients) ingredient;
+END;
+
+CREATE TRIGGER update_recipe_ingredients
+AFTER UPDATE OF ingredients ON recipes
+BEGIN
+    DELETE FROM recipe_ingredients WHERE recipe_id = OLD.id;
+    INSERT INTO recipe_ingredients (recipe_id, position, item, name, optional)
+    SELECT
+        NEW.id,
+        ingredient.key,
+        json_extract(ingredient.value, '$.item'),
+        LOWER(TRIM(REPLACE(REPLACE(REPLACE(json_extract(ingredient.value, '$.item'), ',', ' '), '-', ' '), '  ', ' '))),
+        COALESCE(json_extract(ingredient.value, '$.notes'), '') LIKE '%optional%'
+    FROM json_each(NEW.ingredients) ingredient;
+END;
+
+-- Keep the ingredient trigram index in sync with recipe_ingredients
+CREATE TRIGGER insert_recipe_ingredient_fts
+AFTER INSERT ON recipe_ingredients
+BEGIN
+    INSERT INTO recipe_ingredient_fts (rowid, name) VALUES (NEW.id, NEW.name);
+END;
+
+CREATE TRIGGER delete_recipe_ingredient_fts
+AFTER DELETE ON recipe_ingredients
+BEGIN
+    INSERT INTO recipe_ingredient_fts (recipe_ingredient_fts, rowid, name) VALUES ('delete', OLD.id, OLD.name);
+END;
+
+-- Keep the full-text index in sync with recipes
+CREATE TRIGGER insert_recipe_fts
+AFTER INSERT ON recipes
+BEGIN
+    INSERT INTO recipe_fts (rowid, title, description, tags, ingredients, instructions)
+    VALUES (
+        NEW.id,
+        NEW.title,
+        COALESCE(NEW.description, ''),
+        COALESCE((SELECT group_concat(value, ' ') FROM json_each(NEW.tags)), ''),
+        COALESCE((SELECT group_concat(json_extract(value, '$.item'), ' ') FROM json_each(NEW.ingredients)), ''),
+        COALESCE((SELECT group_concat(json_extract(value, '$.instruction'), ' ') FROM json_each(NEW.instructions)), '')
+    );
+END;
+
+-- Only searchable columns re-index, so rating/status updates stay cheap
+CREATE TRIGGER update_recipe_fts
+AFTER UPDATE OF title, description, tags, ingredients, instructions ON recipes
+BEGIN
+    DELETE FROM recipe_fts WHERE rowid = OLD.id;
+    INSERT INTO recipe_fts (rowid, title, description, tags, ingredients, instructions)
+    VALUES (
+        NEW.id,
+        NEW.title,
+        COALESCE(NEW.description, ''),
+        COALESCE((SELECT group_concat(value, ' ') FROM json_each(NEW.tags)), ''),
+        COALESCE((SELECT group_concat(json_extract(value, '$.item'), ' ') FROM json_each(NEW.ingredients)), ''),
+        COALESCE((SELECT group_concat(json_extract(value, '$.instruction'), ' ') FROM json_each(NEW.instructions)), '')
+    );
+END;
+
+CREATE TRIGGER delete_recipe_fts
+AFTER DELETE ON recipes
 BEGIN
-    DELETE FROM recipe_search_index WHERE recipe_id = NEW.id;
-    INSERT INTO recipe_search_index (recipe_id, search_text)
-    VALUES (NEW.id, LOWER(NEW.title || ' ' || NEW.description || ' ' || NEW.tags || ' ' || NEW.ingredients || ' ' || NEW.instructions));
+    DELETE FROM recipe_fts WHERE rowid = OLD.id;
 END;
 
 -- Update timestamps
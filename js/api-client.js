@@ -1,52 +1,320 @@
 // js/api-client.js - Frontend API Client for Cloudflare D1 Integration
 
+// Errors thrown by RecipeAPI.request. The Worker answers every failure with
+// { success: false, error: { code, message, details? } }, where `details`
+// lists { field, code, message } for each invalid field. The subclass says
+// what kind of failure it was; `code` says exactly which.
+class APIError extends Error {
+    constructor(message, { status = 0, code = 'unknown_error', details = [] } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    // { field: message } for showing problems next to form inputs
+    get fieldErrors() {
+        return Object.fromEntries(this.details.map(detail => [detail.field, detail.message]));
+    }
+
+    static async fromResponse(response) {
+        let error = {};
+        try {
+            const body = await response.json();
+            error = (body && body.error) || {};
+        } catch {
+            // Not JSON (e.g. a proxy error page): keep the status only
+        }
+
+        const ErrorType = APIError.typeForStatus(response.status);
+        return new ErrorType(error.message || `Request failed with status ${response.status}`, {
+            status: response.status,
+            code: error.code || 'http_error',
+            details: Array.isArray(error.details) ? error.details : [],
+            retryAfter: parseInt(response.headers.get('Retry-After'), 10) || null
+        });
+    }
+
+    static typeForStatus(status) {
+        if (status === 400) return ValidationError;
+        if (status === 401 || status === 403) return AuthenticationError;
+        if (status === 404) return NotFoundError;
+        if (status === 409) return ConflictError;
+        if (status === 429) return RateLimitError;
+        if (status >= 500) return ServerError;
+        return APIError;
+    }
+}
+
+class ValidationError extends APIError {}
+class AuthenticationError extends APIError {}
+class NotFoundError extends APIError {}
+class ConflictError extends APIError {}
+class ServerError extends APIError {}
+
+// 429: retryAfter is how many seconds to wait, when the server says
+class RateLimitError extends APIError {
+    constructor(message, { retryAfter = null, ...options } = {}) {
+        super(message, options);
+        this.retryAfter = retryAfter;
+    }
+}
+
+// The request never got a response (offline, DNS, CORS)
+class NetworkError extends APIError {
+    constructor(message, options = {}) {
+        super(message, { code: 'network_error', ...options });
+    }
+}
+
+// GET responses kept by endpoint, least recently used evicted past
+// `maxEntries`, and mirrored to IndexedDB so they survive page loads.
+// Without IndexedDB (private browsing, old browsers) it is memory only.
+class ResponseCache {
+    constructor({ maxEntries = 200, dbName = 'recipe_api_cache' } = {}) {
+        this.maxEntries = maxEntries;
+        this.dbName = dbName;
+        this.entries = new Map();
+        this.db = null;
+        this.ready = this.restore();
+    }
+
+    // An endpoint is under a prefix when it is the prefix itself or
+    // continues it with a path segment or query: '/recipes/pie' covers
+    // '/recipes/pie/reviews?limit=5' but not '/recipes/pie-crust'
+    static matches(endpoint, prefix) {
+        return endpoint === prefix || (endpoint.startsWith(prefix) && /^[/?]/.test(endpoint.slice(prefix.length)));
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            // Most recently used last
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        const stored = { ...entry, key };
+        this.entries.delete(key);
+        this.entries.set(key, stored);
+        this.persist(store => store.put(stored));
+
+        while (this.entries.size > this.maxEntries) {
+            this.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+        this.persist(store => store.delete(key));
+    }
+
+    // Drop every entry under the endpoint prefix; returns how many
+    async invalidate(prefix) {
+        await this.ready;
+        const keys = [...this.entries.keys()].filter(key => ResponseCache.matches(key, prefix));
+        keys.forEach(key => this.delete(key));
+        return keys.length;
+    }
+
+    async clear() {
+        await this.ready;
+        this.entries.clear();
+        this.persist(store => store.clear());
+    }
+
+    // IndexedDB
+    openDatabase() {
+        return new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('responses', { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    // Load what earlier pages stored, newest last. Anything cached in the
+    // meantime is newer and stays.
+    async restore() {
+        try {
+            this.db = await this.openDatabase();
+            if (!this.db) return;
+
+            const stored = await this.storeRequest('readonly', store => store.getAll());
+            const restored = stored
+                .filter(entry => !this.entries.has(entry.key))
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .map(entry => [entry.key, entry]);
+
+            this.entries = new Map([...restored, ...this.entries]);
+            while (this.entries.size > this.maxEntries) {
+                this.delete(this.entries.keys().next().value);
+            }
+        } catch (error) {
+            console.error('Error restoring API cache:', error);
+        }
+    }
+
+    storeRequest(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const request = operation(this.db.transaction('responses', mode).objectStore('responses'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Writes go to IndexedDB in the background; memory is the source of truth
+    persist(operation) {
+        if (!this.db) return;
+
+        this.storeRequest('readwrite', operation).catch(error => {
+            console.error('Error saving API cache:', error);
+        });
+    }
+}
+
 class RecipeAPI {
     constructor(baseURL = '/api') {
         this.baseURL = baseURL;
-        this.cache = new Map();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.cache = new ResponseCache();
+        this.cacheTimeout = 5 * 60 * 1000; // fresh for 5 minutes
+        this.staleTimeout = 24 * 60 * 60 * 1000; // then served stale while refreshing, up to a day
+        this.inflight = new Map();
+        this.listeners = new Set();
+        this.sessionStorageKey = 'recipe_session_token';
+        this.batchLimit = 100; // must match MAX_BATCH_RECIPES in the Worker
     }
 
-    // Generic API request method
+    // Generic API request method. Failures throw an APIError subclass.
+    // GETs are cached by endpoint: fresh entries are returned as they are,
+    // stale ones are returned at once and refreshed in the background (see
+    // subscribe), and concurrent requests for an endpoint share one fetch.
+    // Pass `skipCache: true` for per-user data that must never be cached
     async request(endpoint, options = {}) {
-        const url = `${this.baseURL}${endpoint}`;
-        const cacheKey = `${options.method || 'GET'}_${url}`;
-        
-        // Check cache for GET requests
-        if (!options.method || options.method === 'GET') {
-            const cached = this.cache.get(cacheKey);
-            if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+        const { skipCache = false, ...fetchOptions } = options;
+        const useCache = !skipCache && (!fetchOptions.method || fetchOptions.method === 'GET');
+
+        try {
+            if (!useCache) {
+                const response = await this.send(endpoint, fetchOptions);
+                return await response.json();
+            }
+
+            await this.cache.ready;
+            const cached = this.cache.get(endpoint);
+            const age = cached ? Date.now() - cached.timestamp : Infinity;
+
+            if (age < this.cacheTimeout) {
                 return cached.data;
             }
+
+            if (age < this.staleTimeout) {
+                this.refresh(endpoint).catch(error => console.error('Background refresh failed:', error));
+                return cached.data;
+            }
+
+            return await this.refresh(endpoint);
+        } catch (error) {
+            console.error('API request failed:', error);
+            throw error;
         }
+    }
 
-        try {
-            const response = await fetch(url, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                },
-                ...options
+    // fetch() with the session header. Failures throw an APIError subclass;
+    // a 304 counts as success.
+    async send(endpoint, fetchOptions = {}) {
+        const sessionToken = this.getSessionToken();
+        const response = await fetch(`${this.baseURL}${endpoint}`, {
+            ...fetchOptions,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(sessionToken ? { 'X-Session-Token': sessionToken } : {}),
+                ...fetchOptions.headers
+            }
+        }).catch(error => {
+            throw new NetworkError(error.message || 'Network request failed');
+        });
+
+        // An expired or revoked session: forget it so a fresh one is created
+        if (response.status === 401 && sessionToken) {
+            this.setSessionToken(null);
+        }
+
+        if (!response.ok && response.status !== 304) {
+            throw await APIError.fromResponse(response);
+        }
+
+        return response;
+    }
+
+    // Fetch a GET endpoint into the cache, once at a time per endpoint. The
+    // cached ETag makes an unchanged response a cheap 304; changed data
+    // replacing an earlier copy is announced to subscribers.
+    refresh(endpoint) {
+        if (this.inflight.has(endpoint)) {
+            return this.inflight.get(endpoint);
+        }
+
+        const pending = (async () => {
+            const cached = this.cache.get(endpoint);
+            const response = await this.send(endpoint, {
+                headers: cached && cached.etag ? { 'If-None-Match': cached.etag } : {}
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            if (response.status === 304 && cached) {
+                this.cache.set(endpoint, { ...cached, timestamp: Date.now() });
+                return cached.data;
             }
 
             const data = await response.json();
+            const etag = response.headers.get('ETag');
+            this.cache.set(endpoint, { data, etag, timestamp: Date.now() });
 
-            // Cache successful GET requests
-            if (!options.method || options.method === 'GET') {
-                this.cache.set(cacheKey, {
-                    data,
-                    timestamp: Date.now()
-                });
+            if (cached && (!etag || etag !== cached.etag)) {
+                this.emit(endpoint, data);
             }
-
             return data;
-        } catch (error) {
-            console.error('API request failed:', error);
-            throw error;
+        })().finally(() => this.inflight.delete(endpoint));
+
+        this.inflight.set(endpoint, pending);
+        return pending;
+    }
+
+    // Hear about fresh data for any endpoint under `prefix` (see
+    // ResponseCache.matches) once a background refresh brings it:
+    //
+    //   api.subscribe('/recipes/pie', ({ endpoint, data }) => render(data));
+    //
+    // Returns an unsubscribe function.
+    subscribe(prefix, listener) {
+        const subscription = { prefix, listener };
+        this.listeners.add(subscription);
+        return () => this.listeners.delete(subscription);
+    }
+
+    emit(endpoint, data) {
+        const detail = { endpoint, data };
+
+        this.listeners.forEach(({ prefix, listener }) => {
+            if (!ResponseCache.matches(endpoint, prefix)) return;
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error('API cache listener failed:', error);
+            }
+        });
+
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('api:refresh', { detail }));
         }
     }
 
@@ -61,10 +329,16 @@ class RecipeAPI {
         return this.getCategories({ featured: 'true' });
     }
 
+    // Includes `ancestors` (root first) and direct subcategories as `children`
     async getCategory(slug) {
         return this.request(`/categories/${slug}`);
     }
 
+    // Every category, nested under `children`
+    async getCategoryTree() {
+        return this.request('/categories/tree');
+    }
+
     async getCategoryRecipes(categorySlug, params = {}) {
         const queryString = new URLSearchParams(params).toString();
         const endpoint = `/categories/${categorySlug}/recipes${queryString ? `?${queryString}` : ''}`;
@@ -78,12 +352,97 @@ class RecipeAPI {
         return this.request(endpoint);
     }
 
+    // Filtered listing plus how many results each filter option would give.
+    // Multi-select filters take arrays: { category: ['dinner', 'lunch'],
+    // category_mode: 'and', diet: ['vegan'], tag: [...], difficulty: [...],
+    // max_time, max_calories, min_protein, min_rating }
+    async getRecipesWithFacets(params = {}) {
+        return this.getRecipes({ ...params, facets: 'true' });
+    }
+
     async getFeaturedRecipes() {
         return this.getRecipes({ featured: 'true' });
     }
 
-    async getRecipe(slug) {
-        return this.request(`/recipes/${slug}`);
+    // Pass { servings, units: 'us' | 'metric' } to get the recipe scaled/converted
+    async getRecipe(slug, params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/recipes/${slug}${queryString ? `?${queryString}` : ''}`);
+    }
+
+    // Card data for many recipes at once: { ids: [1, 2], slugs: ['a', 'b'] }.
+    // Recipes already cached (by an earlier batch or a detail lookup) are
+    // served from the cache; only the rest is requested, in as few calls as
+    // the batch limit allows. Results keep the order of ids, then slugs.
+    async getRecipesBatch({ ids = [], slugs = [] } = {}) {
+        const refs = [
+            ...[...new Set(ids.map(id => parseInt(id)).filter(Number.isInteger))].map(id => ({ id })),
+            ...[...new Set(slugs.filter(Boolean))].map(slug => ({ slug }))
+        ];
+
+        await this.cache.ready;
+        const recipes = new Map(refs.map(ref => [ref, this.getCachedRecipe(ref)]));
+        const uncached = refs.filter(ref => !recipes.get(ref));
+        const missing = { ids: [], slugs: [] };
+
+        for (let i = 0; i < uncached.length; i += this.batchLimit) {
+            const chunk = uncached.slice(i, i + this.batchLimit);
+            const params = new URLSearchParams();
+            const chunkIds = chunk.filter(ref => ref.id !== undefined).map(ref => ref.id);
+            const chunkSlugs = chunk.filter(ref => ref.slug !== undefined).map(ref => ref.slug);
+
+            if (chunkIds.length) params.set('ids', chunkIds.join(','));
+            if (chunkSlugs.length) params.set('slugs', chunkSlugs.join(','));
+
+            // The batch URL is unique to this set of recipes, so the cache
+            // keeps the recipes individually instead
+            const result = await this.request(`/recipes/batch?${params}`, { skipCache: true });
+            (result.data || []).forEach(recipe => this.cacheRecipe(recipe));
+            chunk.forEach(ref => recipes.set(ref, this.getCachedRecipe(ref)));
+
+            missing.ids.push(...(result.missing?.ids || []));
+            missing.slugs.push(...(result.missing?.slugs || []));
+        }
+
+        // A recipe asked for by both id and slug is returned once
+        const seen = new Set();
+        const data = [...recipes.values()].filter(recipe => {
+            if (!recipe || seen.has(recipe.id)) return false;
+            seen.add(recipe.id);
+            return true;
+        });
+
+        return {
+            success: true,
+            data,
+            total: data.length,
+            missing
+        };
+    }
+
+    cacheRecipe(recipe) {
+        const entry = { data: recipe, timestamp: Date.now() };
+        this.cache.set(`recipe_id_${recipe.id}`, entry);
+        this.cache.set(`recipe_slug_${recipe.slug}`, entry);
+    }
+
+    // A full recipe from getRecipe() is a superset of card data, so it counts too
+    getCachedRecipe({ id, slug }) {
+        const fresh = entry => entry && Date.now() - entry.timestamp < this.cacheTimeout;
+        const card = this.cache.get(id !== undefined ? `recipe_id_${id}` : `recipe_slug_${slug}`);
+
+        if (fresh(card)) {
+            return card.data;
+        }
+
+        if (slug !== undefined) {
+            const detail = this.cache.get(`/recipes/${slug}`);
+            if (fresh(detail) && detail.data.data) {
+                return detail.data.data;
+            }
+        }
+
+        return null;
     }
 
     async getLatestRecipes(limit = 8) {
@@ -111,13 +470,39 @@ class RecipeAPI {
         });
     }
 
-    // Search API
+    // Ingredient search: accepts arrays or comma-separated strings
+    async findByIngredients(have, params = {}) {
+        const { exclude, ...rest } = params;
+        const searchParams = { have: [].concat(have).join(','), ...rest };
+
+        if (exclude && exclude.length) {
+            searchParams.exclude = [].concat(exclude).join(',');
+        }
+
+        const queryString = new URLSearchParams(searchParams).toString();
+        return this.request(`/recipes/by-ingredients?${queryString}`);
+    }
+
+    // Search API. Refinements are the getRecipes filters ({ category,
+    // difficulty, max_time, ... }); a search with no results may carry
+    // `did_you_mean: { query, total_count }`.
     async searchRecipes(query, params = {}) {
         const searchParams = { q: query, ...params };
         const queryString = new URLSearchParams(searchParams).toString();
         return this.request(`/search?${queryString}`);
     }
 
+    async searchRecipesWithFacets(query, params = {}) {
+        return this.searchRecipes(query, { ...params, facets: 'true' });
+    }
+
+    // Autocomplete: recipes, categories, tags and ingredients as
+    // { type, label, url, fuzzy }, tolerant of typos
+    async getSuggestions(query, params = {}) {
+        const queryString = new URLSearchParams({ q: query, ...params }).toString();
+        return this.request(`/suggest?${queryString}`);
+    }
+
     // Reviews API
     async getRecipeReviews(recipeSlug, params = {}) {
         const queryString = new URLSearchParams(params).toString();
@@ -125,6 +510,49 @@ class RecipeAPI {
         return this.request(endpoint);
     }
 
+    // Cursor pagination: list endpoints answer with
+    // pagination.next_cursor/prev_cursor instead of offsets. paginate() walks
+    // every page from `params` onwards, fetching each one only when the
+    // previous has been consumed; the iterate* helpers yield single items.
+    //
+    //   for await (const recipe of api.iterateRecipes({ sort_by: 'rating' })) { ... }
+    async *paginate(endpoint, params = {}) {
+        let cursor = params.cursor || null;
+
+        do {
+            const queryString = new URLSearchParams({ ...params, ...(cursor ? { cursor } : {}) }).toString();
+            const page = await this.request(`${endpoint}${queryString ? `?${queryString}` : ''}`);
+            yield page;
+            cursor = page.pagination && page.pagination.next_cursor;
+        } while (cursor);
+    }
+
+    async *iterateItems(endpoint, params = {}) {
+        for await (const page of this.paginate(endpoint, params)) {
+            yield* page.data || [];
+        }
+    }
+
+    iterateRecipes(params = {}) {
+        return this.iterateItems('/recipes', params);
+    }
+
+    iterateCategoryRecipes(categorySlug, params = {}) {
+        return this.iterateItems(`/categories/${categorySlug}/recipes`, params);
+    }
+
+    iterateSearchResults(query, params = {}) {
+        return this.iterateItems('/search', { q: query, ...params });
+    }
+
+    iterateRecipeReviews(recipeSlug, params = {}) {
+        return this.iterateItems(`/recipes/${recipeSlug}/reviews`, params);
+    }
+
+    // Resolves with { id, status }: 'published', or 'pending' when held for
+    // moderation. Offline, the service worker keeps the review to send later
+    // and resolves with { queued: true, status: 'queued' } instead. Rejects
+    // with a RateLimitError after too many submissions.
     async addRecipeReview(recipeSlug, reviewData) {
         return this.request(`/recipes/${recipeSlug}/reviews`, {
             method: 'POST',
@@ -132,18 +560,103 @@ class RecipeAPI {
         });
     }
 
-    // Authors API
-    async getAuthors() {
-        return this.request('/authors');
+    // Authors API: most recipes first; takes sort_by/sort_order, limit and cursor
+    async getAuthors(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.request(`/authors${queryString ? `?${queryString}` : ''}`);
     }
 
     async getAuthor(authorId) {
         return this.request(`/authors/${authorId}`);
     }
 
+    // Session API
+    // The session token lives in localStorage so every RecipeAPI instance
+    // on the page (and every tab) shares the same session.
+    getSessionToken() {
+        try {
+            return localStorage.getItem(this.sessionStorageKey);
+        } catch {
+            return null;
+        }
+    }
+
+    setSessionToken(token) {
+        try {
+            if (token) {
+                localStorage.setItem(this.sessionStorageKey, token);
+            } else {
+                localStorage.removeItem(this.sessionStorageKey);
+            }
+        } catch (error) {
+            console.error('Error saving session token:', error);
+        }
+    }
+
+    // Returns true when a new anonymous session had to be created
+    async ensureSession() {
+        if (this.getSessionToken()) {
+            return false;
+        }
+
+        const result = await this.request('/session', { method: 'POST' });
+        this.setSessionToken(result.token);
+        return true;
+    }
+
+    async getSession() {
+        return this.request('/session', { skipCache: true });
+    }
+
+    async requestMagicLink(email) {
+        await this.ensureSession();
+        return this.request('/auth/magic-link', {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+    }
+
+    async verifyMagicLink(token) {
+        await this.ensureSession();
+        return this.request('/auth/verify', {
+            method: 'POST',
+            body: JSON.stringify({ token })
+        });
+    }
+
+    async logout() {
+        try {
+            await this.request('/auth/logout', { method: 'POST' });
+        } finally {
+            this.setSessionToken(null);
+        }
+    }
+
+    // Favorites API (per session/user, never cached)
+    async getFavorites() {
+        return this.request('/favorites', { skipCache: true });
+    }
+
+    async addFavorites(recipeIds) {
+        return this.request('/favorites', {
+            method: 'POST',
+            body: JSON.stringify({ recipe_ids: [].concat(recipeIds) })
+        });
+    }
+
+    async removeFavorite(recipeId) {
+        return this.request(`/favorites/${recipeId}`, { method: 'DELETE' });
+    }
+
     // Utility methods
-    clearCache() {
-        this.cache.clear();
+    // Forget cached responses under an endpoint prefix after changing what
+    // they show, e.g. invalidate('/recipes/pie') after reviewing it
+    async invalidate(prefix) {
+        return this.cache.invalidate(prefix);
+    }
+
+    async clearCache() {
+        return this.cache.clear();
     }
 
     // Format recipe data for display
@@ -188,10 +701,113 @@ class RecipeAPI {
 
 // Recipe Data Manager
 class RecipeDataManager {
-    constructor() {
-        this.api = new RecipeAPI();
-        this.favorites = this.loadFavorites();
+    // Shares the page's RecipeAPI, so there is one response cache for
+    // reviews and service worker messages to invalidate
+    constructor(api = window.recipeAPI) {
+        this.api = api;
+        this.favoritesStore = window.favoritesStore;
         this.recentlyViewed = this.loadRecentlyViewed();
+        this.followedCategories = this.loadFollowedCategories();
+        this.currentUser = null;
+
+        // Every favorite change made on this page, by any component, goes to the server
+        this.favoritesStore.subscribe(change => {
+            if (change.source === 'local' && change.item && change.item.id !== null) {
+                this.pushFavoriteChange(change.item.id, change.type === 'add');
+            }
+        });
+
+        this.ready = this.initSession();
+        this.isOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        this.initOffline();
+        this.updateAppBadge();
+    }
+
+    // Session & account management
+    async initSession() {
+        try {
+            const loginToken = new URLSearchParams(window.location.search).get('login_token');
+
+            if (loginToken) {
+                // Drop the one-time token from the address bar before using it
+                const url = new URL(window.location.href);
+                url.searchParams.delete('login_token');
+                window.history.replaceState(null, '', url);
+
+                await this.completeSignIn(loginToken);
+            } else if (this.api.getSessionToken()) {
+                await this.syncFavorites();
+            }
+            // Without a session, none is created just for visiting: saving a
+            // favorite or opening the favorites page does that (see
+            // pushFavoriteChange and loadFavoritesData)
+        } catch (error) {
+            console.error('Error initializing session:', error);
+        }
+    }
+
+    async requestSignIn(email) {
+        return this.api.requestMagicLink(email);
+    }
+
+    async completeSignIn(loginToken) {
+        const result = await this.api.verifyMagicLink(loginToken);
+        this.currentUser = result.data.user;
+        await this.syncFavorites();
+        return this.currentUser;
+    }
+
+    async signOut() {
+        await this.api.logout();
+        this.currentUser = null;
+    }
+
+    // Reconcile local favorites with the server. The first time this browser
+    // syncs with a session or account, local favorites are uploaded so
+    // nothing saved while signed out is lost; after that the server list wins.
+    async syncFavorites() {
+        const session = await this.api.getSession();
+        const owner = session.data.user ? session.data.user.id : session.data.id;
+        this.currentUser = session.data.user;
+
+        const localFavorites = this.favoritesStore.getAll();
+
+        if (localStorage.getItem('recipe_favorites_synced_owner') !== owner) {
+            const localIds = localFavorites.map(fav => fav.id).filter(Number.isInteger);
+            if (localIds.length > 0) {
+                await this.api.addFavorites(localIds);
+            }
+            localStorage.setItem('recipe_favorites_synced_owner', owner);
+        }
+
+        // Legacy favorites without a known id can't live on the server yet;
+        // keep them locally until the store resolves them
+        const serverFavorites = await this.api.getFavorites();
+        const unresolved = localFavorites.filter(fav => fav.id === null);
+        this.favoritesStore.replaceAll([
+            ...(serverFavorites.data || []).map(recipe => ({ ...recipe, refreshedAt: new Date().toISOString() })),
+            ...unresolved
+        ]);
+        return this.favoritesStore.getAll();
+    }
+
+    // Mirror a local favorites change to the server without blocking the UI
+    async pushFavoriteChange(recipeId, isAdding) {
+        try {
+            if (isAdding) {
+                const isNewSession = await this.api.ensureSession();
+                if (isNewSession) {
+                    // A fresh session uploads everything saved so far
+                    await this.syncFavorites();
+                    return;
+                }
+                await this.api.addFavorites([recipeId]);
+            } else if (this.api.getSessionToken()) {
+                await this.api.removeFavorite(recipeId);
+            }
+        } catch (error) {
+            console.error('Error syncing favorite:', error);
+        }
     }
 
     // Load homepage data
@@ -218,19 +834,22 @@ class RecipeDataManager {
         }
     }
 
-    // Load category page data
-    async loadCategoryData(categorySlug, page = 1, limit = 20) {
+    // Load category page data. Pass the previous result's
+    // pagination.next_cursor (or prev_cursor) to load a neighbouring page;
+    // `params` takes sort_by/sort_order, include_descendants and the
+    // getRecipes filters (difficulty, max_time, ...).
+    async loadCategoryData(categorySlug, cursor = null, limit = 20, params = {}) {
         try {
-            const offset = (page - 1) * limit;
             const [category, recipes] = await Promise.all([
                 this.api.getCategory(categorySlug),
-                this.api.getCategoryRecipes(categorySlug, { limit, offset })
+                this.api.getCategoryRecipes(categorySlug, { ...params, limit, ...(cursor ? { cursor } : {}) })
             ]);
 
             return {
                 category: category.data,
                 recipes: recipes.data || [],
-                pagination: recipes.pagination
+                pagination: recipes.pagination,
+                total: recipes.total_count
             };
         } catch (error) {
             console.error('Error loading category data:', error);
@@ -238,6 +857,25 @@ class RecipeDataManager {
         }
     }
 
+    // Load favorites page data. The session sync has already fetched fresh
+    // card data for every synced favorite in a single /favorites request;
+    // if it failed (e.g. offline) the locally stored copies are shown.
+    async loadFavoritesData() {
+        await this.ready;
+
+        // Favorites saved before sessions existed need one to sync to
+        if (!this.api.getSessionToken() && this.favoritesStore.getAll().some(fav => fav.id !== null)) {
+            try {
+                await this.api.ensureSession();
+                await this.syncFavorites();
+            } catch (error) {
+                console.error('Error syncing favorites:', error);
+            }
+        }
+
+        return this.favoritesStore.getAll();
+    }
+
     // Load recipe detail data
     async loadRecipeDetail(recipeSlug) {
         try {
@@ -260,65 +898,203 @@ class RecipeDataManager {
         }
     }
 
-    // Search functionality
-    async searchRecipes(query, filters = {}, page = 1, limit = 20) {
+    // Search functionality; paged with cursors like loadCategoryData
+    async searchRecipes(query, filters = {}, cursor = null, limit = 20) {
         try {
-            const offset = (page - 1) * limit;
-            const params = { ...filters, limit, offset };
+            const params = { ...filters, limit, ...(cursor ? { cursor } : {}) };
             const results = await this.api.searchRecipes(query, params);
 
             return {
                 recipes: results.data || [],
                 query: results.query,
                 pagination: results.pagination,
-                total: results.total
+                total: results.total_count,
+                didYouMean: results.did_you_mean
             };
         } catch (error) {
             console.error('Error searching recipes:', error);
             return {
                 recipes: [],
                 query,
-                pagination: { limit, offset, hasMore: false },
-                total: 0
+                pagination: { limit, next_cursor: null, prev_cursor: null, next: null, prev: null, hasMore: false },
+                total: 0,
+                didYouMean: null
             };
         }
     }
 
-    // Favorites management
-    addToFavorites(recipe) {
-        if (!this.favorites.some(fav => fav.id === recipe.id)) {
-            this.favorites.unshift(recipe);
-            this.saveFavorites();
+    // Collect up to `max` items from one of the RecipeAPI iterate* helpers,
+    // requesting only as many pages as that takes:
+    //   const top = await dataManager.collect(api.iterateRecipes({ sort_by: 'rating' }), 50);
+    async collect(iterator, max = Infinity) {
+        const items = [];
+
+        if (max <= 0) {
+            return items;
         }
+
+        for await (const item of iterator) {
+            items.push(item);
+            if (items.length >= max) {
+                break;
+            }
+        }
+
+        return items;
+    }
+
+    // Favorites management (backed by the shared FavoritesStore)
+    addToFavorites(recipe) {
+        this.favoritesStore.add(recipe);
     }
 
     removeFromFavorites(recipeId) {
-        this.favorites = this.favorites.filter(fav => fav.id !== recipeId);
-        this.saveFavorites();
+        this.favoritesStore.remove(recipeId);
+    }
+
+    toggleFavorite(recipe) {
+        return this.favoritesStore.toggle(recipe);
     }
 
     isFavorite(recipeId) {
-        return this.favorites.some(fav => fav.id === recipeId);
+        return this.favoritesStore.has(recipeId);
     }
 
     getFavorites() {
-        return this.favorites;
+        return this.favoritesStore.getAll();
+    }
+
+    // Share target: a link shared into the installed app from elsewhere
+    // arrives on the favorites page as { title, text, url } (see
+    // SHARE_TARGET in the Worker). Saves the recipe it links to and
+    // resolves with it, or with null when nothing shared is a recipe here.
+    async saveSharedRecipe(shared = {}) {
+        const ref = RecipeDataManager.sharedRecipeRef([shared.url, shared.text, shared.title]);
+        if (!ref) {
+            return null;
+        }
+
+        const result = await this.api.getRecipesBatch(ref.id ? { ids: [ref.id] } : { slugs: [ref.slug] });
+        const recipe = result.data[0];
+        if (!recipe) {
+            return null;
+        }
+
+        this.favoritesStore.add({ ...recipe, refreshedAt: new Date().toISOString() });
+        return recipe;
+    }
+
+    // The first link to one of this site's recipes among the shared values,
+    // as { slug } or { id }. Apps often put the link inside the text.
+    static sharedRecipeRef(values) {
+        const links = values.filter(Boolean).flatMap(value => value.match(/https?:\/\/\S+/g) || []);
+
+        for (const link of links) {
+            let url;
+            try {
+                url = new URL(link);
+            } catch {
+                continue;
+            }
+            if (url.origin !== window.location.origin) continue;
+
+            const page = url.pathname.match(/^\/recipes\/([\w-]+)\/?$/);
+            const legacy = url.pathname === '/pages/recipe-detail.html' && (url.searchParams.get('slug') || url.searchParams.get('id'));
+            const value = page ? page[1] : legacy;
+            if (value) {
+                return /^\d+$/.test(value) ? { id: parseInt(value) } : { slug: value };
+            }
+        }
+        return null;
+    }
+
+    // Followed categories, kept in this browser as { slug: seenAt }: when
+    // the reader last looked at each one. Recipes added since then are
+    // counted on the installed app's badge.
+    followCategory(slug) {
+        this.followedCategories[slug] = new Date().toISOString();
+        this.saveFollowedCategories();
+        this.updateAppBadge();
+    }
+
+    unfollowCategory(slug) {
+        delete this.followedCategories[slug];
+        this.saveFollowedCategories();
+        this.updateAppBadge();
     }
 
-    loadFavorites() {
+    isFollowingCategory(slug) {
+        return Object.prototype.hasOwnProperty.call(this.followedCategories, slug);
+    }
+
+    getFollowedCategories() {
+        return Object.keys(this.followedCategories);
+    }
+
+    // Viewing a followed category clears its new recipes from the badge
+    markCategorySeen(slug) {
+        if (!this.isFollowingCategory(slug)) return;
+
+        this.followedCategories[slug] = new Date().toISOString();
+        this.saveFollowedCategories();
+        this.updateAppBadge();
+    }
+
+    // Recipes created in followed categories (and their subcategories) since
+    // each was last seen, counting a recipe in several of them once. Looks
+    // at the newest page of each category only.
+    async countNewFollowedRecipes() {
+        const newRecipes = new Set();
+
+        await Promise.all(Object.entries(this.followedCategories).map(async ([slug, seenAt]) => {
+            const page = await this.api.getCategoryRecipes(slug, {
+                sort_by: 'created_at',
+                sort_order: 'DESC',
+                include_descendants: 'true',
+                limit: 20
+            });
+
+            (page.data || [])
+                .filter(recipe => Date.parse(`${(recipe.created_at || '').replace(' ', 'T')}Z`) > Date.parse(seenAt))
+                .forEach(recipe => newRecipes.add(recipe.id));
+        }));
+
+        return newRecipes.size;
+    }
+
+    // App Badging API: only installed apps show it, and only some browsers
+    async updateAppBadge() {
+        if (typeof navigator === 'undefined' || !('setAppBadge' in navigator)) {
+            return;
+        }
+
+        // Follows can change while counting; only the latest count is shown
+        const update = this.badgeUpdate = (this.badgeUpdate || 0) + 1;
+
         try {
-            const stored = localStorage.getItem('recipe_favorites');
-            return stored ? JSON.parse(stored) : [];
+            const count = await this.countNewFollowedRecipes();
+            if (update !== this.badgeUpdate) return;
+
+            await (count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge());
+        } catch (error) {
+            console.error('Error updating app badge:', error);
+        }
+    }
+
+    loadFollowedCategories() {
+        try {
+            const stored = JSON.parse(localStorage.getItem('recipe_followed_categories'));
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
         } catch {
-            return [];
+            return {};
         }
     }
 
-    saveFavorites() {
+    saveFollowedCategories() {
         try {
-            localStorage.setItem('recipe_favorites', JSON.stringify(this.favorites));
+            localStorage.setItem('recipe_followed_categories', JSON.stringify(this.followedCategories));
         } catch (error) {
-            console.error('Error saving favorites:', error);
+            console.error('Error saving followed categories:', error);
         }
     }
 
@@ -364,13 +1140,16 @@ class RecipeDataManager {
         }
     }
 
-    // Submit review
+    // Submit review. A queued review (see addRecipeReview) is sent when the
+    // connection returns, and a 'review:sent' event reports how it went.
     async submitReview(recipeSlug, reviewData) {
         try {
             const result = await this.api.addRecipeReview(recipeSlug, reviewData);
             
-            // Clear cache for reviews to get updated data
-            this.api.clearCache();
+            // The recipe's reviews and rating have changed
+            if (!result.queued) {
+                await this.api.invalidate(`/recipes/${recipeSlug}`);
+            }
             
             return result;
         } catch (error) {
@@ -378,16 +1157,91 @@ class RecipeDataManager {
             throw error;
         }
     }
+
+    // Offline support. The service worker (/sw.js) precaches the app shell,
+    // keeps visited recipes and images, and queues reviews submitted offline;
+    // this side shows the offline indicator, tells the worker which recipes
+    // are favorited so they stay available, and asks it to send queued
+    // reviews once back online (browsers without Background Sync need that).
+    initOffline() {
+        if (typeof document === 'undefined') return;
+
+        RecipeUIHelpers.showOfflineIndicator(this.isOffline);
+        window.addEventListener('online', () => this.setOffline(false));
+        window.addEventListener('offline', () => this.setOffline(true));
+
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Error registering service worker:', error);
+        });
+
+        navigator.serviceWorker.addEventListener('message', event => this.handleWorkerMessage(event.data || {}));
+        this.favoritesStore.subscribe(() => this.cacheFavoritesOffline());
+
+        navigator.serviceWorker.ready.then(() => {
+            this.cacheFavoritesOffline();
+            if (!this.isOffline) this.postToWorker({ type: 'replay-reviews' });
+        });
+    }
+
+    setOffline(isOffline) {
+        if (isOffline === this.isOffline) return;
+
+        this.isOffline = isOffline;
+        RecipeUIHelpers.showOfflineIndicator(isOffline);
+        document.dispatchEvent(new CustomEvent('connection:change', { detail: { offline: isOffline } }));
+
+        if (!isOffline) {
+            this.postToWorker({ type: 'replay-reviews' });
+        }
+    }
+
+    // Keep every favorited recipe's page, data and image in the worker's cache
+    cacheFavoritesOffline() {
+        const recipes = this.favoritesStore.getAll()
+            .filter(fav => fav.slug)
+            .map(fav => ({ slug: fav.slug, image_url: fav.image_url || null }));
+
+        this.postToWorker({ type: 'cache-favorites', recipes });
+    }
+
+    postToWorker(message) {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.ready.then(registration => {
+            if (registration.active) registration.active.postMessage(message);
+        });
+    }
+
+    // A queued review reached the server: { slug, status, result }, where
+    // status is the HTTP status it got (201, or e.g. 409 for a duplicate)
+    async handleWorkerMessage(message) {
+        if (message.type !== 'review-sent') return;
+
+        if (message.status === 201) {
+            await this.api.invalidate(`/recipes/${message.slug}`);
+        }
+        document.dispatchEvent(new CustomEvent('review:sent', {
+            detail: { slug: message.slug, status: message.status, result: message.result }
+        }));
+    }
 }
 
 // UI Helper Functions
 class RecipeUIHelpers {
+    // Canonical, server-rendered recipe URL. Id-only links are redirected
+    // to the slug by the Worker.
+    static recipeUrl(recipe) {
+        return `/recipes/${encodeURIComponent(recipe.slug || recipe.id)}`;
+    }
+
     static createRecipeCard(recipe) {
         const formattedTime = RecipeAPI.prototype.formatTime(recipe.total_time);
         const formattedRating = RecipeAPI.prototype.formatRating(recipe.rating);
         
         return `
-            <article class="recipe-card" data-recipe-id="${recipe.id}">
+            <article class="recipe-card" data-recipe-id="${recipe.id}" data-recipe-slug="${recipe.slug || ''}">
                 <div class="recipe-image" style="background-image: url('${recipe.image_url || ''}');">
                     <button class="favorite-btn ${recipe.isFavorite ? 'active' : ''}" 
                             data-recipe-id="${recipe.id}" 
@@ -435,6 +1289,25 @@ class RecipeUIHelpers {
         `).join('');
     }
 
+    // A banner while the browser is offline, created the first time it's needed
+    static showOfflineIndicator(isOffline) {
+        if (!document.body) return;
+
+        let indicator = document.querySelector('.offline-indicator');
+        if (!indicator && !isOffline) return;
+
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.className = 'offline-indicator';
+            indicator.setAttribute('role', 'status');
+            indicator.textContent = "You're offline. Saved recipes and pages you've visited still work.";
+            document.body.appendChild(indicator);
+        }
+
+        indicator.hidden = !isOffline;
+        document.body.classList.toggle('is-offline', isOffline);
+    }
+
     static showErrorMessage(container, message = 'Something went wrong. Please try again.') {
         container.innerHTML = `
             <div class="error-message">
@@ -449,14 +1322,33 @@ class RecipeUIHelpers {
 
 // Initialize global instances
 window.recipeAPI = new RecipeAPI();
-window.recipeDataManager = new RecipeDataManager();
+window.recipeDataManager = new RecipeDataManager(window.recipeAPI);
 window.RecipeUIHelpers = RecipeUIHelpers;
+Object.assign(window, {
+    APIError,
+    ValidationError,
+    AuthenticationError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    ServerError,
+    NetworkError
+});
 
 // Export for module use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         RecipeAPI,
+        ResponseCache,
         RecipeDataManager,
-        RecipeUIHelpers
+        RecipeUIHelpers,
+        APIError,
+        ValidationError,
+        AuthenticationError,
+        NotFoundError,
+        ConflictError,
+        RateLimitError,
+        ServerError,
+        NetworkError
     };
 }
@@ -0,0 +1,248 @@
+// js/category.js - Category page: breadcrumbs, subcategories and recipes
+
+class CategoryPage {
+    constructor() {
+        this.dataManager = window.recipeDataManager;
+        this.favoritesStore = window.favoritesStore;
+        this.slug = new URLSearchParams(window.location.search).get('id');
+        this.grid = document.getElementById('category-grid');
+        this.loadMoreBtn = document.getElementById('category-load-more');
+        this.followBtn = document.getElementById('category-follow');
+        this.pageSize = 12;
+
+        this.category = null;
+        this.recipes = [];
+        this.nextCursor = null;
+        this.requestId = 0;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.slug) {
+            this.showNotFound();
+            return;
+        }
+
+        this.setupEventListeners();
+        this.load();
+    }
+
+    // Subcategory recipes are included unless the reader unticks the box
+    getParams() {
+        const [sortBy, sortOrder] = document.getElementById('category-sort').value.split(':');
+        const includeBox = document.getElementById('category-include-subcategories');
+
+        return {
+            sort_by: sortBy,
+            sort_order: sortOrder,
+            include_descendants: includeBox.checked ? 'true' : 'false'
+        };
+    }
+
+    setupEventListeners() {
+        document.getElementById('category-sort').addEventListener('change', () => this.load());
+        document.getElementById('category-include-subcategories').addEventListener('change', () => this.load());
+        this.loadMoreBtn.addEventListener('click', () => this.loadMore());
+        this.followBtn.addEventListener('click', () => this.toggleFollow());
+
+        this.grid.addEventListener('click', (e) => {
+            const favoriteBtn = e.target.closest('.favorite-btn');
+            if (favoriteBtn) {
+                e.stopPropagation();
+                const recipe = this.recipes.find(item => `${item.id}` === favoriteBtn.dataset.recipeId);
+                if (recipe) {
+                    this.favoritesStore.toggle(recipe);
+                }
+                return;
+            }
+
+            if (e.target.closest('.retry-btn')) {
+                this.load();
+                return;
+            }
+
+            const card = e.target.closest('.recipe-card');
+            if (card && !card.classList.contains('loading-skeleton')) {
+                window.location.href = window.RecipeUIHelpers.recipeUrl({
+                    id: card.dataset.recipeId,
+                    slug: card.dataset.recipeSlug
+                });
+            }
+        });
+    }
+
+    async load() {
+        const requestId = ++this.requestId;
+        this.recipes = [];
+        this.nextCursor = null;
+        this.updateLoadMore();
+        this.grid.innerHTML = window.RecipeUIHelpers.createLoadingState(this.pageSize);
+
+        try {
+            const data = await this.dataManager.loadCategoryData(this.slug, null, this.pageSize, this.getParams());
+            if (requestId !== this.requestId) return;
+
+            this.category = data.category;
+            this.recipes = data.recipes;
+            this.nextCursor = data.pagination && data.pagination.next_cursor;
+
+            this.renderCategory();
+            this.renderRecipes(data.total);
+
+            // Its new recipes no longer count on the app badge
+            this.dataManager.markCategorySeen(this.slug);
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('Error loading category page:', error);
+
+            if (!this.category && error instanceof window.NotFoundError) {
+                this.showNotFound();
+            } else {
+                window.RecipeUIHelpers.showErrorMessage(this.grid);
+            }
+        }
+
+        this.updateLoadMore();
+    }
+
+    async loadMore() {
+        if (this.isLoadingMore || !this.nextCursor) {
+            return;
+        }
+
+        const requestId = this.requestId;
+        this.isLoadingMore = true;
+        this.updateLoadMore();
+
+        try {
+            const page = await window.recipeAPI.getCategoryRecipes(this.slug, {
+                ...this.getParams(),
+                limit: this.pageSize,
+                cursor: this.nextCursor
+            });
+            if (requestId !== this.requestId) return;
+
+            const recipes = page.data || [];
+            this.recipes.push(...recipes);
+            this.nextCursor = page.pagination && page.pagination.next_cursor;
+            this.grid.insertAdjacentHTML('beforeend', recipes.map(recipe => this.createCard(recipe)).join(''));
+        } catch (error) {
+            console.error('Error loading more category recipes:', error);
+        } finally {
+            this.isLoadingMore = false;
+            this.updateLoadMore();
+        }
+    }
+
+    // Following: new recipes in followed categories show on the installed
+    // app's badge (see RecipeDataManager.followCategory)
+    toggleFollow() {
+        if (this.dataManager.isFollowingCategory(this.slug)) {
+            this.dataManager.unfollowCategory(this.slug);
+        } else {
+            this.dataManager.followCategory(this.slug);
+        }
+        this.renderFollow();
+    }
+
+    // Rendering
+    renderCategory() {
+        const category = this.category;
+
+        document.title = `${category.meta_title || category.name} - Recipe Website`;
+        document.querySelector('meta[name="description"]')
+            ?.setAttribute('content', category.meta_description || category.description || '');
+
+        document.getElementById('category-title').textContent = category.name;
+        document.getElementById('category-description').textContent = category.description || '';
+
+        const header = document.querySelector('.category-header');
+        header.style.backgroundImage = category.image_url
+            ? `linear-gradient(rgba(0, 0, 0, 0.45), rgba(0, 0, 0, 0.45)), url('${category.image_url}')`
+            : '';
+
+        this.renderBreadcrumbs(category);
+        this.renderSubcategories(category.children || []);
+        this.renderFollow();
+    }
+
+    renderFollow() {
+        const isFollowing = this.dataManager.isFollowingCategory(this.slug);
+        this.followBtn.hidden = false;
+        this.followBtn.setAttribute('aria-pressed', `${isFollowing}`);
+        this.followBtn.textContent = isFollowing ? '✓ Following' : '+ Follow';
+    }
+
+    renderBreadcrumbs(category) {
+        const crumbs = (category.ancestors || []).map(ancestor => `
+            <li><a href="category.html?id=${encodeURIComponent(ancestor.slug)}">${ancestor.name}</a></li>
+        `).join('');
+
+        document.getElementById('category-breadcrumbs').innerHTML = `
+            <li><a href="../index.html">Home</a></li>
+            <li><a href="topics.html">Topics</a></li>
+            ${crumbs}
+            <li aria-current="page">${category.name}</li>
+        `;
+    }
+
+    renderSubcategories(children) {
+        const nav = document.getElementById('category-subcategories');
+        nav.hidden = children.length === 0;
+        document.querySelector('.include-subcategories').hidden = children.length === 0;
+
+        nav.querySelector('ul').innerHTML = children.map(child => `
+            <li>
+                <a href="category.html?id=${encodeURIComponent(child.slug)}" class="subcategory-link">
+                    ${child.name}
+                    <span class="subcategory-count">${child.recipe_count}</span>
+                </a>
+            </li>
+        `).join('');
+    }
+
+    renderRecipes(total) {
+        document.getElementById('category-count').textContent =
+            `${total} ${total === 1 ? 'recipe' : 'recipes'}`;
+
+        this.grid.innerHTML = this.recipes.length
+            ? this.recipes.map(recipe => this.createCard(recipe)).join('')
+            : '<div class="no-data"><p>No recipes in this category yet.</p></div>';
+    }
+
+    createCard(recipe) {
+        return window.RecipeUIHelpers.createRecipeCard({
+            ...recipe,
+            description: recipe.description || '',
+            difficulty: recipe.difficulty || '',
+            isFavorite: this.favoritesStore.has(recipe)
+        });
+    }
+
+    updateLoadMore() {
+        this.loadMoreBtn.hidden = !this.nextCursor;
+        this.loadMoreBtn.disabled = !!this.isLoadingMore;
+    }
+
+    showNotFound() {
+        document.getElementById('category-title').textContent = 'Category Not Found';
+        document.getElementById('category-description').textContent = '';
+        document.querySelector('.category-toolbar').hidden = true;
+        this.grid.innerHTML = `
+            <div class="no-data">
+                <p>We couldn't find that category.</p>
+                <a href="topics.html" class="btn btn-primary">Browse All Topics</a>
+            </div>
+        `;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.categoryPage = new CategoryPage();
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CategoryPage };
+}
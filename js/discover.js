@@ -0,0 +1,413 @@
+// js/discover.js - Discover page: filterable, infinitely scrolling recipe browser
+
+// Shortcuts linked from the homepage (?filter=latest etc). Their params are
+// defaults: anything chosen on the page overrides them.
+const DISCOVER_PRESETS = {
+    latest: { title: 'Latest Recipes', params: { sort_by: 'created_at', sort_order: 'DESC' } },
+    featured: { title: 'Featured Recipes', params: { featured: 'true' } },
+    popular: { title: 'Most Popular Recipes', params: { sort_by: 'rating', sort_order: 'DESC' } },
+    quick: { title: 'Quick Recipes', params: { max_time: '30', sort_by: 'total_time', sort_order: 'ASC' } }
+};
+
+// Query parameters the page keeps in the URL, named as GET /api/recipes takes them
+const DISCOVER_PARAMS = [
+    'filter', 'category', 'category_mode', 'diet', 'tag', 'tag_mode', 'difficulty',
+    'max_time', 'max_calories', 'min_protein', 'min_rating', 'featured',
+    'sort_by', 'sort_order'
+];
+
+const DISCOVER_FACETS = [
+    { name: 'category', title: 'Category', type: 'list' },
+    { name: 'diet', title: 'Diet', type: 'list' },
+    { name: 'difficulty', title: 'Difficulty', type: 'list' },
+    { name: 'time', title: 'Total Time', type: 'range', label: value => `Up to ${window.recipeAPI.formatTime(value)}` },
+    { name: 'rating', title: 'Rating', type: 'range', label: value => `${value}+ stars` },
+    { name: 'calories', title: 'Calories', type: 'range', label: value => `Up to ${value} cal` },
+    { name: 'protein', title: 'Protein', type: 'range', label: value => `${value} g+ protein` },
+    { name: 'tag', title: 'Tags', type: 'list' }
+];
+
+class DiscoverPage {
+    constructor() {
+        this.api = window.recipeAPI;
+        this.favoritesStore = window.favoritesStore;
+        this.grid = document.getElementById('discover-grid');
+        this.filtersPanel = document.getElementById('discover-filters');
+        this.sentinel = document.getElementById('discover-sentinel');
+        this.loadMoreBtn = document.getElementById('discover-load-more');
+        this.pageSize = 12;
+
+        this.state = new URLSearchParams();
+        this.recipes = [];
+        this.nextCursor = null;
+        this.isLoading = false;
+        this.requestId = 0; // responses for a superseded filter state are dropped
+
+        this.init();
+    }
+
+    init() {
+        // Scroll position is restored by hand once the cards are back
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
+        this.setupEventListeners();
+        this.setupInfiniteScroll();
+        this.load(this.readState(), history.state && history.state.discover);
+    }
+
+    // URL state
+    readState() {
+        const params = new URLSearchParams(window.location.search);
+        const state = new URLSearchParams();
+
+        DISCOVER_PARAMS.forEach(name => {
+            const value = params.getAll(name).join(',');
+            if (value) state.set(name, value);
+        });
+
+        return state;
+    }
+
+    // Push a new filter state as its own history entry, then reload the list.
+    // Any change turns a preset into plain params the reader can then undo.
+    updateState(changes) {
+        const state = new URLSearchParams(this.getApiParams());
+
+        Object.entries(changes).forEach(([name, value]) => {
+            const joined = [].concat(value ?? []).filter(v => v !== '' && v !== null).join(',');
+            if (joined) {
+                state.set(name, joined);
+            } else {
+                state.delete(name);
+            }
+        });
+
+        const query = state.toString();
+        history.pushState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+        window.scrollTo(0, 0);
+        this.load(state);
+    }
+
+    // The preset's params under the URL's own
+    getApiParams() {
+        const preset = DISCOVER_PRESETS[this.state.get('filter')];
+        const params = { ...(preset ? preset.params : {}) };
+
+        this.state.forEach((value, name) => {
+            if (name !== 'filter') params[name] = value;
+        });
+
+        return params;
+    }
+
+    // Remember how far the reader got, so coming back from a recipe puts
+    // them at the same card rather than the top of page one
+    saveScrollPosition() {
+        history.replaceState({
+            ...(history.state || {}),
+            discover: { count: this.recipes.length, scrollY: window.scrollY }
+        }, '');
+    }
+
+    setupEventListeners() {
+        window.addEventListener('popstate', (e) => {
+            this.load(this.readState(), e.state && e.state.discover);
+        });
+
+        window.addEventListener('scroll', utils.throttle(() => this.saveScrollPosition(), 250));
+
+        document.getElementById('discover-sort').addEventListener('change', (e) => {
+            const [sortBy, sortOrder] = e.target.value.split(':');
+            this.updateState({ sort_by: sortBy, sort_order: sortOrder });
+        });
+
+        document.getElementById('discover-clear').addEventListener('click', () => this.clearFilters());
+
+        document.querySelector('.discover-filters-toggle').addEventListener('click', (e) => {
+            const isOpen = this.filtersPanel.classList.toggle('open');
+            e.currentTarget.setAttribute('aria-expanded', isOpen);
+        });
+
+        this.filtersPanel.addEventListener('change', (e) => {
+            const input = e.target;
+            const group = input.closest('.facet-group');
+            if (!group) return;
+
+            if (input.type === 'checkbox') {
+                const checked = [...group.querySelectorAll(`input[name="${input.name}"]:checked`)].map(box => box.value);
+                this.updateState({ [input.name]: checked });
+            } else {
+                this.updateState({ [input.name]: input.value });
+            }
+        });
+
+        this.loadMoreBtn.addEventListener('click', () => this.loadMore());
+
+        // One delegated handler covers every page of cards
+        this.grid.addEventListener('click', (e) => {
+            const favoriteBtn = e.target.closest('.favorite-btn');
+            if (favoriteBtn) {
+                e.stopPropagation();
+                this.toggleFavorite(favoriteBtn.dataset.recipeId);
+                return;
+            }
+
+            if (e.target.closest('.clear-filters-btn')) {
+                this.clearFilters();
+                return;
+            }
+
+            if (e.target.closest('.retry-btn')) {
+                this.load(this.state);
+                return;
+            }
+
+            const card = e.target.closest('.recipe-card');
+            if (card && !card.classList.contains('loading-skeleton')) {
+                this.openRecipe(card);
+            }
+        });
+    }
+
+    setupInfiniteScroll() {
+        if (!('IntersectionObserver' in window)) {
+            return;
+        }
+
+        this.observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMore();
+            }
+        }, { rootMargin: '400px' });
+
+        this.observer.observe(this.sentinel);
+    }
+
+    clearFilters() {
+        const changes = Object.fromEntries(DISCOVER_PARAMS.map(name => [name, null]));
+        this.updateState(changes);
+    }
+
+    openRecipe(card) {
+        this.saveScrollPosition();
+        window.location.href = window.RecipeUIHelpers.recipeUrl({
+            id: card.dataset.recipeId,
+            slug: card.dataset.recipeSlug
+        });
+    }
+
+    toggleFavorite(recipeId) {
+        const recipe = this.recipes.find(item => `${item.id}` === recipeId);
+        if (recipe) {
+            this.favoritesStore.toggle(recipe);
+        }
+    }
+
+    // Loading
+    // `restore` ({ count, scrollY }) reloads as many cards as the reader had
+    // seen and scrolls back to where they were.
+    async load(state, restore = null) {
+        const requestId = ++this.requestId;
+        this.state = state;
+        this.recipes = [];
+        this.nextCursor = null;
+        this.isLoading = true;
+
+        this.renderHeading();
+        this.renderSort();
+        this.grid.innerHTML = window.RecipeUIHelpers.createLoadingState(this.pageSize);
+        this.updateLoadMore();
+
+        try {
+            const limit = restore ? Math.min(Math.max(restore.count, this.pageSize), 100) : this.pageSize;
+            const result = await this.api.getRecipesWithFacets({ ...this.getApiParams(), limit });
+            if (requestId !== this.requestId) return;
+
+            this.recipes = result.data || [];
+            this.nextCursor = result.pagination && result.pagination.next_cursor;
+            this.totalCount = result.total_count;
+            this.renderFilters(result.facets);
+
+            while (restore && this.nextCursor && this.recipes.length < restore.count) {
+                const page = await this.api.getRecipes({ ...this.getApiParams(), limit: 100, cursor: this.nextCursor });
+                if (requestId !== this.requestId) return;
+                this.recipes.push(...(page.data || []));
+                this.nextCursor = page.pagination && page.pagination.next_cursor;
+            }
+
+            this.isLoading = false;
+            this.renderRecipes();
+
+            if (restore) {
+                window.scrollTo(0, restore.scrollY);
+            }
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('Error loading discover recipes:', error);
+            this.isLoading = false;
+            window.RecipeUIHelpers.showErrorMessage(this.grid);
+            this.updateLoadMore();
+        }
+    }
+
+    async loadMore() {
+        if (this.isLoading || !this.nextCursor) {
+            return;
+        }
+
+        const requestId = this.requestId;
+        this.isLoading = true;
+        this.updateLoadMore();
+
+        try {
+            const page = await this.api.getRecipes({ ...this.getApiParams(), limit: this.pageSize, cursor: this.nextCursor });
+            if (requestId !== this.requestId) return;
+
+            const recipes = page.data || [];
+            this.recipes.push(...recipes);
+            this.nextCursor = page.pagination && page.pagination.next_cursor;
+            this.grid.insertAdjacentHTML('beforeend', recipes.map(recipe => this.createCard(recipe)).join(''));
+        } catch (error) {
+            console.error('Error loading more recipes:', error);
+        } finally {
+            if (requestId === this.requestId) {
+                this.isLoading = false;
+                this.updateLoadMore();
+            }
+        }
+    }
+
+    // Rendering
+    renderHeading() {
+        const preset = DISCOVER_PRESETS[this.state.get('filter')];
+        const title = preset ? preset.title : 'Discover Recipes';
+
+        document.getElementById('discover-title').textContent = title;
+        document.title = `${title} - Recipe Website`;
+    }
+
+    renderSort() {
+        const params = this.getApiParams();
+        const value = `${params.sort_by || 'created_at'}:${(params.sort_order || 'DESC').toUpperCase()}`;
+        const select = document.getElementById('discover-sort');
+
+        select.value = [...select.options].some(option => option.value === value) ? value : 'created_at:DESC';
+    }
+
+    renderRecipes() {
+        const count = document.getElementById('discover-count');
+        count.textContent = `${this.totalCount} ${this.totalCount === 1 ? 'recipe' : 'recipes'}`;
+
+        if (this.recipes.length === 0) {
+            this.grid.innerHTML = `
+                <div class="no-data">
+                    <p>No recipes match these filters.</p>
+                    <button class="btn btn-secondary clear-filters-btn">Clear Filters</button>
+                </div>
+            `;
+        } else {
+            this.grid.innerHTML = this.recipes.map(recipe => this.createCard(recipe)).join('');
+        }
+
+        this.updateLoadMore();
+    }
+
+    createCard(recipe) {
+        return window.RecipeUIHelpers.createRecipeCard({
+            ...recipe,
+            description: recipe.description || '',
+            difficulty: recipe.difficulty || '',
+            isFavorite: this.favoritesStore.has(recipe)
+        });
+    }
+
+    updateLoadMore() {
+        const hasMore = !!this.nextCursor;
+        this.sentinel.classList.toggle('loading', this.isLoading && this.recipes.length > 0);
+        // Without IntersectionObserver the button is the only way to page
+        this.loadMoreBtn.hidden = !hasMore || !!this.observer;
+        this.loadMoreBtn.disabled = this.isLoading;
+
+        // The observer only reports changes, so a sentinel that is still in
+        // view after a short page would never ask for the next one
+        if (this.observer && hasMore && !this.isLoading) {
+            this.observer.unobserve(this.sentinel);
+            this.observer.observe(this.sentinel);
+        }
+    }
+
+    renderFilters(facets = {}) {
+        const params = this.getApiParams();
+        const hasFilters = DISCOVER_PARAMS.some(name => !['sort_by', 'sort_order'].includes(name) && this.state.has(name));
+        document.getElementById('discover-clear').hidden = !hasFilters;
+
+        this.filtersPanel.querySelector('.facet-groups').innerHTML = DISCOVER_FACETS
+            .filter(facet => facets[facet.name] && facets[facet.name].options.length)
+            .map(facet => facet.type === 'list'
+                ? this.renderListFacet(facet, facets[facet.name])
+                : this.renderRangeFacet(facet, facets[facet.name], params))
+            .join('');
+    }
+
+    renderListFacet(facet, { mode, options }) {
+        const modeToggle = ['category', 'tag'].includes(facet.name) ? `
+            <div class="facet-mode">
+                Match
+                <label><input type="radio" name="${facet.name}_mode" value="" ${mode === 'or' ? 'checked' : ''}> any</label>
+                <label><input type="radio" name="${facet.name}_mode" value="and" ${mode === 'and' ? 'checked' : ''}> all</label>
+            </div>
+        ` : '';
+
+        return `
+            <fieldset class="facet-group" data-facet="${facet.name}">
+                <legend>${facet.title}</legend>
+                ${modeToggle}
+                <div class="facet-options">
+                    ${options.map(option => `
+                        <label class="facet-option ${option.count === 0 && !option.selected ? 'disabled' : ''}">
+                            <input type="checkbox" name="${facet.name}" value="${option.value}"
+                                   ${option.selected ? 'checked' : ''} ${option.count === 0 && !option.selected ? 'disabled' : ''}>
+                            <span class="facet-label">${option.label || option.value}</span>
+                            <span class="facet-count">${option.count}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </fieldset>
+        `;
+    }
+
+    renderRangeFacet(facet, { param, options }, params) {
+        const current = params[param] || '';
+
+        return `
+            <fieldset class="facet-group" data-facet="${facet.name}">
+                <legend>${facet.title}</legend>
+                <div class="facet-options">
+                    <label class="facet-option">
+                        <input type="radio" name="${param}" value="" ${current === '' ? 'checked' : ''}>
+                        <span class="facet-label">Any</span>
+                    </label>
+                    ${options.map(option => `
+                        <label class="facet-option ${option.count === 0 && !option.selected ? 'disabled' : ''}">
+                            <input type="radio" name="${param}" value="${option.value}"
+                                   ${option.selected ? 'checked' : ''} ${option.count === 0 && !option.selected ? 'disabled' : ''}>
+                            <span class="facet-label">${facet.label(option.value)}</span>
+                            <span class="facet-count">${option.count}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </fieldset>
+        `;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.discoverPage = new DiscoverPage();
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DiscoverPage, DISCOVER_PRESETS };
+}
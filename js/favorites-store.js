@@ -0,0 +1,309 @@
+// js/favorites-store.js - Single source of truth for saved recipes
+
+class FavoritesStore {
+    constructor({ storageKey = 'recipe_favorites_store', maxAge = 24 * 60 * 60 * 1000 } = {}) {
+        this.storageKey = storageKey;
+        this.maxAge = maxAge; // refresh metadata older than this (1 day)
+        this.listeners = new Set();
+        this.refreshing = null;
+        this.items = this.load();
+
+        this.setupCrossTabSync();
+    }
+
+    // Every favorite is stored in the same shape, whatever page saved it
+    static normalize(recipe, existing = {}) {
+        const id = recipe.id !== undefined && recipe.id !== null && `${recipe.id}`.match(/^\d+$/)
+            ? parseInt(recipe.id)
+            : (existing.id ?? null);
+
+        return {
+            id,
+            slug: recipe.slug || existing.slug || null,
+            title: recipe.title || existing.title || '',
+            description: recipe.description ?? existing.description ?? '',
+            image_url: recipe.image_url || existing.image_url || '',
+            rating: recipe.rating || existing.rating || 0,
+            review_count: recipe.review_count || existing.review_count || 0,
+            total_time: recipe.total_time || existing.total_time || 0,
+            difficulty: recipe.difficulty || existing.difficulty || null,
+            categories: recipe.categories || existing.categories || [],
+            addedAt: existing.addedAt || recipe.addedAt || recipe.favorited_at || new Date().toISOString(),
+            // Only data that came from the API counts as fresh
+            refreshedAt: recipe.refreshedAt !== undefined ? recipe.refreshedAt : (existing.refreshedAt || null)
+        };
+    }
+
+    // Match by id when known, otherwise by slug, otherwise by title
+    static matches(item, ref) {
+        if (ref === null || ref === undefined) return false;
+
+        if (typeof ref !== 'object') {
+            const value = `${ref}`;
+            return (item.id !== null && `${item.id}` === value) || item.slug === value || item.title === value;
+        }
+
+        if (ref.id !== undefined && ref.id !== null && item.id !== null) {
+            return `${item.id}` === `${ref.id}`;
+        }
+        if (ref.slug && item.slug) {
+            return item.slug === ref.slug;
+        }
+        return !!ref.title && item.title === ref.title;
+    }
+
+    // Storage
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && Array.isArray(stored.items)) {
+                return stored.items;
+            }
+        } catch {
+            // Fall through to migration
+        }
+
+        return this.migrateLegacyFavorites();
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                version: 1,
+                items: this.items
+            }));
+        } catch (error) {
+            console.error('Error saving favorites:', error);
+        }
+    }
+
+    // Fold the two old formats into the new store, then drop them:
+    // - `recipe_favorites` (RecipeDataManager): partial recipe objects
+    // - `favorites` (CardManager): recipe ids or titles as strings
+    migrateLegacyFavorites() {
+        const items = [];
+        const addLegacy = recipe => {
+            if (!items.some(item => FavoritesStore.matches(item, recipe))) {
+                items.push(FavoritesStore.normalize({ ...recipe, refreshedAt: null }));
+            }
+        };
+
+        try {
+            const recipeFavorites = JSON.parse(localStorage.getItem('recipe_favorites')) || [];
+            recipeFavorites.filter(Boolean).forEach(recipe => addLegacy(recipe));
+
+            const cardFavorites = JSON.parse(localStorage.getItem('favorites')) || [];
+            cardFavorites.filter(Boolean).forEach(value => {
+                addLegacy(/^\d+$/.test(`${value}`) ? { id: value } : { title: `${value}` });
+            });
+
+            this.items = items;
+            this.save();
+            localStorage.removeItem('recipe_favorites');
+            localStorage.removeItem('favorites');
+        } catch (error) {
+            console.error('Error migrating favorites:', error);
+        }
+
+        return items;
+    }
+
+    // Queries
+    getAll() {
+        return [...this.items];
+    }
+
+    get(ref) {
+        return this.items.find(item => FavoritesStore.matches(item, ref)) || null;
+    }
+
+    has(ref) {
+        return this.get(ref) !== null;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    // Mutations
+    add(recipe, { source = 'local' } = {}) {
+        if (this.has(recipe)) {
+            return false;
+        }
+
+        const item = FavoritesStore.normalize(recipe);
+        this.items.unshift(item);
+        this.save();
+        this.emit({ type: 'add', item, source });
+        this.refreshStale();
+        return true;
+    }
+
+    remove(ref, { source = 'local' } = {}) {
+        const item = this.get(ref);
+
+        if (!item) {
+            return false;
+        }
+
+        this.items = this.items.filter(existing => existing !== item);
+        this.save();
+        this.emit({ type: 'remove', item, source });
+        return true;
+    }
+
+    // Returns the new state: true when the recipe is now a favorite
+    toggle(recipe) {
+        if (this.has(recipe)) {
+            this.remove(recipe);
+            return false;
+        }
+        this.add(recipe);
+        return true;
+    }
+
+    // Replace the whole list, e.g. with the server copy after a sync
+    replaceAll(recipes, { source = 'server' } = {}) {
+        this.items = recipes.map(recipe => FavoritesStore.normalize(recipe, this.get(recipe) || {}));
+        this.save();
+        this.emit({ type: 'replace', source });
+    }
+
+    // Merge fresh recipe data into an existing favorite
+    update(ref, data) {
+        const item = this.get(ref);
+
+        if (!item) {
+            return;
+        }
+
+        const updated = FavoritesStore.normalize({ ...data, refreshedAt: new Date().toISOString() }, item);
+        this.items = this.items.map(existing => existing === item ? updated : existing);
+        this.save();
+        this.emit({ type: 'update', item: updated, source: 'refresh' });
+    }
+
+    // Events
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(change) {
+        const detail = { ...change, favorites: this.getAll() };
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error('Favorites listener failed:', error);
+            }
+        });
+
+        document.dispatchEvent(new CustomEvent('favorites:change', { detail }));
+    }
+
+    // Other tabs write the same key; reload and re-emit so this tab's UI follows
+    setupCrossTabSync() {
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.storageKey) return;
+
+            this.items = this.load();
+            this.emit({ type: 'replace', source: 'tab' });
+        });
+    }
+
+    // Background refresh of placeholder or outdated metadata
+    isStale(item) {
+        return !item.refreshedAt || Date.now() - new Date(item.refreshedAt).getTime() > this.maxAge;
+    }
+
+    refreshStale() {
+        const api = window.recipeAPI;
+
+        if (!api || this.refreshing) {
+            return this.refreshing;
+        }
+
+        const stale = this.items.filter(item => this.isStale(item));
+        if (stale.length === 0) {
+            return null;
+        }
+
+        this.refreshing = this.refreshItems(api, stale)
+            .catch(error => console.warn('Could not refresh favorites:', error))
+            .finally(() => {
+                this.refreshing = null;
+            });
+
+        return this.refreshing;
+    }
+
+    async refreshItems(api, items) {
+        // A server sync may have refreshed some of them in the meantime
+        const pending = items.map(item => this.get(item)).filter(item => item && this.isStale(item));
+        const slugs = new Map(pending.map(item => [item, item.slug]));
+
+        // Legacy title-only favorites: look the recipe up by its exact title
+        for (const item of pending.filter(item => item.id === null && !item.slug && item.title)) {
+            try {
+                const results = await api.searchRecipes(`"${item.title}"`, { limit: 5 });
+                const match = (results.data || []).find(recipe => recipe.title === item.title);
+                slugs.set(item, match ? match.slug : null);
+            } catch (error) {
+                console.warn(`Could not find favorite "${item.title}":`, error);
+            }
+        }
+
+        // Everything else comes back in a single batch request
+        const byId = pending.filter(item => item.id !== null);
+        const bySlug = pending.filter(item => item.id === null && slugs.get(item));
+        if (byId.length === 0 && bySlug.length === 0) {
+            return;
+        }
+
+        const result = await api.getRecipesBatch({
+            ids: byId.map(item => item.id),
+            slugs: bySlug.map(item => slugs.get(item))
+        });
+
+        (result.data || []).forEach(recipe => {
+            const item = byId.find(fav => fav.id === recipe.id) ||
+                bySlug.find(fav => slugs.get(fav) === recipe.slug);
+            if (item) {
+                this.update(item, recipe);
+            }
+        });
+    }
+}
+
+// Keep every rendered favorite button in step with the store
+function syncFavoriteButtons(favoritesStore, root = document) {
+    root.querySelectorAll('.favorite-btn[data-recipe-id]').forEach(button => {
+        const isFavorite = favoritesStore.has(button.dataset.recipeId);
+        button.classList.toggle('active', isFavorite);
+        button.innerHTML = isFavorite ? '♥' : '♡';
+        button.setAttribute('aria-label', isFavorite ? 'Remove from favorites' : 'Add to favorites');
+    });
+}
+
+// Initialize global instance
+window.favoritesStore = new FavoritesStore();
+window.favoritesStore.subscribe(() => syncFavoriteButtons(window.favoritesStore));
+window.syncFavoriteButtons = syncFavoriteButtons;
+
+document.addEventListener('DOMContentLoaded', async () => {
+    syncFavoriteButtons(window.favoritesStore);
+
+    // Let the session sync land first: one /favorites call refreshes every
+    // synced favorite, leaving only the rest for a single batch request
+    if (window.recipeDataManager) {
+        await window.recipeDataManager.ready;
+    }
+    window.favoritesStore.refreshStale();
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FavoritesStore };
+}
@@ -232,7 +232,7 @@ class CardManager {
     constructor() {
         this.recipeCards = document.querySelectorAll('.recipe-card');
         this.categoryCards = document.querySelectorAll('.category-card');
-        this.favorites = utils.storage.get('favorites') || [];
+        this.favoritesStore = window.favoritesStore;
         
         this.init();
     }
@@ -278,7 +278,8 @@ class CardManager {
     }
 
     handleRecipeClick(card) {
-        const recipeId = card.dataset.recipeId;
+        // Server-rendered recipe pages live at /recipes/:slug (ids redirect there)
+        const recipeRef = card.dataset.recipeSlug || card.dataset.recipeId;
         const recipeTitle = card.querySelector('.recipe-title')?.textContent;
         
         // Add loading state
@@ -286,8 +287,8 @@ class CardManager {
         
         // Simulate navigation delay
         setTimeout(() => {
-            if (recipeId) {
-                window.location.href = `pages/recipe-detail.html?id=${recipeId}`;
+            if (recipeRef) {
+                window.location.href = `/recipes/${encodeURIComponent(recipeRef)}`;
             } else {
                 console.log(`Opening recipe: ${recipeTitle}`);
                 // Fallback for demo
@@ -323,38 +324,32 @@ class CardManager {
             favoriteBtn.innerHTML = '♡';
             favoriteBtn.setAttribute('aria-label', 'Add to favorites');
             
-            const recipeId = card.dataset.recipeId || card.querySelector('.recipe-title')?.textContent;
+            const recipe = {
+                id: card.dataset.recipeId || null,
+                slug: card.dataset.recipeSlug || null,
+                title: card.querySelector('.recipe-title')?.textContent.trim()
+            };
+            // The store keeps the button in sync from here on
+            favoriteBtn.dataset.recipeId = recipe.id || recipe.title;
             
-            if (this.favorites.includes(recipeId)) {
+            if (this.favoritesStore.has(recipe)) {
                 favoriteBtn.classList.add('active');
                 favoriteBtn.innerHTML = '♥';
+                favoriteBtn.setAttribute('aria-label', 'Remove from favorites');
             }
 
             favoriteBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.toggleFavorite(recipeId, favoriteBtn);
+                this.toggleFavorite(recipe, favoriteBtn);
             });
 
             card.querySelector('.recipe-content').appendChild(favoriteBtn);
         });
     }
 
-    toggleFavorite(recipeId, button) {
-        const index = this.favorites.indexOf(recipeId);
-        
-        if (index > -1) {
-            this.favorites.splice(index, 1);
-            button.classList.remove('active');
-            button.innerHTML = '♡';
-            button.setAttribute('aria-label', 'Add to favorites');
-        } else {
-            this.favorites.push(recipeId);
-            button.classList.add('active');
-            button.innerHTML = '♥';
-            button.setAttribute('aria-label', 'Remove from favorites');
-        }
-
-        utils.storage.set('favorites', this.favorites);
+    toggleFavorite(recipe, button) {
+        // Button state is updated by the store's change listener
+        this.favoritesStore.toggle(recipe);
         
         // Add animation
         button.style.transform = 'scale(1.2)';
@@ -436,64 +431,49 @@ class CardManager {
     }
 }
 
-// Search functionality
+// Search functionality: every .search-bar leads to the search results page.
+// Pages that load js/recipe-search.js also get suggestions while typing.
 class SearchManager {
     constructor() {
-        this.searchInput = document.querySelector('.search-bar');
-        this.searchBtn = document.querySelector('.search-btn');
-        this.searchResults = document.querySelector('.search-results');
+        this.searchInputs = document.querySelectorAll('.search-bar');
+        this.autocompletes = [];
         
         this.init();
     }
 
     init() {
-        if (this.searchInput) {
-            this.setupSearch();
-        }
+        this.searchInputs.forEach(input => this.setupSearch(input));
     }
 
-    setupSearch() {
-        const debouncedSearch = utils.debounce(() => {
-            this.performSearch(this.searchInput.value);
-        }, 300);
+    setupSearch(input) {
+        const container = input.closest('.search-container') || input.parentElement;
+        const searchBtn = container.querySelector('.search-btn');
 
-        this.searchInput.addEventListener('input', debouncedSearch);
-        
-        this.searchInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                this.performSearch(this.searchInput.value);
-            }
-        });
+        if (window.SearchAutocomplete) {
+            this.autocompletes.push(new window.SearchAutocomplete(input, {
+                onSubmit: query => this.performSearch(query)
+            }));
+        } else {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.performSearch(input.value);
+                }
+            });
+        }
 
-        if (this.searchBtn) {
-            this.searchBtn.addEventListener('click', () => {
-                this.performSearch(this.searchInput.value);
+        if (searchBtn) {
+            searchBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.performSearch(input.value);
             });
         }
     }
 
     performSearch(query) {
-        if (query.length < 2) return;
-
-        console.log(`Searching for: ${query}`);
-        
-        // Show loading state
-        this.searchBtn.innerHTML = '<span class="loading"></span>';
-        
-        // Simulate search API call
-        setTimeout(() => {
-            this.displaySearchResults(query);
-            this.searchBtn.innerHTML = '🔍';
-        }, 500);
-    }
+        if (!query.trim()) return;
 
-    displaySearchResults(query) {
-        // This would normally make an API call
-        console.log(`Search results for: ${query}`);
-        
-        // For demo purposes, show alert
-        alert(`Search results for: "${query}"\n\nThis would normally display matching recipes and categories.`);
+        window.location.href = `/pages/search-results.html?q=${encodeURIComponent(query.trim())}`;
     }
 }
 
@@ -658,3 +638,19 @@ class RecipeApp {
             console.log('Recipe App initialized successfully');
         } catch (error) {
             console.error('Error initializing Recipe App:', error);
+        }
+    }
+
+    setupGlobalEvents() {
+        // Expose the current breakpoint for CSS hooks
+        const updateScreenSize = () => {
+            document.body.dataset.screen = utils.getScreenSize();
+        };
+
+        updateScreenSize();
+        window.addEventListener('resize', utils.debounce(updateScreenSize, 150));
+    }
+}
+
+// Initialize the app
+window.recipeApp = new RecipeApp();
@@ -0,0 +1,687 @@
+// js/recipe-detail.js - Recipe detail page interactions
+
+// Serving calculator and US/metric toggle. Ingredient amounts keep the
+// recipe's own values in `data-original` (and units in `data-original-unit`),
+// so every change is computed from the source rather than compounding.
+class ServingCalculator {
+    constructor() {
+        this.input = document.getElementById('servings');
+        this.amounts = document.querySelectorAll('.ingredient-amount[data-original]');
+        this.steps = document.querySelectorAll('.instruction-step .step-content p');
+        this.unitButtons = document.querySelectorAll('.unit-btn[data-units]');
+        this.unitsStorageKey = 'recipe_units';
+
+        if (!this.input || !window.RecipeScaling) {
+            return;
+        }
+
+        this.originalServings = parseInt(this.input.dataset.originalServings || this.input.defaultValue) || 1;
+        this.units = this.loadUnits();
+
+        this.init();
+    }
+
+    init() {
+        this.rememberOriginals();
+        this.setupEventListeners();
+        this.updateUnitButtons();
+        this.apply();
+    }
+
+    rememberOriginals() {
+        this.amounts.forEach(amount => {
+            const unit = amount.parentElement.querySelector('.ingredient-unit');
+            if (unit && unit.dataset.originalUnit === undefined) {
+                unit.dataset.originalUnit = unit.textContent.trim();
+            }
+        });
+
+        this.steps.forEach(step => {
+            if (step.dataset.originalText === undefined) {
+                step.dataset.originalText = step.textContent;
+            }
+        });
+    }
+
+    setupEventListeners() {
+        document.querySelectorAll('.serving-btn[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const step = button.dataset.action === 'increase' ? 1 : -1;
+                this.setServings(this.getServings() + step);
+            });
+        });
+
+        this.input.addEventListener('change', () => this.setServings(this.getServings()));
+
+        this.unitButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.units = button.dataset.units;
+                this.saveUnits();
+                this.updateUnitButtons();
+                this.apply();
+            });
+        });
+    }
+
+    getServings() {
+        return parseInt(this.input.value) || this.originalServings;
+    }
+
+    setServings(servings) {
+        const min = parseInt(this.input.min) || 1;
+        const max = parseInt(this.input.max) || 50;
+
+        this.input.value = Math.min(Math.max(servings, min), max);
+        this.apply();
+    }
+
+    apply() {
+        const factor = this.getServings() / this.originalServings;
+
+        this.amounts.forEach(amount => {
+            const unit = amount.parentElement.querySelector('.ingredient-unit');
+            const scaled = window.RecipeScaling.scaleIngredient({
+                amount: amount.dataset.original,
+                unit: unit ? unit.dataset.originalUnit : ''
+            }, factor, { units: this.units });
+
+            amount.textContent = scaled.amount;
+            if (unit) {
+                unit.textContent = scaled.unit;
+            }
+        });
+
+        this.steps.forEach(step => {
+            step.textContent = this.units
+                ? window.RecipeScaling.convertTemperatures(step.dataset.originalText, this.units)
+                : step.dataset.originalText;
+        });
+    }
+
+    updateUnitButtons() {
+        this.unitButtons.forEach(button => {
+            const isActive = button.dataset.units === this.units;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive);
+        });
+    }
+
+    // The reader's preferred measurement system carries across recipes
+    loadUnits() {
+        try {
+            const stored = localStorage.getItem(this.unitsStorageKey);
+            return window.RecipeScaling.UNIT_SYSTEMS.includes(stored) ? stored : null;
+        } catch {
+            return null;
+        }
+    }
+
+    saveUnits() {
+        try {
+            localStorage.setItem(this.unitsStorageKey, this.units);
+        } catch (error) {
+            console.error('Error saving unit preference:', error);
+        }
+    }
+}
+
+// Save, print and share buttons. Server-rendered pages carry the recipe's
+// id and slug on <main>; the favorites store keeps the hero heart in sync.
+class RecipeActions {
+    constructor() {
+        this.main = document.querySelector('.recipe-detail-main[data-recipe-id]');
+        this.favoritesStore = window.favoritesStore;
+
+        if (!this.main || !this.favoritesStore) {
+            return;
+        }
+
+        this.recipe = {
+            id: this.main.dataset.recipeId,
+            slug: this.main.dataset.recipeSlug,
+            title: document.querySelector('.recipe-header h1')?.textContent.trim(),
+            description: document.querySelector('.recipe-header .recipe-description')?.textContent.trim(),
+            image_url: document.querySelector('.recipe-hero-image')?.getAttribute('src') || ''
+        };
+
+        this.init();
+    }
+
+    init() {
+        const toggle = () => this.favoritesStore.toggle(this.recipe);
+
+        document.querySelector('.save-recipe')?.addEventListener('click', toggle);
+        document.querySelector('.recipe-image-container .favorite-btn')?.addEventListener('click', toggle);
+        document.querySelector('.print-recipe')?.addEventListener('click', () => window.print());
+        document.querySelector('.share-recipe')?.addEventListener('click', () => this.share());
+
+        this.updateSaveButton();
+        this.favoritesStore.subscribe(() => this.updateSaveButton());
+    }
+
+    updateSaveButton() {
+        const button = document.querySelector('.save-recipe');
+        if (button) {
+            button.textContent = this.favoritesStore.has(this.recipe) ? '❤️ Saved' : '❤️ Save Recipe';
+        }
+    }
+
+    async share() {
+        const url = document.querySelector('link[rel="canonical"]')?.href || window.location.href;
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: this.recipe.title, url });
+            } else {
+                await navigator.clipboard.writeText(url);
+                const button = document.querySelector('.share-recipe');
+                button.textContent = '✅ Link Copied';
+                setTimeout(() => {
+                    button.textContent = '📤 Share';
+                }, 2000);
+            }
+        } catch (error) {
+            // Dismissing the share sheet rejects too; nothing to report
+            if (error.name !== 'AbortError') {
+                console.error('Error sharing recipe:', error);
+            }
+        }
+    }
+}
+
+// The review form, sent through RecipeDataManager.submitReview along with
+// the honeypot field and, when the page shows the Turnstile challenge, its
+// token. Offline, the service worker queues the review and a 'review:sent'
+// event reports how it went once it is delivered.
+class ReviewForm {
+    constructor() {
+        this.form = document.querySelector('.review-form');
+        this.main = document.querySelector('.recipe-detail-main[data-recipe-slug]');
+
+        if (!this.form || !this.main || !window.recipeDataManager) {
+            return;
+        }
+
+        this.slug = this.main.dataset.recipeSlug;
+        this.message = this.form.querySelector('.review-form-message');
+        this.submitButton = this.form.querySelector('button[type="submit"]');
+
+        this.init();
+    }
+
+    init() {
+        this.form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.submit();
+        });
+
+        document.addEventListener('review:sent', event => {
+            if (event.detail.slug === this.slug) {
+                this.showSent(event.detail);
+            }
+        });
+    }
+
+    getReview() {
+        const data = new FormData(this.form);
+        const review = { reviewer_name: data.get('reviewer_name') };
+        const rating = parseInt(data.get('rating'), 10);
+        if (rating) review.rating = rating;
+
+        // Left out when empty, so the server's checks see a missing field
+        ['reviewer_email', 'title', 'comment', 'website'].forEach(field => {
+            const value = (data.get(field) || '').trim();
+            if (value) review[field] = value;
+        });
+
+        if (data.get('cf-turnstile-response')) {
+            review.verification_token = data.get('cf-turnstile-response');
+        }
+        return review;
+    }
+
+    async submit() {
+        this.submitButton.disabled = true;
+        this.showMessage('');
+
+        try {
+            const result = await window.recipeDataManager.submitReview(this.slug, this.getReview());
+            this.form.reset();
+
+            if (result.queued) {
+                this.showMessage('You are offline. Your review will be sent when you reconnect.');
+            } else if (result.status === 'published') {
+                this.showMessage('Thanks! Your review has been published.');
+            } else {
+                this.showMessage('Thanks! Your review will appear once it has been approved.');
+            }
+        } catch (error) {
+            this.showMessage(this.errorMessage(error), true);
+        } finally {
+            this.submitButton.disabled = false;
+            // Turnstile tokens are single use
+            if (window.turnstile) window.turnstile.reset();
+        }
+    }
+
+    errorMessage(error) {
+        if (error instanceof window.ValidationError && error.details.length) {
+            return error.details.map(detail => detail.message).join('. ');
+        }
+        if (error instanceof window.RateLimitError) {
+            return 'You have submitted several reviews recently. Please try again later.';
+        }
+        return error.message || 'Your review could not be sent. Please try again.';
+    }
+
+    // A review queued offline reached the server
+    showSent({ status, result }) {
+        if (status === 201) {
+            this.showMessage(result && result.status === 'published'
+                ? 'Your review was sent and published.'
+                : 'Your review was sent and will appear once it has been approved.');
+        } else {
+            const message = result && result.error && result.error.message;
+            this.showMessage(`Your review could not be sent${message ? `: ${message}` : '.'}`, true);
+        }
+    }
+
+    showMessage(text, isError = false) {
+        if (!this.message) return;
+
+        this.message.textContent = text;
+        this.message.hidden = !text;
+        this.message.classList.toggle('is-error', isError);
+    }
+}
+
+// Per-recipe cooking progress in localStorage: which ingredients are
+// checked off and the cook mode step, for the most recent `maxRecipes`.
+class CookingProgress {
+    constructor(recipeKey, { storageKey = 'recipe_cooking_progress', maxRecipes = 20 } = {}) {
+        this.recipeKey = recipeKey;
+        this.storageKey = storageKey;
+        this.maxRecipes = maxRecipes;
+    }
+
+    get() {
+        const stored = this.loadAll()[this.recipeKey] || {};
+        return {
+            step: Number.isInteger(stored.step) ? stored.step : 0,
+            checked: Array.isArray(stored.checked) ? stored.checked : []
+        };
+    }
+
+    update(changes) {
+        const all = this.loadAll();
+        all[this.recipeKey] = { ...this.get(), ...changes, updatedAt: Date.now() };
+
+        // Keep the most recently cooked recipes only
+        const recent = Object.entries(all)
+            .sort(([, a], [, b]) => (b.updatedAt || 0) - (a.updatedAt || 0))
+            .slice(0, this.maxRecipes);
+        this.saveAll(Object.fromEntries(recent));
+    }
+
+    clear() {
+        const all = this.loadAll();
+        delete all[this.recipeKey];
+        this.saveAll(all);
+    }
+
+    loadAll() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch {
+            return {};
+        }
+    }
+
+    saveAll(all) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(all));
+        } catch (error) {
+            console.error('Error saving cooking progress:', error);
+        }
+    }
+}
+
+// Full-screen cook mode: one instruction at a time with the ingredients it
+// mentions, navigated by buttons, arrow keys or swiping. The screen is kept
+// awake (Wake Lock API) while it is open. Ingredient checkboxes on the page
+// and in cook mode are the same state, remembered per recipe along with the
+// current step; finishing the recipe clears both.
+class CookMode {
+    constructor() {
+        this.button = document.querySelector('.cook-mode-btn');
+        this.checkboxes = [...document.querySelectorAll('.ingredients-list .ingredient-checkbox')];
+        this.steps = [...document.querySelectorAll('.instructions-list .instruction-step')];
+
+        const main = document.querySelector('.recipe-detail-main');
+        this.progress = new CookingProgress(main?.dataset.recipeSlug || window.location.pathname);
+        this.overlay = null;
+        this.wakeLock = null;
+        this.current = 0;
+
+        this.restoreChecked();
+        this.checkboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.saveChecked());
+        });
+
+        if (this.button && this.steps.length > 0) {
+            this.button.addEventListener('click', () => this.open());
+        } else if (this.button) {
+            this.button.hidden = true;
+        }
+    }
+
+    // Ingredients (by index) each step mentions. An ingredient's full name
+    // counts anywhere; its last word ("flour" of "all-purpose flour") only
+    // when no other ingredient ending in that word is named in full.
+    static linkIngredients(ingredientNames, stepTexts) {
+        const patterns = ingredientNames.map(name => {
+            const words = name.toLowerCase().replace(/\(.*?\)/g, ' ').match(/[\p{L}'-]+/gu) || [];
+            const head = words[words.length - 1] || '';
+            return {
+                head,
+                phrase: words.length ? CookMode.wordPattern([words.join(' ')]) : null,
+                headWord: head.length >= 3 ? CookMode.wordPattern(CookMode.wordForms(head)) : null
+            };
+        });
+
+        return stepTexts.map(text => {
+            const named = patterns.map(pattern => !!pattern.phrase && pattern.phrase.test(text));
+            return patterns
+                .map((pattern, index) => {
+                    if (named[index]) return true;
+                    if (!pattern.headWord || !pattern.headWord.test(text)) return false;
+                    return !patterns.some((other, j) => j !== index && named[j] && other.head === pattern.head);
+                })
+                .flatMap((linked, index) => (linked ? [index] : []));
+        });
+    }
+
+    // Singular and plural spellings of a word, roughly
+    static wordForms(word) {
+        const forms = new Set([word, `${word}s`, `${word}es`]);
+        if (word.endsWith('ies')) forms.add(`${word.slice(0, -3)}y`);
+        if (word.endsWith('es')) forms.add(word.slice(0, -2));
+        if (word.endsWith('s')) forms.add(word.slice(0, -1));
+        if (word.endsWith('y')) forms.add(`${word.slice(0, -1)}ies`);
+        return [...forms].filter(form => form.length >= 3);
+    }
+
+    static wordPattern(phrases) {
+        const escaped = phrases.map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(?<!\\p{L})(?:${escaped.join('|')})(?!\\p{L})`, 'iu');
+    }
+
+    // Checked ingredients
+    restoreChecked() {
+        const { checked } = this.progress.get();
+        this.checkboxes.forEach((checkbox, index) => {
+            checkbox.checked = checked.includes(index);
+        });
+    }
+
+    saveChecked() {
+        const checked = this.checkboxes.flatMap((checkbox, index) => (checkbox.checked ? [index] : []));
+        this.progress.update({ checked });
+    }
+
+    // Opening and closing
+    open() {
+        if (this.overlay) return;
+
+        // Read the page as it is now, so scaled amounts and converted units show
+        const ingredients = this.checkboxes.map(checkbox => {
+            const label = checkbox.parentElement.querySelector('label');
+            return {
+                checkbox,
+                text: (label ? label.textContent : '').replace(/\s+/g, ' ').trim(),
+                name: label?.querySelector('.ingredient-name')?.textContent.trim() || ''
+            };
+        });
+        const stepTexts = this.steps.map(step => {
+            const content = step.querySelector('.step-content') || step;
+            return content.textContent.replace(/\s+/g, ' ').trim();
+        });
+        const links = CookMode.linkIngredients(ingredients.map(item => item.name), stepTexts);
+
+        this.stepData = stepTexts.map((text, index) => ({
+            text,
+            ingredients: links[index].map(ingredientIndex => ingredients[ingredientIndex])
+        }));
+        this.current = Math.min(this.progress.get().step, this.stepData.length - 1);
+        this.returnFocus = document.activeElement;
+
+        this.overlay = this.createOverlay();
+        document.body.appendChild(this.overlay);
+        document.body.classList.add('cook-mode-open');
+
+        this.onKeydown = event => this.handleKey(event);
+        this.onVisibilityChange = () => {
+            // The browser drops the wake lock whenever the page is hidden
+            if (document.visibilityState === 'visible') this.requestWakeLock();
+        };
+        document.addEventListener('keydown', this.onKeydown);
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        this.render();
+        this.overlay.querySelector('.cook-mode-close').focus();
+        this.requestWakeLock();
+
+        if (this.overlay.requestFullscreen) {
+            this.overlay.requestFullscreen().catch(() => {
+                // Not allowed (e.g. iOS): the overlay already fills the window
+            });
+        }
+    }
+
+    close() {
+        if (!this.overlay) return;
+
+        document.removeEventListener('keydown', this.onKeydown);
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        this.releaseWakeLock();
+
+        if (document.fullscreenElement === this.overlay && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        this.overlay.remove();
+        this.overlay = null;
+        document.body.classList.remove('cook-mode-open');
+        this.returnFocus?.focus();
+    }
+
+    // Done cooking: start fresh next time
+    finish() {
+        this.progress.clear();
+        this.checkboxes.forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        this.close();
+    }
+
+    createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.className = 'cook-mode';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-label', 'Cook mode');
+        overlay.innerHTML = `
+            <div class="cook-mode-header">
+                <span class="cook-mode-counter"></span>
+                <button class="cook-mode-close" aria-label="Exit cook mode">✕</button>
+            </div>
+            <div class="cook-mode-progress"><span></span></div>
+            <div class="cook-mode-body">
+                <p class="cook-mode-step" aria-live="polite"></p>
+                <div class="cook-mode-ingredients">
+                    <h3>Ingredients for this step</h3>
+                    <ul></ul>
+                </div>
+            </div>
+            <div class="cook-mode-nav">
+                <button class="btn btn-outline cook-mode-prev">← Previous</button>
+                <button class="btn btn-primary cook-mode-next">Next →</button>
+            </div>
+        `;
+
+        overlay.querySelector('.cook-mode-close').addEventListener('click', () => this.close());
+        overlay.querySelector('.cook-mode-prev').addEventListener('click', () => this.go(this.current - 1));
+        overlay.querySelector('.cook-mode-next').addEventListener('click', () => {
+            if (this.current === this.stepData.length - 1) {
+                this.finish();
+            } else {
+                this.go(this.current + 1);
+            }
+        });
+
+        // Cook mode's boxes mirror the page's, which hold the state
+        overlay.querySelector('.cook-mode-ingredients ul').addEventListener('change', event => {
+            const item = this.stepData[this.current].ingredients[event.target.dataset.index];
+            if (item) {
+                item.checkbox.checked = event.target.checked;
+                this.saveChecked();
+            }
+        });
+
+        this.setupSwipe(overlay);
+        return overlay;
+    }
+
+    // Navigation
+    go(index) {
+        const step = Math.min(Math.max(index, 0), this.stepData.length - 1);
+        if (step === this.current) return;
+
+        this.current = step;
+        this.progress.update({ step });
+        this.render();
+    }
+
+    handleKey(event) {
+        const onControl = event.target.closest && event.target.closest('button, input, a');
+
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+            case 'PageDown':
+                this.go(this.current + 1);
+                break;
+            case ' ':
+                if (onControl) return;
+                this.go(this.current + 1);
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+            case 'PageUp':
+                this.go(this.current - 1);
+                break;
+            case 'Home':
+                this.go(0);
+                break;
+            case 'End':
+                this.go(this.stepData.length - 1);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    // A mostly horizontal swipe of 50px or more: left for next, right for previous
+    setupSwipe(overlay) {
+        let start = null;
+
+        overlay.addEventListener('touchstart', event => {
+            const touch = event.changedTouches[0];
+            start = { x: touch.clientX, y: touch.clientY };
+        }, { passive: true });
+
+        overlay.addEventListener('touchend', event => {
+            if (!start) return;
+
+            const touch = event.changedTouches[0];
+            const dx = touch.clientX - start.x;
+            const dy = touch.clientY - start.y;
+            start = null;
+
+            if (Math.abs(dx) >= 50 && Math.abs(dx) > Math.abs(dy)) {
+                this.go(this.current + (dx < 0 ? 1 : -1));
+            }
+        });
+    }
+
+    render() {
+        const step = this.stepData[this.current];
+        const total = this.stepData.length;
+        const isLast = this.current === total - 1;
+
+        this.overlay.querySelector('.cook-mode-counter').textContent = `Step ${this.current + 1} of ${total}`;
+        this.overlay.querySelector('.cook-mode-progress span').style.width = `${((this.current + 1) / total) * 100}%`;
+        this.overlay.querySelector('.cook-mode-step').textContent = step.text;
+        this.overlay.querySelector('.cook-mode-prev').disabled = this.current === 0;
+        this.overlay.querySelector('.cook-mode-next').textContent = isLast ? 'Finish ✓' : 'Next →';
+
+        const section = this.overlay.querySelector('.cook-mode-ingredients');
+        const list = section.querySelector('ul');
+        section.hidden = step.ingredients.length === 0;
+        list.innerHTML = '';
+
+        step.ingredients.forEach((item, index) => {
+            const li = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.index = index;
+            checkbox.checked = item.checkbox.checked;
+            label.append(checkbox, ` ${item.text}`);
+            li.appendChild(label);
+            list.appendChild(li);
+        });
+    }
+
+    // Wake lock
+    async requestWakeLock() {
+        if (!this.overlay || !('wakeLock' in navigator)) return;
+
+        try {
+            const wakeLock = await navigator.wakeLock.request('screen');
+            if (this.overlay) {
+                this.wakeLock = wakeLock;
+            } else {
+                // Closed while the request was pending
+                wakeLock.release().catch(() => {});
+            }
+        } catch (error) {
+            // Denied, e.g. on battery saver; cook mode works without it
+            this.wakeLock = null;
+        }
+    }
+
+    releaseWakeLock() {
+        if (this.wakeLock) {
+            this.wakeLock.release().catch(() => {});
+            this.wakeLock = null;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.servingCalculator = new ServingCalculator();
+    window.recipeActions = new RecipeActions();
+    window.reviewForm = new ReviewForm();
+    window.cookMode = new CookMode();
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ServingCalculator, RecipeActions, ReviewForm, CookingProgress, CookMode };
+}
@@ -0,0 +1,332 @@
+// js/recipe-scaling.js - Ingredient quantity scaling and unit conversion
+// Shared by the Worker (`?servings=&units=` on /api/recipes/:slug) and the
+// frontend, so nothing here may touch the DOM or browser-only globals.
+
+const UNICODE_FRACTIONS = {
+    '¼': '1/4', '½': '1/2', '¾': '3/4',
+    '⅐': '1/7', '⅑': '1/9', '⅒': '1/10',
+    '⅓': '1/3', '⅔': '2/3',
+    '⅕': '1/5', '⅖': '2/5', '⅗': '3/5', '⅘': '4/5',
+    '⅙': '1/6', '⅚': '5/6',
+    '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+// `factor` converts one unit to the base unit of its type (ml or g)
+const UNITS = {
+    tsp: { type: 'volume', system: 'us', factor: 4.92892, singular: 'tsp', plural: 'tsp',
+        aliases: ['tsp', 'tsps', 'tsp.', 'teaspoon', 'teaspoons'] },
+    tbsp: { type: 'volume', system: 'us', factor: 14.7868, singular: 'tbsp', plural: 'tbsp',
+        aliases: ['tbsp', 'tbsps', 'tbsp.', 'tbs', 'tablespoon', 'tablespoons'] },
+    floz: { type: 'volume', system: 'us', factor: 29.5735, singular: 'fl oz', plural: 'fl oz',
+        aliases: ['fl oz', 'fl. oz.', 'fl oz.', 'fluid ounce', 'fluid ounces'] },
+    cup: { type: 'volume', system: 'us', factor: 236.588, singular: 'cup', plural: 'cups',
+        aliases: ['cup', 'cups', 'c.'] },
+    pint: { type: 'volume', system: 'us', factor: 473.176, singular: 'pint', plural: 'pints',
+        aliases: ['pint', 'pints', 'pt', 'pt.'] },
+    quart: { type: 'volume', system: 'us', factor: 946.353, singular: 'quart', plural: 'quarts',
+        aliases: ['quart', 'quarts', 'qt', 'qt.'] },
+    gallon: { type: 'volume', system: 'us', factor: 3785.41, singular: 'gallon', plural: 'gallons',
+        aliases: ['gallon', 'gallons', 'gal', 'gal.'] },
+    ml: { type: 'volume', system: 'metric', factor: 1, singular: 'ml', plural: 'ml',
+        aliases: ['ml', 'mls', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+    l: { type: 'volume', system: 'metric', factor: 1000, singular: 'l', plural: 'l',
+        aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+    oz: { type: 'weight', system: 'us', factor: 28.3495, singular: 'oz', plural: 'oz',
+        aliases: ['oz', 'oz.', 'ounce', 'ounces'] },
+    lb: { type: 'weight', system: 'us', factor: 453.592, singular: 'lb', plural: 'lbs',
+        aliases: ['lb', 'lbs', 'lb.', 'lbs.', 'pound', 'pounds'] },
+    g: { type: 'weight', system: 'metric', factor: 1, singular: 'g', plural: 'g',
+        aliases: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'] },
+    kg: { type: 'weight', system: 'metric', factor: 1000, singular: 'kg', plural: 'kg',
+        aliases: ['kg', 'kgs', 'kilogram', 'kilograms'] }
+};
+
+const UNIT_ALIASES = new Map(
+    Object.entries(UNITS).flatMap(([key, unit]) => unit.aliases.map(alias => [alias, key]))
+);
+
+// Units a converted quantity may land in, smallest first, with the
+// smallest amount (in that unit) worth writing before moving up
+const TARGET_UNITS = {
+    us: {
+        volume: [['tsp', 0], ['tbsp', 1], ['cup', 0.25]],
+        weight: [['oz', 0], ['lb', 1]]
+    },
+    metric: {
+        volume: [['ml', 0], ['l', 1]],
+        weight: [['g', 0], ['kg', 1]]
+    }
+};
+
+const TEMPERATURE_PATTERN = '\\b(\\d{2,3})\\s*(?:°|º|degrees?\\s*)\\s*([FC])\\b';
+
+class RecipeScaling {
+    static get UNIT_SYSTEMS() {
+        return ['us', 'metric'];
+    }
+
+    // Quantities
+    // "2", "0.5", "1/2", "1 1/2", "1½", "1-1/2" and ranges like "1-2" or
+    // "2 to 3". Returns { min, max } or null for "to taste", "a pinch"...
+    static parseQuantity(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) && value > 0 ? { min: value, max: value } : null;
+        }
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const text = value
+            .replace(/[¼½¾⅐⅑⅒⅓⅔⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞]/g, match => ` ${UNICODE_FRACTIONS[match]}`)
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        const single = RecipeScaling.parseNumber(text);
+        if (single !== null) {
+            return { min: single, max: single };
+        }
+
+        // "1-1/2" is a mixed number, not a range from 1 to 1/2
+        const dashedMixed = text.match(/^(\d+)-(\d+\/\d+)$/);
+        if (dashedMixed) {
+            const whole = parseInt(dashedMixed[1]);
+            const fraction = RecipeScaling.parseNumber(dashedMixed[2]);
+            if (fraction !== null && fraction < 1) {
+                return { min: whole + fraction, max: whole + fraction };
+            }
+        }
+
+        const range = text.match(/^(.+?)\s*(?:-|–|—|\bto\b)\s*(.+)$/);
+        if (range) {
+            const min = RecipeScaling.parseNumber(range[1]);
+            const max = RecipeScaling.parseNumber(range[2]);
+            if (min !== null && max !== null && min <= max) {
+                return { min, max };
+            }
+        }
+
+        return null;
+    }
+
+    static parseNumber(text) {
+        let match;
+
+        if ((match = text.match(/^(\d+) (\d+)\/(\d+)$/)) && parseInt(match[3]) > 0) {
+            return parseInt(match[1]) + parseInt(match[2]) / parseInt(match[3]);
+        }
+        if ((match = text.match(/^(\d+)\/(\d+)$/)) && parseInt(match[2]) > 0) {
+            return parseInt(match[1]) / parseInt(match[2]);
+        }
+        if (/^(\d+\.?\d*|\.\d+)$/.test(text)) {
+            return parseFloat(text);
+        }
+
+        return null;
+    }
+
+    // US amounts round to the nearest eighth or third ("1 1/3", "2 3/8");
+    // metric amounts round to a sensible step for their size and unit
+    static formatQuantity(value, system = 'us', unit = null) {
+        if (system === 'metric') {
+            const isLargeUnit = !!UNITS[unit] && UNITS[unit].factor >= 1000; // l, kg
+            const step = isLargeUnit ? 0.1 : value < 10 ? 0.5 : value < 100 ? 5 : value < 1000 ? 10 : 50;
+            const rounded = Math.max(Math.round(value / step) * step, step);
+            return `${Number(rounded.toFixed(1))}`;
+        }
+
+        if (value >= 20) {
+            return `${Math.round(value)}`;
+        }
+
+        const candidates = [8, 3].map(denominator => {
+            const numerator = Math.round(value * denominator);
+            return { numerator, denominator, error: Math.abs(value - numerator / denominator) };
+        });
+        // Prefer eighths on a tie, and never round a real amount down to zero
+        let { numerator, denominator } = candidates[1].error < candidates[0].error ? candidates[1] : candidates[0];
+        if (numerator === 0) {
+            numerator = 1;
+            denominator = 8;
+        }
+
+        const whole = Math.floor(numerator / denominator);
+        let remainder = numerator % denominator;
+        let divisor = denominator;
+        while (remainder % 2 === 0 && divisor % 2 === 0 && remainder > 0) {
+            remainder /= 2;
+            divisor /= 2;
+        }
+
+        if (remainder === 0) return `${whole}`;
+        return whole > 0 ? `${whole} ${remainder}/${divisor}` : `${remainder}/${divisor}`;
+    }
+
+    static formatRange({ min, max }, system = 'us', unit = null) {
+        const low = RecipeScaling.formatQuantity(min, system, unit);
+        const high = RecipeScaling.formatQuantity(max, system, unit);
+        return low === high ? low : `${low}-${high}`;
+    }
+
+    // Units
+    static normalizeUnit(unit) {
+        if (typeof unit !== 'string') return null;
+        return UNIT_ALIASES.get(unit.trim().toLowerCase()) || null;
+    }
+
+    static unitLabel(key, value) {
+        const unit = UNITS[key];
+        return value > 1 ? unit.plural : unit.singular;
+    }
+
+    // Keep "cup"/"cups" and "can"/"cans" in step with a scaled amount
+    static inflectUnit(unit, fromValue, toValue) {
+        if (typeof unit !== 'string' || !/^[a-z]+$/i.test(unit)) {
+            return unit;
+        }
+
+        const key = RecipeScaling.normalizeUnit(unit);
+        if (key) {
+            const { singular, plural } = UNITS[key];
+            return [singular, plural].includes(unit.toLowerCase()) ? RecipeScaling.unitLabel(key, toValue) : unit;
+        }
+
+        if (fromValue <= 1 && toValue > 1 && !/s$/i.test(unit)) {
+            return /(?:ch|sh|x)$/i.test(unit) ? `${unit}es` : `${unit}s`;
+        }
+        if (fromValue > 1 && toValue <= 1) {
+            return unit.replace(/(?:(ch|sh|x)es|s)$/i, '$1');
+        }
+        return unit;
+    }
+
+    // Convert an amount to the best-fitting unit of the target system,
+    // e.g. 0.75 cup -> 177 ml, 500 g -> 1 1/8 lb. Returns null for units
+    // that can't be converted (cans, cloves, pinches...).
+    static convert(value, unit, system) {
+        const key = RecipeScaling.normalizeUnit(unit);
+        const targets = key && TARGET_UNITS[system] && TARGET_UNITS[system][UNITS[key].type];
+
+        if (!targets) {
+            return null;
+        }
+
+        if (UNITS[key].system === system) {
+            return { value, unit: key };
+        }
+
+        const base = value * UNITS[key].factor;
+        let target = targets[0][0];
+        targets.forEach(([candidate, minimum]) => {
+            if (base / UNITS[candidate].factor >= minimum) {
+                target = candidate;
+            }
+        });
+
+        return { value: base / UNITS[target].factor, unit: target };
+    }
+
+    // Ingredients
+    // Scale (and optionally convert) one `{ item, amount, unit, notes }`
+    // ingredient. Amounts that can't be parsed are left as written.
+    static scaleIngredient(ingredient, factor = 1, { units = null } = {}) {
+        const quantity = RecipeScaling.parseQuantity(ingredient.amount);
+
+        if (!quantity || (factor === 1 && !units)) {
+            return { ...ingredient };
+        }
+
+        let min = quantity.min * factor;
+        let max = quantity.max * factor;
+        let unitKey = RecipeScaling.normalizeUnit(ingredient.unit);
+
+        if (units) {
+            const convertedMin = RecipeScaling.convert(min, ingredient.unit, units);
+            if (convertedMin) {
+                // Both ends of a range land in the unit chosen for the low end
+                const ratio = convertedMin.value / min;
+                unitKey = convertedMin.unit;
+                min = convertedMin.value;
+                max = max * ratio;
+            }
+        }
+
+        const system = unitKey ? UNITS[unitKey].system : 'us';
+        const converted = unitKey && unitKey !== RecipeScaling.normalizeUnit(ingredient.unit);
+
+        return {
+            ...ingredient,
+            amount: RecipeScaling.formatRange({ min, max }, system, unitKey),
+            unit: converted
+                ? RecipeScaling.unitLabel(unitKey, max)
+                : RecipeScaling.inflectUnit(ingredient.unit, quantity.max, max)
+        };
+    }
+
+    // Temperatures
+    // Rewrite oven temperatures in free text for the target system:
+    // "Bake at 350°F" -> "Bake at 175°C". Text that already gives both
+    // ("350°F (175°C)") keeps only the one for the target system.
+    static convertTemperatures(text, system) {
+        if (typeof text !== 'string' || !RecipeScaling.UNIT_SYSTEMS.includes(system)) {
+            return text;
+        }
+
+        const targetScale = system === 'metric' ? 'C' : 'F';
+        const pair = new RegExp(`${TEMPERATURE_PATTERN}\\s*\\(\\s*${TEMPERATURE_PATTERN}\\s*\\)`, 'gi');
+        const single = new RegExp(TEMPERATURE_PATTERN, 'gi');
+
+        return text
+            .replace(pair, (match, firstValue, firstScale, secondValue, secondScale) => (
+                firstScale.toUpperCase() === targetScale
+                    ? `${firstValue}°${targetScale}`
+                    : `${secondValue}°${secondScale.toUpperCase()}`
+            ))
+            .replace(single, (match, value, scale) => {
+                if (scale.toUpperCase() === targetScale) {
+                    return match;
+                }
+
+                const degrees = parseInt(value);
+                const converted = targetScale === 'C' ? (degrees - 32) * 5 / 9 : degrees * 9 / 5 + 32;
+                // Ovens are set in 5 degree steps
+                return `${Math.round(converted / 5) * 5}°${targetScale}`;
+            });
+    }
+
+    // Recipes
+    // Scale a recipe (as returned by /api/recipes/:slug) to `servings` and/or
+    // convert it to `units` ('us' or 'metric'). The input is not modified.
+    static scaleRecipe(recipe, { servings = null, units = null } = {}) {
+        const originalServings = recipe.servings || null;
+        const factor = servings && originalServings ? servings / originalServings : 1;
+
+        return {
+            ...recipe,
+            servings: servings && originalServings ? servings : recipe.servings,
+            ingredients: (recipe.ingredients || []).map(ingredient => (
+                RecipeScaling.scaleIngredient(ingredient, factor, { units })
+            )),
+            instructions: units
+                ? (recipe.instructions || []).map(step => ({
+                    ...step,
+                    instruction: RecipeScaling.convertTemperatures(step.instruction, units)
+                }))
+                : recipe.instructions,
+            scaling: {
+                original_servings: originalServings,
+                servings: servings && originalServings ? servings : originalServings,
+                factor,
+                units
+            }
+        };
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.RecipeScaling = RecipeScaling;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeScaling;
+}
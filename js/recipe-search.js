@@ -1,22 +1,461 @@
-// Search functionality
-class RecipeSearch {
+// js/recipe-search.js - Search autocomplete and the search results page
+
+const SEARCH_RESULTS_PATH = '/pages/search-results.html';
+
+function searchResultsUrl(query, params = {}) {
+    const queryString = new URLSearchParams({ q: query.trim(), ...params }).toString();
+    return `${SEARCH_RESULTS_PATH}?${queryString}`;
+}
+
+const SUGGESTION_TYPES = {
+    recipe: '🍽️ Recipe',
+    category: '📂 Category',
+    tag: '🏷️ Tag',
+    ingredient: '🥕 Ingredient'
+};
+
+// Suggestions dropdown for a search input, driven from the keyboard as a
+// combobox: arrows move through the options, Enter opens the highlighted
+// one (or searches for what was typed), Escape closes the list.
+let autocompleteCount = 0;
+
+class SearchAutocomplete {
+    constructor(input, options = {}) {
+        this.input = input;
+        this.container = input.closest('.search-container') || input.parentElement;
+        this.onSubmit = options.onSubmit || (query => {
+            window.location.href = searchResultsUrl(query);
+        });
+        this.limit = options.limit || 8;
+        this.minLength = 2;
+
+        this.options = [];
+        this.activeIndex = -1;
+        this.requestId = 0;
+
+        this.init();
+    }
+
+    init() {
+        // Reuse a dropdown already in the markup (the homepage has one)
+        this.list = this.container.querySelector('.search-suggestions') || document.createElement('div');
+        this.list.id = this.list.id || `search-suggestions-${++autocompleteCount}`;
+        this.list.className = 'search-suggestions';
+        this.list.setAttribute('role', 'listbox');
+        this.list.hidden = true;
+        this.list.style.display = '';
+        if (!this.list.parentElement) {
+            this.container.appendChild(this.list);
+        }
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.list.id);
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('autocomplete', 'off');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const debouncedSuggest = utils.debounce(() => this.suggest(this.input.value.trim()), 200);
+
+        this.input.addEventListener('input', () => {
+            if (this.input.value.trim().length >= this.minLength) {
+                debouncedSuggest();
+            } else {
+                this.requestId++;
+                this.close();
+            }
+        });
+
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Keep focus in the input while an option is clicked
+        this.list.addEventListener('mousedown', (e) => e.preventDefault());
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.select(parseInt(option.dataset.index));
+            }
+        });
+
+        this.input.addEventListener('blur', () => this.close());
+    }
+
+    handleKeydown(e) {
+        const isOpen = !this.list.hidden;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (isOpen) {
+                    this.setActive((this.activeIndex + 1) % this.options.length);
+                } else if (this.input.value.trim().length >= this.minLength) {
+                    this.suggest(this.input.value.trim());
+                }
+                break;
+            case 'ArrowUp':
+                if (isOpen) {
+                    e.preventDefault();
+                    this.setActive(this.activeIndex <= 0 ? this.options.length - 1 : this.activeIndex - 1);
+                }
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (isOpen && this.activeIndex >= 0) {
+                    this.select(this.activeIndex);
+                } else {
+                    this.submit();
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    this.close();
+                }
+                break;
+        }
+    }
+
+    async suggest(query) {
+        const requestId = ++this.requestId;
+
+        try {
+            const results = await window.recipeAPI.getSuggestions(query, { limit: this.limit });
+            if (requestId !== this.requestId || document.activeElement !== this.input) return;
+
+            this.options = (results.data || []).map(suggestion => ({
+                label: suggestion.label,
+                type: SUGGESTION_TYPES[suggestion.type] || '',
+                url: suggestion.url
+            }));
+
+            // The last option is always a full search for the typed text
+            this.options.push({ query });
+            this.render();
+        } catch (error) {
+            console.error('Error fetching search suggestions:', error);
+        }
+    }
+
+    render() {
+        this.activeIndex = -1;
+        this.list.innerHTML = this.options.map((option, index) => `
+            <div class="search-suggestion ${option.query !== undefined ? 'search-suggestion-all' : ''}"
+                 id="${this.list.id}-option-${index}" role="option" aria-selected="false" data-index="${index}">
+                ${option.query !== undefined ? '' : `
+                    <span class="suggestion-label"></span>
+                    <span class="suggestion-type"></span>
+                `}
+            </div>
+        `).join('');
+
+        // Suggestion labels and typed text go in as text, never as markup
+        this.list.querySelectorAll('.search-suggestion:not(.search-suggestion-all)').forEach((item, index) => {
+            item.querySelector('.suggestion-label').textContent = this.options[index].label;
+            item.querySelector('.suggestion-type').textContent = this.options[index].type;
+        });
+        const searchAll = this.list.querySelector('.search-suggestion-all');
+        searchAll.textContent = `🔍 Search for "${this.options[this.options.length - 1].query}"`;
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    setActive(index) {
+        const items = this.list.querySelectorAll('[role="option"]');
+        items.forEach((item, itemIndex) => {
+            const isActive = itemIndex === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', isActive);
+            if (isActive) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        this.activeIndex = index;
+        this.input.setAttribute('aria-activedescendant', items[index].id);
+    }
+
+    select(index) {
+        const option = this.options[index];
+        this.close();
+
+        if (option.url) {
+            window.location.href = option.url;
+        } else {
+            this.submit();
+        }
+    }
+
+    submit() {
+        const query = this.input.value.trim();
+        this.close();
+
+        if (query) {
+            this.onSubmit(query);
+        }
+    }
+
+    close() {
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
+
+// Refinements offered next to the results; `facet` is the key in the
+// search response's facets, `param` the query parameter it sets.
+const SEARCH_REFINEMENTS = [
+    { facet: 'category', param: 'category', anyLabel: 'All categories' },
+    { facet: 'difficulty', param: 'difficulty', anyLabel: 'Any difficulty', label: value => value.charAt(0).toUpperCase() + value.slice(1) },
+    { facet: 'time', param: 'max_time', anyLabel: 'Any time', label: value => `Up to ${window.recipeAPI.formatTime(value)}` }
+];
+
+// pages/search-results.html: results for ?q=, narrowed by the refinements
+// and paged with the API's cursors. Every change is a history entry.
+class SearchResultsPage {
     constructor() {
-        this.searchInput = document.querySelector('.search-bar');
+        this.api = window.recipeAPI;
+        this.favoritesStore = window.favoritesStore;
+        this.grid = document.getElementById('search-results-grid');
+        this.loadMoreBtn = document.getElementById('search-load-more');
+        this.pageSize = 12;
+
+        this.recipes = [];
+        this.nextCursor = null;
+        this.requestId = 0;
+
         this.init();
     }
 
     init() {
-        if (this.searchInput) {
-            this.setupSearch();
+        this.setupEventListeners();
+        this.load();
+    }
+
+    getParams() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            q: (params.get('q') || '').trim(),
+            ...Object.fromEntries(SEARCH_REFINEMENTS
+                .map(refinement => [refinement.param, params.get(refinement.param)])
+                .filter(([, value]) => value))
+        };
+    }
+
+    navigate(params) {
+        history.pushState(null, '', searchResultsUrl(params.q, Object.fromEntries(
+            Object.entries(params).filter(([name, value]) => name !== 'q' && value)
+        )));
+        this.load();
+    }
+
+    setupEventListeners() {
+        window.addEventListener('popstate', () => this.load());
+
+        document.getElementById('search-refinements').addEventListener('change', (e) => {
+            this.navigate({ ...this.getParams(), [e.target.name]: e.target.value });
+        });
+
+        this.loadMoreBtn.addEventListener('click', () => this.loadMore());
+
+        this.grid.addEventListener('click', (e) => {
+            const favoriteBtn = e.target.closest('.favorite-btn');
+            if (favoriteBtn) {
+                e.stopPropagation();
+                const recipe = this.recipes.find(item => `${item.id}` === favoriteBtn.dataset.recipeId);
+                if (recipe) {
+                    this.favoritesStore.toggle(recipe);
+                }
+                return;
+            }
+
+            if (e.target.closest('.clear-filters-btn')) {
+                this.navigate({ q: this.getParams().q });
+                return;
+            }
+
+            if (e.target.closest('.retry-btn')) {
+                this.load();
+                return;
+            }
+
+            const card = e.target.closest('.recipe-card');
+            if (card && !card.classList.contains('loading-skeleton')) {
+                window.location.href = window.RecipeUIHelpers.recipeUrl({
+                    id: card.dataset.recipeId,
+                    slug: card.dataset.recipeSlug
+                });
+            }
+        });
+    }
+
+    async load() {
+        const params = this.getParams();
+        const requestId = ++this.requestId;
+
+        document.querySelectorAll('.search-bar').forEach(input => {
+            input.value = params.q;
+        });
+        document.title = params.q ? `"${params.q}" - Search - Recipe Website` : 'Search - Recipe Website';
+        this.renderHeading(params.q);
+        this.renderDidYouMean(null);
+        this.recipes = [];
+        this.nextCursor = null;
+        this.updateLoadMore();
+
+        if (!params.q) {
+            this.renderRefinements({}, params);
+            document.getElementById('search-count').textContent = '';
+            this.grid.innerHTML = `
+                <div class="no-data">
+                    <p>Type what you're hungry for in the search box above.</p>
+                </div>
+            `;
+            return;
         }
+
+        this.grid.innerHTML = window.RecipeUIHelpers.createLoadingState(this.pageSize);
+
+        try {
+            const result = await this.api.searchRecipesWithFacets(params.q, { ...params, limit: this.pageSize });
+            if (requestId !== this.requestId) return;
+
+            this.recipes = result.data || [];
+            this.nextCursor = result.pagination && result.pagination.next_cursor;
+            this.renderRefinements(result.facets || {}, params);
+            this.renderResults(result.total_count, params);
+            this.renderDidYouMean(result.did_you_mean, params);
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('Error loading search results:', error);
+            window.RecipeUIHelpers.showErrorMessage(this.grid);
+        }
+
+        this.updateLoadMore();
     }
 
-    setupSearch() {
-        // Search implementation
+    async loadMore() {
+        if (this.isLoadingMore || !this.nextCursor) {
+            return;
+        }
+
+        const requestId = this.requestId;
+        this.isLoadingMore = true;
+        this.updateLoadMore();
+
+        try {
+            const params = this.getParams();
+            const page = await this.api.searchRecipes(params.q, { ...params, limit: this.pageSize, cursor: this.nextCursor });
+            if (requestId !== this.requestId) return;
+
+            const recipes = page.data || [];
+            this.recipes.push(...recipes);
+            this.nextCursor = page.pagination && page.pagination.next_cursor;
+            this.grid.insertAdjacentHTML('beforeend', recipes.map(recipe => this.createCard(recipe)).join(''));
+        } catch (error) {
+            console.error('Error loading more search results:', error);
+        } finally {
+            this.isLoadingMore = false;
+            this.updateLoadMore();
+        }
+    }
+
+    renderHeading(query) {
+        const title = document.getElementById('search-results-title');
+        title.textContent = query ? `Results for "${query}"` : 'Search Recipes';
+    }
+
+    renderResults(totalCount, params) {
+        document.getElementById('search-count').textContent =
+            `${totalCount} ${totalCount === 1 ? 'recipe' : 'recipes'} found`;
+
+        if (this.recipes.length > 0) {
+            this.grid.innerHTML = this.recipes.map(recipe => this.createCard(recipe)).join('');
+            return;
+        }
+
+        const isRefined = SEARCH_REFINEMENTS.some(refinement => params[refinement.param]);
+        this.grid.innerHTML = `
+            <div class="no-data">
+                <p>No recipes match your search${isRefined ? ' with these refinements' : ''}.</p>
+                ${isRefined ? '<button class="btn btn-secondary clear-filters-btn">Clear Refinements</button>' : ''}
+            </div>
+        `;
+    }
+
+    // Matched words come back wrapped in <mark>
+    createCard(recipe) {
+        return window.RecipeUIHelpers.createRecipeCard({
+            ...recipe,
+            title: recipe.highlights ? recipe.highlights.title : recipe.title,
+            description: recipe.highlights && recipe.highlights.snippet ? recipe.highlights.snippet : recipe.description || '',
+            difficulty: recipe.difficulty || '',
+            isFavorite: this.favoritesStore.has(recipe)
+        });
+    }
+
+    renderDidYouMean(suggestion, params = {}) {
+        const container = document.getElementById('search-did-you-mean');
+        container.hidden = !suggestion;
+        container.innerHTML = '';
+        if (!suggestion) return;
+
+        const link = document.createElement('a');
+        link.href = searchResultsUrl(suggestion.query, Object.fromEntries(
+            Object.entries(params).filter(([name, value]) => name !== 'q' && value)
+        ));
+        link.textContent = suggestion.query;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.navigate({ ...params, q: suggestion.query });
+        });
+
+        container.append('Did you mean ', link, `? (${suggestion.total_count} ${suggestion.total_count === 1 ? 'recipe' : 'recipes'})`);
+    }
+
+    renderRefinements(facets, params) {
+        document.getElementById('search-refinements').innerHTML = SEARCH_REFINEMENTS.map(refinement => {
+            const facet = facets[refinement.facet];
+            const options = facet ? facet.options : [];
+            const current = params[refinement.param] || '';
+            const label = option => option.label || (refinement.label ? refinement.label(option.value) : option.value);
+
+            return `
+                <select name="${refinement.param}" aria-label="${refinement.anyLabel}" ${options.length ? '' : 'disabled'}>
+                    <option value="">${refinement.anyLabel}</option>
+                    ${options
+                        .filter(option => option.count > 0 || `${option.value}` === current)
+                        .map(option => `
+                            <option value="${option.value}" ${`${option.value}` === current ? 'selected' : ''}>
+                                ${label(option)} (${option.count})
+                            </option>
+                        `).join('')}
+                </select>
+            `;
+        }).join('');
+    }
+
+    updateLoadMore() {
+        this.loadMoreBtn.hidden = !this.nextCursor;
+        this.loadMoreBtn.disabled = !!this.isLoadingMore;
     }
 }
 
-// Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
-    new RecipeSearch();
+    if (document.getElementById('search-results-grid')) {
+        window.searchResultsPage = new SearchResultsPage();
+    }
 });
+
+window.SearchAutocomplete = SearchAutocomplete;
+window.searchResultsUrl = searchResultsUrl;
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchAutocomplete, SearchResultsPage, searchResultsUrl };
+}
@@ -0,0 +1,336 @@
+// sw.js - Service worker: offline app shell, recipes and review queue
+//
+// Served from the site root so its scope covers every page. Pages talk to
+// it through RecipeDataManager (js/api-client.js). Bump CACHE_VERSION
+// whenever SHELL_FILES or the caching rules change.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const RECIPE_CACHE = `recipes-${CACHE_VERSION}`;
+const FAVORITES_CACHE = `favorites-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+
+// Visited recipes and images kept, oldest dropped first. Favorites have
+// their own cache and stay for as long as they are favorited.
+const MAX_RECIPE_ENTRIES = 60;
+const MAX_IMAGE_ENTRIES = 150;
+
+const SHELL_FILES = [
+    '/',
+    '/index-d1.html',
+    '/index.html',
+    '/pages/favorites.html',
+    '/css/style.css',
+    '/css/responsive.css',
+    '/css/components.css',
+    '/js/favorites-store.js',
+    '/js/api-client.js',
+    '/js/main.js',
+    '/js/recipe-search.js',
+    '/js/recipe-scaling.js',
+    '/js/recipe-detail.js',
+    '/js/category.js',
+    '/js/discover.js',
+    '/js/components.js'
+];
+
+// Pages that fail offline without a cached copy get the favorites page,
+// which renders saved recipes from local storage
+const OFFLINE_FALLBACK = '/pages/favorites.html';
+
+// Recipe pages and their API records, but not /api/recipes/batch or
+// /api/recipes/by-ingredients
+const RECIPE_PATH = /^\/(?:api\/)?recipes\/(?!(?:batch|by-ingredients)\/?$)[\w-]+\/?$/;
+const REVIEW_PATH = /^\/api\/recipes\/[\w-]+\/reviews$/;
+
+// Reviews submitted offline wait in IndexedDB until a sync (or, where
+// Background Sync is missing, a page coming back online) sends them
+const OUTBOX_DB = 'recipe_offline_outbox';
+const REVIEW_SYNC_TAG = 'review-outbox';
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const current = [SHELL_CACHE, RECIPE_CACHE, FAVORITES_CACHE, IMAGE_CACHE];
+
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    const isLocal = url.origin === self.location.origin;
+
+    if (request.method === 'POST' && isLocal && REVIEW_PATH.test(url.pathname)) {
+        event.respondWith(sendOrQueueReview(request));
+        return;
+    }
+
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+    } else if (!isLocal) {
+        return;
+    } else if (RECIPE_PATH.test(url.pathname)) {
+        event.respondWith(networkFirst(request, RECIPE_CACHE, MAX_RECIPE_ENTRIES));
+    } else if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    }
+    // Everything else, including the rest of /api, goes straight to the
+    // network; RecipeAPI keeps its own cache of those responses
+});
+
+self.addEventListener('sync', event => {
+    if (event.tag === REVIEW_SYNC_TAG) {
+        // A rejection has the browser retry the sync later
+        event.waitUntil(replayReviews());
+    }
+});
+
+self.addEventListener('message', event => {
+    const message = event.data || {};
+
+    if (message.type === 'cache-favorites') {
+        event.waitUntil(cacheFavorites(message.recipes || []));
+    } else if (message.type === 'replay-reviews') {
+        event.waitUntil(replayReviews().catch(() => {
+            // Still offline or rate limited: left queued for the next try
+        }));
+    }
+});
+
+// Caching strategies
+
+// The network's answer, kept in `cacheName` when it is a 200; the cached
+// copy (from any cache) when the network is unreachable
+async function networkFirst(request, cacheName = null, maxEntries = Infinity) {
+    const isPage = request.mode === 'navigate';
+
+    try {
+        const response = await fetch(request);
+
+        if (response.status === 200 && cacheName) {
+            await Promise.all([
+                putInCache(cacheName, request, response.clone(), maxEntries),
+                refreshFavorite(request, response.clone())
+            ]);
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: isPage });
+        if (cached) {
+            return cached;
+        }
+
+        const fallback = isPage && await caches.match(OFFLINE_FALLBACK);
+        if (fallback) {
+            return fallback;
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    // Cross-origin images come back opaque (status 0) and are kept as they are
+    if (response.status === 200 || response.type === 'opaque') {
+        await putInCache(cacheName, request, response.clone(), maxEntries);
+    }
+    return response;
+}
+
+// The shell loads from the cache at once and updates for the next visit
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const update = fetch(request).then(async response => {
+        if (response.status === 200) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        update.catch(() => {
+            // Offline: the cached copy will do
+        });
+        return cached;
+    }
+    return update;
+}
+
+// cache.put moves a key to the end, so the first keys are the oldest
+async function putInCache(cacheName, request, response, maxEntries = Infinity) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+// Favorites
+
+// Keep a favorite's offline copy as fresh as the last visit
+async function refreshFavorite(request, response) {
+    const cache = await caches.open(FAVORITES_CACHE);
+    if (await cache.match(request)) {
+        await cache.put(request, response);
+    }
+}
+
+// Make the favorites cache hold exactly these recipes: each one's page,
+// API record and image. Copies already cached are kept (visits refresh
+// them); failures are skipped and retried on the next call.
+async function cacheFavorites(recipes) {
+    const cache = await caches.open(FAVORITES_CACHE);
+    const wanted = new Set();
+
+    recipes.filter(recipe => recipe.slug).forEach(recipe => {
+        const slug = encodeURIComponent(recipe.slug);
+        [`/recipes/${slug}`, `/api/recipes/${slug}`, recipe.image_url].filter(Boolean).forEach(url => {
+            wanted.add(new URL(url, self.location.origin).href);
+        });
+    });
+
+    const keys = await cache.keys();
+    const cached = new Set(keys.map(key => key.url));
+    await Promise.all(keys.filter(key => !wanted.has(key.url)).map(key => cache.delete(key)));
+
+    await Promise.all([...wanted].filter(url => !cached.has(url)).map(async url => {
+        try {
+            const isLocal = new URL(url).origin === self.location.origin;
+            const response = await fetch(url, { mode: isLocal ? 'same-origin' : 'no-cors' });
+            if (response.status === 200 || response.type === 'opaque') {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            // Offline or gone; the next favorites change tries again
+        }
+    }));
+}
+
+// Review outbox
+
+async function sendOrQueueReview(request) {
+    // fetch() consumes the body, so keep a copy to queue
+    const copy = request.clone();
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        await queueReview(copy);
+
+        return new Response(JSON.stringify({
+            success: true,
+            queued: true,
+            status: 'queued',
+            message: 'You are offline; the review will be sent when you reconnect'
+        }), { status: 202, headers: { 'Content-Type': 'application/json' } });
+    }
+}
+
+async function queueReview(request) {
+    const headers = {};
+    ['Content-Type', 'X-Session-Token'].forEach(name => {
+        if (request.headers.has(name)) headers[name] = request.headers.get(name);
+    });
+
+    const entry = {
+        url: request.url,
+        slug: new URL(request.url).pathname.split('/')[3],
+        headers,
+        body: await request.text(),
+        queuedAt: Date.now()
+    };
+    await outbox('readwrite', store => store.add(entry));
+
+    if (self.registration.sync) {
+        await self.registration.sync.register(REVIEW_SYNC_TAG).catch(() => {
+            // Sync not allowed: pages replay the outbox when they come online
+        });
+    }
+}
+
+let replaying = null;
+
+// Send queued reviews oldest first. One the server accepts (2xx) or turns
+// down (4xx) is done with, and its page is told the outcome; a network
+// error, a 429 or a server error (5xx) stops the run and rejects, leaving it
+// and the rest queued for the next try.
+function replayReviews() {
+    if (!replaying) {
+        replaying = (async () => {
+            const entries = await outbox('readonly', store => store.getAll());
+
+            for (const entry of entries) {
+                const response = await fetch(entry.url, { method: 'POST', headers: entry.headers, body: entry.body });
+                if (response.status === 429) {
+                    throw new Error('Review submissions are rate limited; retrying later');
+                }
+                if (response.status >= 500) {
+                    throw new Error(`The server could not take a queued review (${response.status}); retrying later`);
+                }
+
+                await outbox('readwrite', store => store.delete(entry.id));
+                await notifyPages({
+                    type: 'review-sent',
+                    slug: entry.slug,
+                    status: response.status,
+                    result: await response.json().catch(() => null)
+                });
+            }
+        })().finally(() => {
+            replaying = null;
+        });
+    }
+    return replaying;
+}
+
+async function notifyPages(message) {
+    const pages = await self.clients.matchAll({ type: 'window' });
+    pages.forEach(page => page.postMessage(message));
+}
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('reviews', { keyPath: 'id', autoIncrement: true });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function outbox(mode, operation) {
+    const db = await openOutbox();
+
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = operation(db.transaction('reviews', mode).objectStore('reviews'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
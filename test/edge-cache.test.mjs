@@ -0,0 +1,234 @@
+// The Worker's edge cache: validators and 304s, Cache API hits, and purging
+// by tag when recipes or reviews change.
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../api/worker.js';
+import { createTestDatabase } from './support/d1.mjs';
+import { createTestCaches } from './support/cache.mjs';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+let env;
+let testCaches;
+
+// Runs the request and everything it hands to waitUntil, like the edge would
+async function send(method, path, { body, headers = {} } = {}) {
+  const pending = [];
+  const response = await worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }), env, { waitUntil: promise => pending.push(promise) });
+  await Promise.all(pending);
+
+  const text = await response.text();
+  const isJson = (response.headers.get('Content-Type') || '').startsWith('application/json');
+  return { status: response.status, headers: response.headers, body: text && isJson ? JSON.parse(text) : text || null };
+}
+
+const get = (path, headers) => send('GET', path, { headers });
+const admin = (method, path, body) => send(method, path, { body, headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+
+// Change data behind the Worker's back, so only a purge can reveal it
+function retitle(slug, title) {
+  env.DB.sqlite.prepare('UPDATE recipes SET title = ? WHERE slug = ?').run(title, slug);
+}
+
+beforeEach(() => {
+  env = { DB: createTestDatabase(), ENVIRONMENT: 'development', ADMIN_TOKEN };
+  testCaches = createTestCaches();
+  globalThis.caches = testCaches;
+});
+
+after(() => {
+  delete globalThis.caches;
+});
+
+describe('validators', () => {
+  it('sends ETag, Last-Modified from updated_at and Cache-Control', async () => {
+    const { status, headers, body } = await get('/api/recipes/better-than-sex-fruit');
+
+    assert.equal(status, 200);
+    assert.match(headers.get('ETag'), /^"[0-9a-f]{32}"$/);
+    assert.equal(headers.get('Last-Modified'), new Date(`${body.data.updated_at.replace(' ', 'T')}Z`).toUTCString());
+    assert.equal(headers.get('Cache-Control'), 'public, max-age=0, s-maxage=300');
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const { headers } = await get('/api/recipes');
+    const etag = headers.get('ETag');
+
+    for (const ifNoneMatch of [etag, `W/${etag}`, `"other", ${etag}`, '*']) {
+      const revalidated = await get('/api/recipes', { 'If-None-Match': ifNoneMatch });
+      assert.equal(revalidated.status, 304, ifNoneMatch);
+      assert.equal(revalidated.body, null);
+      assert.equal(revalidated.headers.get('ETag'), etag);
+      assert.equal(revalidated.headers.get('Access-Control-Allow-Origin'), '*');
+    }
+
+    assert.equal((await get('/api/recipes', { 'If-None-Match': '"stale"' })).status, 200);
+  });
+
+  it('answers If-Modified-Since when there is no If-None-Match', async () => {
+    const { headers } = await get('/api/recipes/better-than-sex-fruit');
+    const lastModified = headers.get('Last-Modified');
+
+    assert.equal((await get('/api/recipes/better-than-sex-fruit', { 'If-Modified-Since': lastModified })).status, 304);
+    assert.equal((await get('/api/recipes/better-than-sex-fruit', { 'If-Modified-Since': 'Mon, 01 Jan 2001 00:00:00 GMT' })).status, 200);
+    assert.equal((await get('/api/recipes/better-than-sex-fruit', {
+      'If-Modified-Since': lastModified,
+      'If-None-Match': '"stale"'
+    })).status, 200);
+  });
+
+  it('still validates without a Cache API', async () => {
+    delete globalThis.caches;
+    const { headers } = await get('/api/categories');
+
+    assert.equal(headers.get('X-Edge-Cache'), 'MISS');
+    assert.equal((await get('/api/categories', { 'If-None-Match': headers.get('ETag') })).status, 304);
+  });
+});
+
+describe('cache hits', () => {
+  it('serves repeat GETs from the cache, whatever the parameter order', async () => {
+    const first = await get('/api/recipes?limit=5&sort_by=title');
+    assert.equal(first.headers.get('X-Edge-Cache'), 'MISS');
+
+    retitle('better-than-sex-fruit', 'Changed Behind The Cache');
+
+    const second = await get('/api/recipes?sort_by=title&limit=5');
+    assert.equal(second.headers.get('X-Edge-Cache'), 'HIT');
+    assert.equal(second.headers.get('ETag'), first.headers.get('ETag'));
+    assert.deepEqual(second.body, first.body);
+  });
+
+  it('only caches successful public GETs', async () => {
+    await get('/api/recipes/no-such-recipe');
+    await get('/api/admin/reviews');
+    await send('POST', '/api/session');
+    await get('/robots.txt');
+
+    assert.deepEqual([...testCaches.entries.keys()], []);
+  });
+
+  it('indexes cached responses by tag', async () => {
+    await get('/api/categories/desserts/recipes');
+
+    const tags = env.DB.sqlite.prepare('SELECT tag, cache_key FROM edge_cache_keys').all().map(row => ({ ...row }));
+    assert.deepEqual(tags, [{ tag: 'category:desserts', cache_key: 'http://localhost/api/categories/desserts/recipes' }]);
+  });
+
+  it('leaves the index alone on misses it already covers', async () => {
+    const expiresAt = () => env.DB.sqlite.prepare('SELECT expires_at FROM edge_cache_keys').get().expires_at;
+    await get('/api/categories/desserts/recipes');
+    const registered = expiresAt();
+
+    // Another data center, or an eviction: the copy is gone, the row is not
+    testCaches.entries.clear();
+    env.DB.sqlite.exec('UPDATE edge_cache_keys SET expires_at = expires_at - 1');
+    await get('/api/categories/desserts/recipes');
+    assert.equal(expiresAt(), registered - 1);
+
+    // A row that would expire before the new copy does is extended
+    testCaches.entries.clear();
+    env.DB.sqlite.exec(`UPDATE edge_cache_keys SET expires_at = unixepoch() + 10`);
+    await get('/api/categories/desserts/recipes');
+    assert.ok(expiresAt() >= registered);
+  });
+
+  it('only indexes responses the cache stored', async () => {
+    testCaches.default.put = async () => {
+      throw new Error('Cache unavailable');
+    };
+    await get('/api/recipes');
+
+    assert.equal(env.DB.sqlite.prepare('SELECT COUNT(*) as total FROM edge_cache_keys').get().total, 0);
+  });
+});
+
+describe('purging', () => {
+  it('purges a recipe, the lists, its categories and its author when it is updated', async () => {
+    const paths = [
+      '/api/recipes/better-than-sex-fruit',
+      '/api/recipes',
+      '/api/categories/no-bake/recipes',
+      '/api/categories',
+      '/api/authors/1'
+    ];
+    for (const path of paths) await get(path);
+    await get('/api/categories/breakfast/recipes');
+
+    const updated = await admin('PUT', '/api/recipes/better-than-sex-fruit', { title: 'Fruit Delight' });
+    assert.equal(updated.status, 200);
+
+    for (const path of paths) {
+      assert.equal((await get(path)).headers.get('X-Edge-Cache'), 'MISS', path);
+    }
+    assert.equal((await get('/api/recipes/better-than-sex-fruit')).body.data.title, 'Fruit Delight');
+
+    // Breakfast lists only the other recipe
+    assert.equal((await get('/api/categories/breakfast/recipes')).headers.get('X-Edge-Cache'), 'HIT');
+  });
+
+  it('purges the lists of categories a recipe leaves and of their ancestors', async () => {
+    await admin('PUT', '/api/recipes/better-than-sex-fruit', { categories: ['italian'] });
+    await get('/api/categories/italian/recipes');
+    await get('/api/categories/cuisines/recipes');
+
+    await admin('PUT', '/api/recipes/better-than-sex-fruit', { categories: ['desserts'] });
+
+    assert.equal((await get('/api/categories/italian/recipes')).headers.get('X-Edge-Cache'), 'MISS');
+    assert.equal((await get('/api/categories/cuisines/recipes')).headers.get('X-Edge-Cache'), 'MISS');
+  });
+
+  it('purges on status changes and deletes', async () => {
+    await get('/api/recipes');
+    await admin('PUT', '/api/recipes/lemon-cream-cheese-cake/status', { status: 'archived' });
+    assert.equal((await get('/api/recipes')).body.data.some(recipe => recipe.slug === 'lemon-cream-cheese-cake'), false);
+
+    await get('/feed.xml');
+    await admin('DELETE', '/api/recipes/better-than-sex-fruit');
+    assert.deepEqual([...testCaches.entries.keys()], []);
+  });
+
+  it('purges a recipe when a review is auto-published, not while it is held', async () => {
+    env.AUTO_PUBLISH_REVIEWS = 'true';
+    const review = { reviewer_name: 'Kim', rating: 5, comment: 'Great' };
+    await get('/api/recipes/better-than-sex-fruit/reviews');
+
+    await send('POST', '/api/recipes/better-than-sex-fruit/reviews', {
+      body: { ...review, comment: 'Visit www.example-deals.shop' },
+      headers: { 'CF-Connecting-IP': '198.51.100.1' }
+    });
+    assert.equal((await get('/api/recipes/better-than-sex-fruit/reviews')).headers.get('X-Edge-Cache'), 'HIT');
+
+    await send('POST', '/api/recipes/better-than-sex-fruit/reviews', { body: review, headers: { 'CF-Connecting-IP': '198.51.100.2' } });
+    const reviews = await get('/api/recipes/better-than-sex-fruit/reviews');
+    assert.equal(reviews.headers.get('X-Edge-Cache'), 'MISS');
+    assert.ok(reviews.body.data.some(item => item.reviewer_name === 'Kim'));
+  });
+
+  it('purges a recipe when its reviews are moderated', async () => {
+    const held = await send('POST', '/api/recipes/lemon-cream-cheese-cake/reviews', {
+      body: { reviewer_name: 'Lou', rating: 2, comment: 'See www.example-deals.shop' }
+    });
+    await get('/api/recipes/lemon-cream-cheese-cake');
+
+    await admin('POST', '/api/admin/reviews/moderate', { action: 'approve', ids: [held.body.id] });
+
+    const recipe = await get('/api/recipes/lemon-cream-cheese-cake');
+    assert.equal(recipe.headers.get('X-Edge-Cache'), 'MISS');
+  });
+
+  it('prunes expired index entries on the cron', async () => {
+    await get('/api/recipes');
+    env.DB.sqlite.exec('UPDATE edge_cache_keys SET expires_at = 0');
+
+    const pending = [];
+    await worker.scheduled({}, env, { waitUntil: promise => pending.push(promise) });
+    await Promise.all(pending);
+
+    assert.equal(env.DB.sqlite.prepare('SELECT COUNT(*) as total FROM edge_cache_keys').get().total, 0);
+  });
+});
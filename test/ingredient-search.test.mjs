@@ -0,0 +1,69 @@
+// GET /api/recipes/by-ingredients: whole-word matching for what is on hand,
+// substring matching for exclusions (allergies), both through the trigram
+// index on recipe_ingredients.
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../api/worker.js';
+import { createTestDatabase } from './support/d1.mjs';
+
+let env;
+
+async function findByIngredients(params) {
+  const ctx = { waitUntil() {} };
+  const url = `http://localhost/api/recipes/by-ingredients?${new URLSearchParams(params)}`;
+  const response = await worker.fetch(new Request(url), env, ctx);
+  return { status: response.status, body: await response.json() };
+}
+
+const slugs = body => body.data.map(recipe => recipe.slug).sort();
+
+before(() => {
+  env = { DB: createTestDatabase(), ENVIRONMENT: 'development' };
+  const insert = env.DB.sqlite.prepare(`
+    INSERT INTO recipes (slug, title, ingredients, instructions, status, tags, author_id)
+    VALUES (?, ?, ?, '[]', 'published', '[]', 1)
+  `);
+
+  [
+    ['walnut-brownies', 'Walnut Brownies', ['Cocoa powder', 'Chopped walnuts', 'Sugar']],
+    ['peanut-noodles', 'Peanut Noodles', ['Noodles', 'Peanut butter', 'Sugar']],
+    ['plain-cocoa', 'Plain Cocoa', ['Cocoa powder', 'Sugar']],
+    ['licorice-twists', 'Licorice Twists', ['Licorice', 'Sugar']]
+  ].forEach(([slug, title, items]) => {
+    insert.run(slug, title, JSON.stringify(items.map(item => ({ item }))));
+  });
+});
+
+describe('GET /api/recipes/by-ingredients', () => {
+  it('matches what is on hand as whole words', async () => {
+    const { status, body } = await findByIngredients({ have: 'rice,sugar' });
+
+    assert.equal(status, 200);
+    const twists = body.data.find(recipe => recipe.slug === 'licorice-twists');
+    assert.deepEqual(twists.ingredient_match, { have: 1, required: 2, missing: ['Licorice'] });
+  });
+
+  it('excludes compound and plural forms of an allergen', async () => {
+    const { body } = await findByIngredients({ have: 'sugar', exclude: 'nuts' });
+    const found = slugs(body);
+
+    assert.ok(found.includes('plain-cocoa'));
+    assert.ok(!found.includes('walnut-brownies'));
+    assert.ok(!found.includes('peanut-noodles'));
+  });
+
+  it('keeps ingredient matches in sync when a recipe changes', async () => {
+    env.DB.sqlite.prepare(`UPDATE recipes SET ingredients = ? WHERE slug = 'plain-cocoa'`)
+      .run(JSON.stringify([{ item: 'Cocoa powder' }, { item: 'Hazelnuts' }, { item: 'Sugar' }]));
+
+    const { body } = await findByIngredients({ have: 'sugar', exclude: 'nut' });
+    assert.ok(!slugs(body).includes('plain-cocoa'));
+  });
+
+  it('rejects ingredients too short to look up', async () => {
+    const { status, body } = await findByIngredients({ have: 'sugar', exclude: 'ox' });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details.map(detail => `${detail.field}:${detail.code}`), ['exclude:too_short']);
+  });
+});
@@ -0,0 +1,299 @@
+// List endpoints (sorting, filtering, cursor pagination) run through the
+// Worker against the SQLite stand-in, including injection attempts on every
+// request value that ends up in a query.
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../api/worker.js';
+import { createTestDatabase } from './support/d1.mjs';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+const SORT_INJECTIONS = [
+  'title; DROP TABLE recipes; --',
+  'created_at DESC, (SELECT CASE WHEN 1 THEN 1 ELSE 1/0 END)',
+  '(SELECT reviewer_email FROM reviews)',
+  'rating) UNION SELECT * FROM sessions --',
+  "' OR '1'='1",
+  '1'
+];
+
+const ORDER_INJECTIONS = [
+  'DESC; DELETE FROM reviews',
+  'ASC, (SELECT 1)',
+  'DESC --',
+  'sideways'
+];
+
+let env;
+
+function tableCount(table) {
+  return env.DB.sqlite.prepare(`SELECT COUNT(*) as total FROM ${table}`).get().total;
+}
+
+async function get(path, headers = {}) {
+  const ctx = { waitUntil() {} };
+  const response = await worker.fetch(new Request(`http://localhost${path}`, { headers }), env, ctx);
+  return { status: response.status, body: await response.json() };
+}
+
+// Follows next_cursor to the end, returning every row in order
+async function getAllPages(path) {
+  const rows = [];
+  let page = await get(path);
+
+  for (;;) {
+    assert.equal(page.status, 200, JSON.stringify(page.body));
+    rows.push(...page.body.data);
+
+    const next = page.body.pagination.next;
+    if (!next) return rows;
+    page = await get(next);
+  }
+}
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function withParams(path, params) {
+  return `${path}?${new URLSearchParams(params)}`;
+}
+
+before(() => {
+  env = { DB: createTestDatabase(), ENVIRONMENT: 'development', ADMIN_TOKEN };
+  const db = env.DB.sqlite;
+
+  const addRecipe = db.prepare(`
+    INSERT INTO recipes (slug, title, ingredients, instructions, prep_time, total_time, difficulty, rating, status, tags, author_id, created_at)
+    VALUES (?, ?, '[]', '[]', ?, ?, ?, ?, ?, '[]', 1, ?)
+  `);
+  const addToCategory = db.prepare(`
+    INSERT INTO recipe_categories (recipe_id, category_id) SELECT ?, id FROM categories WHERE slug = ?
+  `);
+
+  [
+    ['quick-tomato-pasta', 'Quick Tomato Pasta', 10, 20, 'easy', 4.2, 'published', '2024-03-01 10:00:00', 'italian'],
+    ['weeknight-tacos', 'Weeknight Tacos', 15, 30, 'easy', 4.6, 'published', '2024-03-02 10:00:00', 'mexican'],
+    ['slow-braised-ragu', 'Slow Braised Ragu', 30, null, 'hard', 4.6, 'published', '2024-03-03 10:00:00', 'italian'],
+    ['secret-draft', 'Secret Draft', 5, 5, 'easy', 5, 'draft', '2024-03-04 10:00:00', 'italian']
+  ].forEach(([slug, title, prep, total, difficulty, rating, status, createdAt, category]) => {
+    const { lastInsertRowid } = addRecipe.run(slug, title, prep, total, difficulty, rating, status, createdAt);
+    addToCategory.run(lastInsertRowid, category);
+  });
+
+  const addReview = db.prepare(`
+    INSERT INTO reviews (recipe_id, reviewer_name, reviewer_email, rating, comment, helpful_count, status, created_at)
+    VALUES (1, ?, ?, ?, 'Tasty', ?, ?, ?)
+  `);
+
+  for (let i = 1; i <= 12; i++) {
+    const status = i % 6 === 0 ? 'pending' : 'published';
+    addReview.run(`Reviewer ${i}`, `reviewer${i}@example.com`, (i % 5) + 1, i % 4, status, `2024-01-${String(i).padStart(2, '0')} 12:00:00`);
+  }
+});
+
+describe('sort whitelisting', () => {
+  const endpoints = [
+    '/api/recipes',
+    '/api/categories/italian/recipes',
+    '/api/recipes/better-than-sex-fruit/reviews',
+    '/api/categories',
+    '/api/authors'
+  ];
+
+  for (const path of endpoints) {
+    it(`rejects injected sort_by on ${path}`, async () => {
+      for (const sortBy of SORT_INJECTIONS) {
+        const { status, body } = await get(withParams(path, { sort_by: sortBy }));
+        assert.equal(status, 400, `sort_by=${sortBy}`);
+        assert.equal(body.error.code, 'validation_failed');
+        assert.equal(body.error.details[0].field, 'sort_by');
+        assert.match(body.error.details[0].message, /^sort_by must be one of: /);
+      }
+    });
+
+    it(`rejects injected sort_order on ${path}`, async () => {
+      for (const sortOrder of ORDER_INJECTIONS) {
+        const { status, body } = await get(withParams(path, { sort_order: sortOrder }));
+        assert.equal(status, 400, `sort_order=${sortOrder}`);
+        assert.equal(body.error.details[0].field, 'sort_order');
+        assert.match(body.error.details[0].message, /^sort_order must be one of: ASC, DESC$/);
+      }
+    });
+  }
+
+  it('rejects injected sorts on the admin moderation queue', async () => {
+    const headers = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+    for (const sortBy of [...SORT_INJECTIONS, 'reviewer_email']) {
+      const { status } = await get(withParams('/api/admin/reviews', { sort_by: sortBy }), headers);
+      assert.equal(status, 400, `sort_by=${sortBy}`);
+    }
+  });
+
+  it('leaves the data untouched', () => {
+    assert.equal(tableCount('recipes'), 6);
+    assert.equal(tableCount('reviews'), 16);
+  });
+
+  it('accepts every whitelisted column in either order, case-insensitively', async () => {
+    for (const sortBy of ['created_at', 'updated_at', 'title', 'rating', 'total_time', 'prep_time']) {
+      for (const sortOrder of ['asc', 'DESC']) {
+        const { status } = await get(withParams('/api/recipes', { sort_by: sortBy, sort_order: sortOrder }));
+        assert.equal(status, 200, `${sortBy} ${sortOrder}`);
+      }
+    }
+  });
+});
+
+describe('GET /api/recipes', () => {
+  it('lists published recipes newest first by default', async () => {
+    const { body } = await get('/api/recipes');
+    const expected = env.DB.sqlite.prepare(`
+      SELECT slug FROM recipes WHERE status = 'published' ORDER BY created_at DESC, id DESC
+    `).all().map(row => row.slug);
+
+    assert.deepEqual(body.data.map(recipe => recipe.slug), expected);
+    assert.equal(body.total_count, 5);
+    assert.ok(!expected.includes('secret-draft'));
+  });
+
+  it('pages through a sort with ties and NULLs without skipping or repeating', async () => {
+    const rows = await getAllPages(withParams('/api/recipes', { sort_by: 'total_time', sort_order: 'ASC', limit: 1 }));
+    const expected = env.DB.sqlite.prepare(`
+      SELECT slug FROM recipes WHERE status = 'published' ORDER BY IFNULL(total_time, 0) ASC, id ASC
+    `).all().map(row => row.slug);
+
+    assert.deepEqual(rows.map(recipe => recipe.slug), expected);
+  });
+
+  it('binds filter values instead of splicing them into SQL', async () => {
+    for (const params of [
+      { category: "' OR 1=1 --" },
+      { tag: '") OR 1=1 --' }
+    ]) {
+      const { status, body } = await get(withParams('/api/recipes', params));
+      assert.equal(status, 200, JSON.stringify(params));
+      assert.equal(body.data.length, 0, JSON.stringify(params));
+    }
+  });
+
+  it('rejects range filters that are not plain numbers', async () => {
+    const { status, body } = await get(withParams('/api/recipes', { max_time: '0 OR 1=1' }));
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details, [
+      { field: 'max_time', code: 'invalid_type', message: 'max_time must be a number' }
+    ]);
+  });
+
+  it('ignores difficulty values outside the known levels', async () => {
+    const { status, body } = await get(withParams('/api/recipes', { difficulty: "easy' OR '1'='1" }));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.filters.difficulty, []);
+    assert.equal(body.total_count, 5);
+  });
+
+  it('rejects cursors made for another sort', async () => {
+    const { body } = await get(withParams('/api/recipes', { sort_by: 'title', sort_order: 'ASC', limit: 1 }));
+    const { status } = await get(withParams('/api/recipes', { sort_by: 'rating', cursor: body.pagination.next_cursor }));
+
+    assert.equal(status, 400);
+  });
+
+  it('treats SQL inside a forged cursor as a value', async () => {
+    const cursor = encodeCursor({ k: 'created_at:DESC,id:DESC', d: 'next', v: ["9' OR 1=1 --", 999] });
+    const { status, body } = await get(withParams('/api/recipes', { cursor }));
+
+    assert.equal(status, 200);
+    assert.ok(body.data.every(recipe => recipe.slug !== 'secret-draft'));
+    assert.equal(tableCount('recipes'), 6);
+  });
+
+  it('rejects malformed cursors', async () => {
+    for (const cursor of ['not-a-cursor', encodeCursor({ k: "created_at:DESC,id:DESC'; --", d: 'next', v: [1, 2] })]) {
+      const { status } = await get(withParams('/api/recipes', { cursor }));
+      assert.equal(status, 400);
+    }
+  });
+});
+
+describe('GET /api/categories/:slug/recipes', () => {
+  it('sorts by a whitelisted column', async () => {
+    const { status, body } = await get(withParams('/api/categories/italian/recipes', { sort_by: 'title', sort_order: 'ASC' }));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(recipe => recipe.slug), ['quick-tomato-pasta', 'slow-braised-ragu']);
+  });
+
+  it('includes subcategory recipes with include_descendants=true', async () => {
+    const { body } = await get(withParams('/api/categories/cuisines/recipes', { include_descendants: 'true', sort_by: 'title', sort_order: 'ASC' }));
+
+    assert.deepEqual(body.data.map(recipe => recipe.slug), ['quick-tomato-pasta', 'slow-braised-ragu', 'weeknight-tacos']);
+  });
+
+  it('applies the listing filters', async () => {
+    const { body } = await get(withParams('/api/categories/italian/recipes', { difficulty: 'hard' }));
+
+    assert.deepEqual(body.data.map(recipe => recipe.slug), ['slow-braised-ragu']);
+    assert.deepEqual(body.filters.difficulty, ['hard']);
+  });
+
+  it('does not match a category through an injected slug', async () => {
+    const { status } = await get(`/api/categories/${encodeURIComponent("italian' OR '1'='1")}/recipes`);
+
+    assert.equal(status, 404);
+  });
+});
+
+describe('GET /api/recipes/:slug/reviews', () => {
+  it('lists only published reviews, sorted as asked', async () => {
+    const rows = await getAllPages(withParams('/api/recipes/better-than-sex-fruit/reviews', { sort_by: 'rating', sort_order: 'ASC', limit: 3 }));
+    const expected = env.DB.sqlite.prepare(`
+      SELECT id FROM reviews WHERE recipe_id = 1 AND status = 'published' ORDER BY rating ASC, id ASC
+    `).all().map(row => row.id);
+
+    assert.deepEqual(rows.map(review => review.id), expected);
+    assert.ok(rows.every(review => !('reviewer_email' in review)));
+  });
+
+  it('keeps a forged cursor within the recipe', async () => {
+    const cursor = encodeCursor({ k: 'created_at:DESC,id:DESC', d: 'next', v: ["') OR 1=1 --", 999] });
+    const { status, body } = await get(withParams('/api/recipes/better-than-sex-fruit/reviews', { cursor }));
+    const ownIds = env.DB.sqlite.prepare(`SELECT id FROM reviews WHERE recipe_id = 1`).all().map(row => row.id);
+
+    assert.equal(status, 200);
+    assert.ok(body.data.every(review => ownIds.includes(review.id)));
+  });
+});
+
+describe('other list endpoints', () => {
+  it('pages categories in sort_order', async () => {
+    const rows = await getAllPages(withParams('/api/categories', { limit: 5 }));
+    const expected = env.DB.sqlite.prepare(`
+      SELECT slug FROM categories WHERE parent_id IS NULL ORDER BY sort_order ASC, id ASC
+    `).all().map(row => row.slug);
+
+    assert.deepEqual(rows.map(category => category.slug), expected);
+  });
+
+  it('pages recipes by ingredients in match order', async () => {
+    const path = withParams('/api/recipes/by-ingredients', { have: 'strawberries,cream cheese', limit: 1 });
+    const { body } = await get(path);
+    const rows = await getAllPages(path);
+
+    assert.equal(rows.length, body.total_count);
+    assert.equal(new Set(rows.map(recipe => recipe.id)).size, rows.length);
+    assert.ok(rows.every(recipe => !('coverage' in recipe)));
+  });
+
+  it('lists the moderation queue oldest first', async () => {
+    const headers = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+    const { status, body } = await get('/api/admin/reviews', headers);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(review => review.reviewer_name), ['Reviewer 6', 'Reviewer 12']);
+    assert.equal(body.total_count, 2);
+  });
+});
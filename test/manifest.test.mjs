@@ -0,0 +1,65 @@
+// GET /manifest.webmanifest: what browsers need to install the site, its
+// shortcuts and the share target that saves shared recipe links.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import worker from '../api/worker.js';
+import { createTestDatabase } from './support/d1.mjs';
+
+async function getManifest() {
+  const env = { DB: createTestDatabase(), ENVIRONMENT: 'development' };
+  const response = await worker.fetch(new Request('http://localhost/manifest.webmanifest'), env, { waitUntil() {} });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// Width x height from a PNG's IHDR chunk
+function pngSize(file) {
+  const data = readFileSync(file);
+  return `${data.readUInt32BE(16)}x${data.readUInt32BE(20)}`;
+}
+
+describe('web app manifest', () => {
+  it('is served as an installable manifest', async () => {
+    const { status, headers, body } = await getManifest();
+
+    assert.equal(status, 200);
+    assert.equal(headers.get('Content-Type'), 'application/manifest+json; charset=utf-8');
+    assert.equal(body.start_url, '/');
+    assert.equal(body.display, 'standalone');
+    assert.ok(body.name && body.short_name);
+    assert.deepEqual(body.icons.map(icon => icon.sizes), ['192x192', '512x512', '512x512']);
+    assert.equal(body.icons[2].purpose, 'maskable');
+  });
+
+  it('offers Search, Favorites and Discover shortcuts', async () => {
+    const { body } = await getManifest();
+
+    assert.deepEqual(body.shortcuts.map(shortcut => [shortcut.short_name, shortcut.url]), [
+      ['Search', '/pages/search-results.html'],
+      ['Favorites', '/pages/favorites.html'],
+      ['Discover', '/pages/discover.html']
+    ]);
+    assert.ok(body.shortcuts.every(shortcut => shortcut.icons.length === 1));
+  });
+
+  it('points every icon at a PNG of its stated size in the repo', async () => {
+    const { body } = await getManifest();
+    const icons = [...body.icons, ...body.shortcuts.flatMap(shortcut => shortcut.icons)];
+
+    for (const icon of icons) {
+      const file = new URL(`..${icon.src}`, import.meta.url);
+      assert.ok(existsSync(file), `${icon.src} is missing`);
+      assert.equal(pngSize(file), icon.sizes, icon.src);
+    }
+  });
+
+  it('sends shared links to the favorites page', async () => {
+    const { body } = await getManifest();
+
+    assert.deepEqual(body.share_target, {
+      action: '/pages/favorites.html',
+      method: 'GET',
+      params: { title: 'share_title', text: 'share_text', url: 'share_url' }
+    });
+  });
+});
@@ -0,0 +1,174 @@
+// js/recipe-scaling.js: the quantity parsing, formatting, unit conversion and
+// temperature rewriting shared by /api/recipes/:slug?servings=&units= and
+// the recipe page's serving calculator.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RecipeScaling from '../js/recipe-scaling.js';
+
+const { parseQuantity, formatQuantity, convert, scaleIngredient, convertTemperatures, scaleRecipe } = RecipeScaling;
+
+const exactly = value => ({ min: value, max: value });
+
+describe('parseQuantity', () => {
+  it('reads whole numbers, decimals and fractions', () => {
+    assert.deepEqual(parseQuantity('2'), exactly(2));
+    assert.deepEqual(parseQuantity('0.5'), exactly(0.5));
+    assert.deepEqual(parseQuantity('1/2'), exactly(0.5));
+    assert.deepEqual(parseQuantity(1.5), exactly(1.5));
+  });
+
+  it('reads mixed numbers, with a space or a dash', () => {
+    assert.deepEqual(parseQuantity('1 1/2'), exactly(1.5));
+    assert.deepEqual(parseQuantity('1-1/2'), exactly(1.5));
+  });
+
+  it('reads unicode fractions, alone or after a whole number', () => {
+    assert.deepEqual(parseQuantity('½'), exactly(0.5));
+    assert.deepEqual(parseQuantity('1½'), exactly(1.5));
+    assert.deepEqual(parseQuantity('2 ¾'), exactly(2.75));
+  });
+
+  it('reads ranges', () => {
+    assert.deepEqual(parseQuantity('1-2'), { min: 1, max: 2 });
+    assert.deepEqual(parseQuantity('3–4'), { min: 3, max: 4 });
+    assert.deepEqual(parseQuantity('2 to 3'), { min: 2, max: 3 });
+    assert.deepEqual(parseQuantity('1/2-1'), { min: 0.5, max: 1 });
+  });
+
+  it('returns null for amounts that are not quantities', () => {
+    for (const value of ['to taste', 'a pinch', '1/0', '3-2', '', null, undefined, 0, -1, NaN]) {
+      assert.equal(parseQuantity(value), null, String(value));
+    }
+  });
+});
+
+describe('formatQuantity', () => {
+  it('writes US amounts as eighths or thirds', () => {
+    assert.equal(formatQuantity(1.5), '1 1/2');
+    assert.equal(formatQuantity(0.33), '1/3');
+    assert.equal(formatQuantity(2.67), '2 2/3');
+    assert.equal(formatQuantity(0.375), '3/8');
+    assert.equal(formatQuantity(3), '3');
+  });
+
+  it('never rounds a real amount down to zero, and drops fractions from large ones', () => {
+    assert.equal(formatQuantity(0.01), '1/8');
+    assert.equal(formatQuantity(22.4), '22');
+  });
+
+  it('rounds metric amounts to a step that suits their size', () => {
+    assert.equal(formatQuantity(7.3, 'metric', 'g'), '7.5');
+    assert.equal(formatQuantity(177.4, 'metric', 'ml'), '180');
+    assert.equal(formatQuantity(1234, 'metric', 'g'), '1250');
+    assert.equal(formatQuantity(1.26, 'metric', 'l'), '1.3');
+    assert.equal(formatQuantity(0.1, 'metric', 'g'), '0.5');
+  });
+});
+
+describe('convert', () => {
+  it('converts US volumes and weights to metric', () => {
+    assert.deepEqual(convert(0.75, 'cup', 'metric'), { value: 177.441, unit: 'ml' });
+    assert.deepEqual(convert(2, 'lb', 'metric'), { value: 907.184, unit: 'g' });
+  });
+
+  it('converts metric to the best-fitting US unit', () => {
+    const weight = convert(500, 'g', 'us');
+    assert.equal(weight.unit, 'lb');
+    assert.ok(Math.abs(weight.value - 1.1023) < 0.001);
+
+    assert.equal(convert(250, 'ml', 'us').unit, 'cup');
+    assert.equal(convert(5, 'ml', 'us').unit, 'tsp');
+  });
+
+  it('recognizes unit spellings and leaves same-system amounts alone', () => {
+    assert.deepEqual(convert(1, 'Tablespoons', 'metric'), { value: 14.7868, unit: 'ml' });
+    assert.deepEqual(convert(1000, 'ml', 'metric'), { value: 1000, unit: 'ml' });
+  });
+
+  it('returns null for units it cannot convert', () => {
+    assert.equal(convert(1, 'clove', 'metric'), null);
+    assert.equal(convert(1, 'cup', 'imperial'), null);
+  });
+});
+
+describe('scaleIngredient', () => {
+  const scaled = (amount, unit, factor, options) => {
+    const { amount: newAmount, unit: newUnit } = scaleIngredient({ item: 'flour', amount, unit }, factor, options);
+    return `${newAmount} ${newUnit}`;
+  };
+
+  it('scales mixed numbers, unicode fractions and ranges', () => {
+    assert.equal(scaled('1 1/2', 'cups', 2), '3 cups');
+    assert.equal(scaled('½', 'cup', 3), '1 1/2 cups');
+    assert.equal(scaled('1-2', 'tbsp', 1.5), '1 1/2-3 tbsp');
+  });
+
+  it('pluralizes and singularizes units with the amount', () => {
+    assert.equal(scaled('1', 'cup', 2), '2 cups');
+    assert.equal(scaled('1', 'cup', 0.5), '1/2 cup');
+    assert.equal(scaled('1', 'can', 3), '3 cans');
+    assert.equal(scaled('2', 'cans', 0.5), '1 can');
+    assert.equal(scaled('1', 'pinch', 2), '2 pinches');
+    assert.equal(scaled('2', 'pinches', 0.5), '1 pinch');
+  });
+
+  it('converts between US and metric, keeping a range in one unit', () => {
+    assert.equal(scaled('1', 'cup', 1, { units: 'metric' }), '240 ml');
+    assert.equal(scaled('1-2', 'tbsp', 2, { units: 'metric' }), '30-60 ml');
+    assert.equal(scaled('500', 'g', 1, { units: 'us' }), '1 1/8 lbs');
+  });
+
+  it('leaves amounts it cannot parse as written', () => {
+    const ingredient = { item: 'salt', amount: 'to taste', unit: '' };
+    assert.deepEqual(scaleIngredient(ingredient, 2, { units: 'metric' }), ingredient);
+  });
+});
+
+describe('convertTemperatures', () => {
+  it('converts oven temperatures, rounded to 5 degrees', () => {
+    assert.equal(convertTemperatures('Bake at 350°F for 20 minutes', 'metric'), 'Bake at 175°C for 20 minutes');
+    assert.equal(convertTemperatures('Roast at 425 degrees F', 'metric'), 'Roast at 220°C');
+    assert.equal(convertTemperatures('Heat to 180°C', 'us'), 'Heat to 355°F');
+    assert.equal(convertTemperatures('Preheat to 200 ºC', 'us'), 'Preheat to 390°F');
+  });
+
+  it('keeps only the target scale when both are given', () => {
+    assert.equal(convertTemperatures('Bake at 350°F (175°C)', 'metric'), 'Bake at 175°C');
+    assert.equal(convertTemperatures('Bake at 350°F (175°C)', 'us'), 'Bake at 350°F');
+  });
+
+  it('leaves text already in the target scale, or for an unknown system, alone', () => {
+    assert.equal(convertTemperatures('Bake at 350°F', 'us'), 'Bake at 350°F');
+    assert.equal(convertTemperatures('Bake at 350°F', 'imperial'), 'Bake at 350°F');
+  });
+});
+
+describe('scaleRecipe', () => {
+  const recipe = {
+    servings: 4,
+    ingredients: [{ item: 'flour', amount: '2', unit: 'cups' }],
+    instructions: [{ step: 1, instruction: 'Bake at 350°F' }]
+  };
+
+  it('scales to the requested servings and converts units and temperatures', () => {
+    const result = scaleRecipe(recipe, { servings: 6, units: 'metric' });
+
+    assert.equal(result.servings, 6);
+    assert.deepEqual(result.ingredients, [{ item: 'flour', amount: '710', unit: 'ml' }]);
+    assert.deepEqual(result.instructions, [{ step: 1, instruction: 'Bake at 175°C' }]);
+    assert.deepEqual(result.scaling, { original_servings: 4, servings: 6, factor: 1.5, units: 'metric' });
+  });
+
+  it('does not modify the recipe it is given', () => {
+    const copy = structuredClone(recipe);
+    scaleRecipe(recipe, { servings: 2, units: 'metric' });
+    assert.deepEqual(recipe, copy);
+  });
+
+  it('leaves amounts alone when the recipe has no serving count', () => {
+    const result = scaleRecipe({ ...recipe, servings: null }, { servings: 6 });
+
+    assert.equal(result.scaling.factor, 1);
+    assert.deepEqual(result.ingredients, recipe.ingredients);
+  });
+});
@@ -0,0 +1,234 @@
+// Spam protection on POST /api/recipes/:slug/reviews: rate limits, duplicate
+// detection, the honeypot, the Turnstile hook and the heuristics that hold
+// suspicious reviews for moderation.
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../api/worker.js';
+import { createTestDatabase } from './support/d1.mjs';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+let env;
+
+async function submitReview(slug, review, { ip = '203.0.113.7' } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (ip) headers['CF-Connecting-IP'] = ip;
+
+  const response = await worker.fetch(new Request(`http://localhost/api/recipes/${slug}/reviews`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(review)
+  }), env, { waitUntil() {} });
+
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+function storedReview(id) {
+  const row = env.DB.sqlite.prepare('SELECT status, spam_flags, ip_hash FROM reviews WHERE id = ?').get(id);
+  return { ...row };
+}
+
+// Published recipes spam-1 .. spam-N, so one submitter can review several
+function addRecipes(count) {
+  const insert = env.DB.sqlite.prepare(`INSERT INTO recipes (slug, title, ingredients, instructions) VALUES (?, ?, '[]', '[]')`);
+  for (let i = 1; i <= count; i++) {
+    insert.run(`spam-${i}`, `Spam Test ${i}`);
+  }
+}
+
+const review = (comment, extra = {}) => ({ reviewer_name: 'Sam', rating: 4, comment, ...extra });
+
+beforeEach(() => {
+  env = { DB: createTestDatabase(), ENVIRONMENT: 'development', ADMIN_TOKEN };
+});
+
+const countReviews = () => env.DB.sqlite.prepare(`SELECT review_count FROM recipes WHERE slug = 'lemon-cream-cheese-cake'`).get().review_count;
+
+describe('heuristics', () => {
+  it('holds clean reviews for moderation by default', async () => {
+    const before = countReviews();
+    const { status, body } = await submitReview('lemon-cream-cheese-cake', review('Lovely and light, made it twice.'));
+
+    assert.equal(status, 201);
+    assert.equal(body.status, 'pending');
+    const stored = storedReview(body.id);
+    assert.equal(stored.spam_flags, null);
+    assert.match(stored.ip_hash, /^[0-9a-f]{64}$/);
+
+    assert.equal(countReviews(), before);
+  });
+
+  it('publishes clean reviews with AUTO_PUBLISH_REVIEWS and counts them in the rating', async () => {
+    env.AUTO_PUBLISH_REVIEWS = 'true';
+    const before = countReviews();
+
+    const clean = await submitReview('lemon-cream-cheese-cake', review('Lovely and light, made it twice.'));
+    assert.equal(clean.body.status, 'published');
+    assert.equal(countReviews(), before + 1);
+
+    const flagged = await submitReview('better-than-sex-fruit', review('Cheap pans at www.example-deals.shop'), { ip: '198.51.100.9' });
+    assert.equal(flagged.body.status, 'pending');
+  });
+
+  it('holds links, profanity and shouting for moderation', async () => {
+    addRecipes(3);
+    const cases = [
+      ['spam-1', review('Cheap pans at www.example-deals.shop'), ['links']],
+      ['spam-2', review('This is sh1t', { reviewer_email: 'b@example.com' }), ['profanity']],
+      ['spam-3', review('BEST RECIPE EVER MADE ON THIS SITE', { reviewer_email: 'c@example.com' }), ['shouting']]
+    ];
+
+    for (const [index, [slug, input, flags]] of cases.entries()) {
+      const { status, body } = await submitReview(slug, input, { ip: `198.51.100.${index + 1}` });
+      assert.equal(status, 201, slug);
+      assert.equal(body.status, 'pending', slug);
+      assert.deepEqual(JSON.parse(storedReview(body.id).spam_flags), flags);
+    }
+
+    const queue = await worker.fetch(new Request('http://localhost/api/admin/reviews', {
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    }), env, { waitUntil() {} });
+    const { data } = await queue.json();
+    assert.deepEqual(data.map(item => item.spam_flags), [['links'], ['profanity'], ['shouting']]);
+  });
+
+  it('sorts the moderation queue by how many heuristics a review tripped', async () => {
+    await submitReview('lemon-cream-cheese-cake', review('Lovely and light, made it twice.'), { ip: '198.51.100.1' });
+    await submitReview('better-than-sex-fruit', review('This sh1t is sold at www.example-deals.shop'), { ip: '198.51.100.2' });
+
+    const queue = await worker.fetch(new Request('http://localhost/api/admin/reviews?sort_by=spam_flag_count&sort_order=DESC', {
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    }), env, { waitUntil() {} });
+    const { data } = await queue.json();
+    assert.deepEqual(data.map(item => item.spam_flags), [['links', 'profanity'], []]);
+  });
+
+  it('holds long text copied from another reviewer', async () => {
+    const comment = 'This recipe is amazing! I made it for a family gathering and everyone loved it.';
+    const { body } = await submitReview('lemon-cream-cheese-cake', review(comment), { ip: '198.51.100.20' });
+
+    assert.deepEqual(storedReview(body.id).spam_flags, null);
+
+    const copy = await submitReview('better-than-sex-fruit', review(comment.toUpperCase().replace('!', '!!')), { ip: '198.51.100.21' });
+    assert.equal(copy.body.status, 'pending');
+    assert.deepEqual(JSON.parse(storedReview(copy.body.id).spam_flags), ['shouting', 'copied_text']);
+  });
+});
+
+describe('duplicates', () => {
+  it('rejects a second review of the same recipe from the same IP or email', async () => {
+    assert.equal((await submitReview('better-than-sex-fruit', review('Great.'))).status, 201);
+
+    const sameIp = await submitReview('better-than-sex-fruit', review('Even better the second time.'));
+    assert.equal(sameIp.status, 409);
+    assert.equal(sameIp.body.error.code, 'conflict');
+
+    await submitReview('lemon-cream-cheese-cake', review('Nice.', { reviewer_email: 'pat@example.com' }), { ip: '198.51.100.1' });
+    const sameEmail = await submitReview('lemon-cream-cheese-cake', review('Nicer.', { reviewer_email: 'PAT@example.com' }), { ip: '198.51.100.2' });
+    assert.equal(sameEmail.status, 409);
+  });
+
+  it('rejects near-identical text on another recipe', async () => {
+    const comment = 'Turned out perfectly, the whole family asked for seconds right away.';
+    await submitReview('better-than-sex-fruit', review(comment));
+
+    const nearCopy = await submitReview('lemon-cream-cheese-cake', review(`${comment.replace('perfectly', 'perfect')} :)`));
+    assert.equal(nearCopy.status, 409);
+
+    const different = await submitReview('lemon-cream-cheese-cake', review('Too sweet for us, will halve the sugar next time.'));
+    assert.equal(different.status, 201);
+  });
+});
+
+describe('rate limits', () => {
+  it('limits submissions per IP with Retry-After', async () => {
+    addRecipes(6);
+
+    for (let i = 1; i <= 5; i++) {
+      const { status } = await submitReview(`spam-${i}`, review(`Review number ${i} about dish ${i * 7}`, { rating: (i % 5) + 1 }));
+      assert.equal(status, 201, `review ${i}`);
+    }
+
+    const { status, headers, body } = await submitReview('spam-6', review('One more opinion on this one'));
+    assert.equal(status, 429);
+    assert.equal(body.error.code, 'rate_limited');
+    assert.ok(Number(headers.get('Retry-After')) > 3500);
+
+    // Other addresses are unaffected
+    assert.equal((await submitReview('spam-6', review('Fresh voice here'), { ip: '192.0.2.9' })).status, 201);
+  });
+
+  it('limits submissions per email across IPs', async () => {
+    addRecipes(4);
+
+    for (let i = 1; i <= 3; i++) {
+      const { status } = await submitReview(`spam-${i}`, review(`Thoughts ${i}: cooked dish ${i * 3}`, { reviewer_email: 'lee@example.com' }), { ip: `192.0.2.${i}` });
+      assert.equal(status, 201);
+    }
+
+    const limited = await submitReview('spam-4', review('Last one', { reviewer_email: 'lee@example.com' }), { ip: '192.0.2.4' });
+    assert.equal(limited.status, 429);
+  });
+
+  it('starts a new window once the old one expires, and the cron prunes it', async () => {
+    addRecipes(6);
+    for (let i = 1; i <= 6; i++) {
+      await submitReview(`spam-${i}`, review(`Entry ${i} for dish ${i * 11}`));
+    }
+
+    env.DB.sqlite.exec('UPDATE rate_limits SET expires_at = expires_at - 7200');
+    assert.equal((await submitReview('spam-6', review('Back after an hour'))).status, 201);
+
+    env.DB.sqlite.exec('UPDATE rate_limits SET expires_at = 0');
+    const pending = [];
+    await worker.scheduled({}, env, { waitUntil: promise => pending.push(promise) });
+    await Promise.all(pending);
+    assert.equal(env.DB.sqlite.prepare('SELECT COUNT(*) as total FROM rate_limits').get().total, 0);
+  });
+});
+
+describe('bots', () => {
+  it('accepts but drops reviews that fill in the honeypot', async () => {
+    const before = env.DB.sqlite.prepare('SELECT COUNT(*) as total FROM reviews').get().total;
+    const { status, body } = await submitReview('better-than-sex-fruit', review('Nice', { website: 'http://spam.example' }));
+
+    assert.equal(status, 201);
+    assert.equal(body.status, 'pending');
+    assert.equal(env.DB.sqlite.prepare('SELECT COUNT(*) as total FROM reviews').get().total, before);
+  });
+
+  it('renders the honeypot and, with a site key, the Turnstile challenge in the recipe page form', async () => {
+    const page = async () => {
+      const response = await worker.fetch(new Request('http://localhost/recipes/better-than-sex-fruit'), env, { waitUntil() {} });
+      return response.text();
+    };
+
+    const plain = await page();
+    assert.match(plain, /<form class="review-form"[^]*name="website"[^]*<\/form>/);
+    assert.doesNotMatch(plain, /cf-turnstile/);
+
+    env.TURNSTILE_SITE_KEY = 'turnstile-site-key';
+    assert.match(await page(), /<form class="review-form"[^]*<div class="cf-turnstile" data-sitekey="turnstile-site-key">[^]*<\/form>/);
+  });
+
+  it('verifies Turnstile tokens when a secret is configured', async (t) => {
+    env.TURNSTILE_SECRET_KEY = 'turnstile-secret';
+    const verify = t.mock.method(globalThis, 'fetch', async (url, init) => {
+      const token = init.body.get('response');
+      return new Response(JSON.stringify({ success: token === 'good-token' }));
+    });
+
+    const missing = await submitReview('better-than-sex-fruit', review('Nice'));
+    assert.deepEqual(missing.body.error.details.map(detail => `${detail.field}:${detail.code}`), ['verification_token:required']);
+
+    const rejected = await submitReview('better-than-sex-fruit', review('Nice', { verification_token: 'bad-token' }));
+    assert.deepEqual(rejected.body.error.details.map(detail => `${detail.field}:${detail.code}`), ['verification_token:invalid_value']);
+
+    const accepted = await submitReview('better-than-sex-fruit', review('Nice', { verification_token: 'good-token' }));
+    assert.equal(accepted.status, 201);
+
+    assert.equal(verify.mock.callCount(), 2);
+    assert.equal(verify.mock.calls[0].arguments[0], 'https://challenges.cloudflare.com/turnstile/v0/siteverify');
+    assert.equal(verify.mock.calls[0].arguments[1].body.get('remoteip'), '203.0.113.7');
+  });
+});
@@ -0,0 +1,40 @@
+// GET /api/search: the FTS highlights are HTML the page renders as is, so
+// everything but the <mark> tags has to come back escaped.
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../api/worker.js';
+import { createTestDatabase } from './support/d1.mjs';
+
+let env;
+
+async function search(query) {
+  const ctx = { waitUntil() {} };
+  const response = await worker.fetch(new Request(`http://localhost/api/search?q=${encodeURIComponent(query)}`), env, ctx);
+  return { status: response.status, body: await response.json() };
+}
+
+before(() => {
+  env = { DB: createTestDatabase(), ENVIRONMENT: 'development' };
+
+  env.DB.sqlite.prepare(`
+    INSERT INTO recipes (slug, title, description, ingredients, instructions, status, tags, author_id)
+    VALUES ('mac-and-cheese', 'Mac <img src=x onerror=alert(1)> & Cheese', 'Baked <script>alert(1)</script> mac', '[]', '[]', 'published', '[]', 1)
+  `).run();
+});
+
+describe('search highlights', () => {
+  it('escapes the matched text and marks the matches', async () => {
+    const { status, body } = await search('mac');
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const recipe = body.data.find(result => result.slug === 'mac-and-cheese');
+    assert.equal(recipe.highlights.title, '<mark>Mac</mark> &lt;img src=x onerror=alert(1)&gt; &amp; Cheese');
+  });
+
+  it('escapes snippets the same way', async () => {
+    const { body } = await search('baked');
+
+    const recipe = body.data.find(result => result.slug === 'mac-and-cheese');
+    assert.equal(recipe.highlights.snippet, '<mark>Baked</mark> &lt;script&gt;alert(1)&lt;/script&gt; mac');
+  });
+});
@@ -0,0 +1,29 @@
+// A Cache API stand-in (caches.default) kept in memory, for tests that
+// exercise the Worker's edge cache. Entries never expire on their own.
+export function createTestCaches() {
+  const entries = new Map();
+  const keyOf = request => (typeof request === 'string' ? request : request.url);
+
+  return {
+    // The stored responses by URL, for checking what was cached
+    entries,
+
+    default: {
+      async match(request) {
+        const entry = entries.get(keyOf(request));
+        return entry ? new Response(entry.body, entry.init) : undefined;
+      },
+
+      async put(request, response) {
+        entries.set(keyOf(request), {
+          body: await response.arrayBuffer(),
+          init: { status: response.status, headers: new Headers(response.headers) }
+        });
+      },
+
+      async delete(request) {
+        return entries.delete(keyOf(request));
+      }
+    }
+  };
+}
@@ -0,0 +1,81 @@
+// A D1 stand-in over node:sqlite (unflagged from Node 22.13), loaded with
+// database/schema.sql, for running the Worker's handlers in tests. It covers
+// the parts of the D1 API the Worker uses: prepare/bind with first/all/run,
+// batch (one transaction, like D1) and exec.
+import { DatabaseSync } from 'node:sqlite';
+import { readFileSync } from 'node:fs';
+
+const SCHEMA_URL = new URL('../../database/schema.sql', import.meta.url);
+
+// D1 binds booleans as 1/0 and undefined as NULL
+function toSqlValue(value) {
+  if (value === true) return 1;
+  if (value === false) return 0;
+  return value === undefined ? null : value;
+}
+
+function statement(sqlite, sql, params = []) {
+  return {
+    sql,
+
+    bind(...values) {
+      return statement(sqlite, sql, values);
+    },
+
+    async all() {
+      const rows = sqlite.prepare(sql).all(...params.map(toSqlValue));
+      return { success: true, results: rows.map(row => ({ ...row })), meta: {} };
+    },
+
+    async first(column) {
+      const { results } = await this.all();
+      if (!results.length) return null;
+      return column ? results[0][column] : results[0];
+    },
+
+    async run() {
+      const info = sqlite.prepare(sql).run(...params.map(toSqlValue));
+      return {
+        success: true,
+        results: [],
+        meta: { changes: Number(info.changes), last_row_id: Number(info.lastInsertRowid) }
+      };
+    }
+  };
+}
+
+export function createTestDatabase() {
+  const sqlite = new DatabaseSync(':memory:');
+  sqlite.exec('PRAGMA foreign_keys = ON;');
+  sqlite.exec(readFileSync(SCHEMA_URL, 'utf8'));
+
+  return {
+    // The underlying node:sqlite database, for arranging and checking data
+    sqlite,
+
+    prepare(sql) {
+      return statement(sqlite, sql);
+    },
+
+    async batch(statements) {
+      sqlite.exec('BEGIN');
+      try {
+        const results = [];
+        for (const stmt of statements) {
+          const isQuery = /^\s*(SELECT|WITH)\b/i.test(stmt.sql);
+          results.push(isQuery ? await stmt.all() : await stmt.run());
+        }
+        sqlite.exec('COMMIT');
+        return results;
+      } catch (error) {
+        sqlite.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    async exec(sql) {
+      sqlite.exec(sql);
+      return { count: 0, duration: 0 };
+    }
+  };
+}
@@ -0,0 +1,11 @@
+// Module hook: import .html files as their text, as Wrangler bundles them
+import { readFileSync } from 'node:fs';
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith('.html')) {
+    const text = readFileSync(new URL(url), 'utf8');
+    return { format: 'module', source: `export default ${JSON.stringify(text)};`, shortCircuit: true };
+  }
+
+  return nextLoad(url, context);
+}
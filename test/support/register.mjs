@@ -0,0 +1,4 @@
+// Preloaded with --import so the Worker's .html imports resolve under Node
+import { register } from 'node:module';
+
+register('./html-loader.mjs', import.meta.url);
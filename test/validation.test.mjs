@@ -0,0 +1,259 @@
+// Request validation and the error envelope: every failure answers
+// { success: false, error: { code, message, details? } }, with one
+// { field, code, message } detail per invalid field.
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../api/worker.js';
+import { createTestDatabase } from './support/d1.mjs';
+
+const ADMIN_TOKEN = 'test-admin-token';
+const ADMIN_HEADERS = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+let env;
+
+async function request(method, path, { body, headers = {} } = {}) {
+  const init = { method, headers: { 'Content-Type': 'application/json', ...headers } };
+  if (body !== undefined) {
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+
+  const response = await worker.fetch(new Request(`http://localhost${path}`, init), env, { waitUntil() {} });
+  return { status: response.status, body: await response.json() };
+}
+
+const get = (path, options) => request('GET', path, options);
+const post = (path, body, options = {}) => request('POST', path, { ...options, body });
+
+function fields(body) {
+  return body.error.details.map(detail => `${detail.field}:${detail.code}`);
+}
+
+const validRecipe = {
+  title: 'Weeknight Fried Rice',
+  ingredients: [{ item: 'cooked rice', amount: 3, unit: 'cups' }],
+  instructions: [{ instruction: 'Fry everything together.' }]
+};
+
+before(() => {
+  env = { DB: createTestDatabase(), ENVIRONMENT: 'development', ADMIN_TOKEN };
+});
+
+describe('error envelope', () => {
+  it('wraps not-found errors', async () => {
+    const { status, body } = await get('/api/nothing-here');
+
+    assert.equal(status, 404);
+    assert.deepEqual(body, { success: false, error: { code: 'not_found', message: 'Endpoint not found' } });
+  });
+
+  it('wraps missing admin credentials', async () => {
+    const { status, body } = await post('/api/recipes', validRecipe);
+
+    assert.equal(status, 401);
+    assert.equal(body.error.code, 'unauthorized');
+  });
+
+  it('summarizes several invalid fields in the message', async () => {
+    const { body } = await post('/api/recipes/better-than-sex-fruit/reviews', {});
+
+    assert.equal(body.error.code, 'validation_failed');
+    assert.equal(body.error.message, '2 fields are invalid');
+  });
+});
+
+describe('query parameters', () => {
+  it('bounds limit on every list', async () => {
+    for (const path of ['/api/recipes', '/api/categories', '/api/authors', '/api/search?q=cake', '/api/recipes/better-than-sex-fruit/reviews']) {
+      const separator = path.includes('?') ? '&' : '?';
+
+      const tooLarge = await get(`${path}${separator}limit=1000`);
+      assert.equal(tooLarge.status, 400, path);
+      assert.deepEqual(tooLarge.body.error.details, [{ field: 'limit', code: 'too_large', message: 'limit must be at most 100' }]);
+
+      const tooSmall = await get(`${path}${separator}limit=0`);
+      assert.deepEqual(fields(tooSmall.body), ['limit:too_small'], path);
+
+      const notNumber = await get(`${path}${separator}limit=ten`);
+      assert.deepEqual(fields(notNumber.body), ['limit:invalid_type'], path);
+    }
+  });
+
+  it('accepts limits within range', async () => {
+    const { status, body } = await get('/api/recipes?limit=100');
+
+    assert.equal(status, 200);
+    assert.equal(body.pagination.limit, 100);
+  });
+
+  it('checks search and suggestion queries', async () => {
+    assert.deepEqual(fields((await get('/api/search')).body), ['q:required']);
+    assert.deepEqual(fields((await get(`/api/search?q=${'a'.repeat(201)}`)).body), ['q:too_long']);
+    assert.deepEqual(fields((await get('/api/search?q=%2B%2B%2B')).body), ['q:invalid_value']);
+    assert.deepEqual(fields((await get('/api/suggest?q=a')).body), ['q:too_short']);
+    assert.deepEqual(fields((await get('/api/suggest?q=cake&limit=50')).body), ['limit:too_large']);
+  });
+
+  it('checks typed filters', async () => {
+    assert.deepEqual(fields((await get('/api/recipes?min_rating=high&tag_mode=xor')).body), ['tag_mode:invalid_value', 'min_rating:invalid_type']);
+    assert.deepEqual(fields((await get('/api/categories?parent_id=abc')).body), ['parent_id:invalid_type']);
+    assert.deepEqual(fields((await get('/api/recipes/better-than-sex-fruit?servings=500')).body), ['servings:too_large']);
+    assert.deepEqual(fields((await get('/api/recipes/by-ingredients?have=rice&max_missing=-1')).body), ['max_missing:too_small']);
+    assert.deepEqual(fields((await get('/api/recipes/batch?ids=1,x')).body), ['ids:invalid_format']);
+  });
+
+  it('treats parent_id=null as top-level categories', async () => {
+    const { status, body } = await get('/api/categories?parent_id=null');
+
+    assert.equal(status, 200);
+    assert.ok(body.data.every(category => category.parent_id === null));
+  });
+});
+
+describe('POST /api/recipes/:slug/reviews', () => {
+  it('rejects a body that is not a JSON object', async () => {
+    for (const body of ['not json', '[1, 2]']) {
+      const response = await post('/api/recipes/better-than-sex-fruit/reviews', body);
+      assert.equal(response.status, 400);
+      assert.deepEqual(fields(response.body), ['body:invalid_type']);
+    }
+  });
+
+  it('reports every invalid field', async () => {
+    const { status, body } = await post('/api/recipes/better-than-sex-fruit/reviews', {
+      reviewer_name: '   ',
+      reviewer_email: 'not-an-email',
+      rating: 4.5,
+      comment: 'x'.repeat(5001)
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(fields(body), [
+      'reviewer_name:required',
+      'reviewer_email:invalid_format',
+      'rating:invalid_type',
+      'comment:too_long'
+    ]);
+  });
+
+  it('stores a valid review trimmed and pending', async () => {
+    const { status, body } = await post('/api/recipes/better-than-sex-fruit/reviews', {
+      reviewer_name: '  Ada  ',
+      reviewer_email: 'Ada@Example.com',
+      rating: 5,
+      unexpected: 'ignored'
+    });
+
+    assert.equal(status, 201);
+    const stored = env.DB.sqlite.prepare('SELECT reviewer_name, reviewer_email, status FROM reviews WHERE id = ?').get(body.id);
+    assert.deepEqual({ ...stored }, { reviewer_name: 'Ada', reviewer_email: 'ada@example.com', status: 'pending' });
+  });
+});
+
+describe('admin recipe input', () => {
+  it('reports nested field paths', async () => {
+    const { status, body } = await post('/api/recipes', {
+      title: 'Broken',
+      ingredients: [{ item: 'flour' }, { amount: 2 }, 'salt'],
+      instructions: [],
+      prep_time: -5,
+      difficulty: 'extreme'
+    }, { headers: ADMIN_HEADERS });
+
+    assert.equal(status, 400);
+    assert.deepEqual(fields(body), [
+      'ingredients[1].item:required',
+      'ingredients[2]:invalid_type',
+      'instructions:too_short',
+      'prep_time:too_small',
+      'difficulty:invalid_value'
+    ]);
+  });
+
+  it('reports unknown categories and disallowed statuses', async () => {
+    const unknown = await post('/api/recipes', { ...validRecipe, categories: ['no-such-category'] }, { headers: ADMIN_HEADERS });
+    assert.deepEqual(fields(unknown.body), ['categories:unknown_value']);
+
+    const archived = await post('/api/recipes', { ...validRecipe, status: 'archived' }, { headers: ADMIN_HEADERS });
+    assert.deepEqual(fields(archived.body), ['status:invalid_value']);
+  });
+
+  it('creates a valid recipe and reports slug conflicts', async () => {
+    const created = await post('/api/recipes', validRecipe, { headers: ADMIN_HEADERS });
+    assert.equal(created.status, 201);
+
+    const duplicate = await post('/api/recipes', validRecipe, { headers: ADMIN_HEADERS });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.error.code, 'conflict');
+  });
+
+  it('lists the allowed statuses for a refused transition', async () => {
+    const { status, body } = await request('PUT', '/api/recipes/better-than-sex-fruit/status', {
+      body: { status: 'draft' },
+      headers: ADMIN_HEADERS
+    });
+
+    assert.equal(status, 409);
+    assert.deepEqual(body, {
+      success: false,
+      error: {
+        code: 'conflict',
+        message: 'Cannot change status from published to draft',
+        details: { allowed: ['archived'] }
+      }
+    });
+  });
+
+  it('checks moderation batches', async () => {
+    const { body } = await post('/api/admin/reviews/moderate', { action: 'delete', ids: [1, 'two'] }, { headers: ADMIN_HEADERS });
+
+    assert.deepEqual(fields(body), ['action:invalid_value', 'ids[1]:invalid_type']);
+  });
+});
+
+describe('sessions and favorites', () => {
+  it('requires a valid sign-in email', async () => {
+    const { token } = (await post('/api/session')).body;
+    const headers = { 'X-Session-Token': token };
+
+    const { status, body } = await post('/api/auth/magic-link', { email: 'nobody@nowhere' }, { headers });
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details, [
+      { field: 'email', code: 'invalid_format', message: 'email must be a valid email address' }
+    ]);
+  });
+
+  it('limits sign-in links per email and per IP', async () => {
+    const { token } = (await post('/api/session')).body;
+    const headers = { 'X-Session-Token': token, 'CF-Connecting-IP': '203.0.113.50' };
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await post('/api/auth/magic-link', { email: 'kim@example.com' }, { headers })).status, 200);
+    }
+
+    const { status, body } = await post('/api/auth/magic-link', { email: 'Kim@Example.com' }, { headers });
+    assert.equal(status, 429);
+    assert.equal(body.error.code, 'rate_limited');
+
+    // The same address asking for other inboxes runs into its own limit
+    const statuses = [];
+    for (let i = 0; i < 7; i++) {
+      statuses.push((await post('/api/auth/magic-link', { email: `guest${i}@example.com` }, { headers })).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 200, 429]);
+  });
+
+  it('bounds favorite batches', async () => {
+    const { token } = (await post('/api/session')).body;
+    const headers = { 'X-Session-Token': token };
+
+    const empty = await post('/api/favorites', {}, { headers });
+    assert.deepEqual(fields(empty.body), ['recipe_ids:required']);
+
+    const tooMany = await post('/api/favorites', { recipe_ids: Array.from({ length: 501 }, (_, i) => i + 1) }, { headers });
+    assert.deepEqual(fields(tooMany.body), ['recipe_ids:too_long']);
+
+    const added = await post('/api/favorites', { recipe_ids: [1, 2] }, { headers });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.added, 2);
+  });
+});